@@ -0,0 +1,222 @@
+/**
+ * sw.js
+ *
+ * SERVICE WORKER - Offline app, sync and reminders
+ *
+ * OFFLINE APP:
+ * The build emits precache-manifest.js (see vite.config.js) with the URLs of the built
+ * app and a version. Installing caches all of them in a cache named after the version;
+ * the app page is then served from the network when possible and from the cache offline,
+ * and the other files straight from the cache. URLs are relative to this worker, so
+ * everything stays under the base path (/todo-app-phi/ on GitHub Pages).
+ * In development there is no manifest and every request goes to the network.
+ *
+ * UPDATES:
+ * A new deploy changes the manifest, so the browser installs a new worker next to the
+ * running one. It waits until the page (AppWorkerService) asks it to take over, after the
+ * user accepted the "update available" prompt; activating deletes the old caches.
+ *
+ * BACKGROUND SYNC:
+ * When writes stay queued because the device is offline, the page registers a sync
+ * ('todo-sync'). The browser fires it once the connection is back, also if the tab is in
+ * the background. Only the page holds the Supabase session, so the worker asks an open
+ * app window to flush the queue (SyncService); if none is open, or the flush cannot
+ * finish, the sync fails and the browser retries it later. The app also flushes on start.
+ *
+ * REMINDERS:
+ * Shows Web Notifications for todo reminders, also while the app's tab is in the background.
+ * The page sends the full schedule ({ type: 'schedule', reminders: [{ key, at, title, body }] })
+ * whenever todos change, and a { type: 'tick' } every minute while it is open.
+ * The schedule and the keys of reminders already shown are kept in Cache Storage,
+ * so they survive the worker being stopped; a timer fires the next reminder on time
+ * while the worker is alive, and ticks or periodic background sync catch up otherwise.
+ */
+
+try {
+    self.importScripts('precache-manifest.js');
+} catch {
+    // Development server: nothing to precache
+}
+
+const PRECACHE = self.PRECACHE_MANIFEST || null;
+const ASSET_CACHE_PREFIX = 'todo-app-phi-assets-';
+const ASSET_CACHE = PRECACHE ? `${ASSET_CACHE_PREFIX}${PRECACHE.version}` : null;
+
+const SYNC_TAG = 'todo-sync';
+
+// How long to wait for an open page to flush the queue
+const FLUSH_TIMEOUT_MS = 60 * 1000;
+
+const REMINDER_CACHE = 'todo-app-phi-reminders';
+const STATE_URL = 'reminder-state.json';
+
+// Reminders missed by more than this (e.g. the browser was closed) are dropped
+const MAX_LATENESS_MS = 60 * 60 * 1000;
+
+// setTimeout cannot wait longer than ~24.8 days; wake up at least daily to re-check
+const MAX_TIMER_MS = 24 * 60 * 60 * 1000;
+
+let state = null; // { reminders: [...], shown: [key] }
+let timer = null;
+
+const loadState = async () => {
+    if (!state) {
+        const cache = await caches.open(REMINDER_CACHE);
+        const response = await cache.match(STATE_URL);
+        state = response ? await response.json() : { reminders: [], shown: [] };
+    }
+    return state;
+};
+
+const saveState = async () => {
+    const cache = await caches.open(REMINDER_CACHE);
+    await cache.put(STATE_URL, new Response(JSON.stringify(state), {
+        headers: { 'Content-Type': 'application/json' },
+    }));
+};
+
+/**
+ * Shows every reminder that is due, then sets a timer for the next one.
+ */
+const checkReminders = async () => {
+    await loadState();
+    const now = Date.now();
+    const due = state.reminders.filter(r => Date.parse(r.at) <= now && !state.shown.includes(r.key));
+
+    for (const reminder of due) {
+        if (now - Date.parse(reminder.at) <= MAX_LATENESS_MS && Notification.permission === 'granted') {
+            await self.registration.showNotification(reminder.title, {
+                body: reminder.body,
+                tag: reminder.key,
+                data: { url: self.registration.scope },
+            });
+        }
+        state.shown.push(reminder.key);
+    }
+    if (due.length > 0) await saveState();
+
+    clearTimeout(timer);
+    const next = state.reminders.find(r => Date.parse(r.at) > now && !state.shown.includes(r.key));
+    if (next) {
+        timer = setTimeout(checkReminders, Math.min(Date.parse(next.at) - now, MAX_TIMER_MS));
+    }
+};
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        if (PRECACHE) {
+            const cache = await caches.open(ASSET_CACHE);
+            // Bypass the HTTP cache, which may still hold files of the previous deploy
+            await cache.addAll(PRECACHE.urls.map(url => new Request(url, { cache: 'reload' })));
+        }
+        // The first worker takes over right away; updates wait for the page to ask
+        if (!self.registration.active) await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(ASSET_CACHE_PREFIX) && name !== ASSET_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (!PRECACHE || request.method !== 'GET') return;
+    const url = new URL(request.url);
+    // Supabase and other origins are never cached here
+    if (url.origin !== self.location.origin || !request.url.startsWith(self.registration.scope)) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith((async () => {
+            try {
+                return await fetch(request);
+            } catch (error) {
+                const cache = await caches.open(ASSET_CACHE);
+                const page = await cache.match('./');
+                if (page) return page;
+                throw error;
+            }
+        })());
+        return;
+    }
+
+    event.respondWith((async () => {
+        const cache = await caches.open(ASSET_CACHE);
+        return (await cache.match(request)) || fetch(request);
+    })());
+});
+
+/**
+ * Asks each open app window in turn to flush the sync queue, until one drains it.
+ * Rejects if no window could, so the browser retries the sync later.
+ */
+const flushThroughClients = async () => {
+    const windows = await self.clients.matchAll({ type: 'window' });
+    for (const client of windows) {
+        const complete = await new Promise((resolve) => {
+            const channel = new MessageChannel();
+            const timeout = setTimeout(() => resolve(false), FLUSH_TIMEOUT_MS);
+            channel.port1.onmessage = (event) => {
+                clearTimeout(timeout);
+                resolve(Boolean(event.data?.complete));
+            };
+            client.postMessage({ type: 'flush' }, [channel.port2]);
+        });
+        if (complete) return;
+    }
+    throw new Error('The sync queue could not be flushed yet');
+};
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === SYNC_TAG) {
+        event.waitUntil(flushThroughClients());
+    }
+});
+
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+
+    if (message.type === 'skipWaiting') {
+        event.waitUntil(self.skipWaiting());
+    }
+
+    if (message.type === 'schedule') {
+        event.waitUntil((async () => {
+            await loadState();
+            const keys = new Set(message.reminders.map(r => r.key));
+            state = {
+                reminders: [...message.reminders].sort((a, b) => a.at.localeCompare(b.at)),
+                // Forget shown reminders that are no longer scheduled
+                shown: state.shown.filter(key => keys.has(key)),
+            };
+            await saveState();
+            await checkReminders();
+        })());
+    }
+
+    if (message.type === 'tick') {
+        event.waitUntil(checkReminders());
+    }
+});
+
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === 'todo-reminders') {
+        event.waitUntil(checkReminders());
+    }
+});
+
+// Focus the app (or open it) when a reminder is clicked
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const appWindow = windows.find(client => client.url.startsWith(self.registration.scope));
+        if (appWindow) return appWindow.focus();
+        return self.clients.openWindow(event.notification.data.url);
+    })());
+});
@@ -3,9 +3,15 @@ import { createRoot } from 'react-dom/client'
 
 import './index.css'
 import App from './view/App.jsx';
+import { createTodoRepository, guestRepositoryFor } from './service/TodoRepository';
+
+// The storage backend is picked once, from the build configuration (see TodoRepository).
+// Signed-out visitors keep their todos on this device.
+const todoRepository = createTodoRepository();
+const guestRepository = guestRepositoryFor(todoRepository);
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <App todoRepository={todoRepository} guestRepository={guestRepository} />
   </StrictMode>
 )
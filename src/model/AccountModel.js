@@ -0,0 +1,98 @@
+/**
+ * AccountModel.js
+ *
+ * MODEL LAYER
+ *
+ * Rules for the sign-in forms and the account page: email addresses, passwords,
+ * display names and avatar images, and the profile shown for a Supabase user.
+ * Validators return the normalized value and throw an Error with a message for the user.
+ */
+
+// Supabase's default minimum; projects may require more, and the server then says so
+export const PASSWORD_MIN_LENGTH = 6;
+export const DISPLAY_NAME_MAX_LENGTH = 50;
+export const AVATAR_MAX_BYTES = 2 * 1024 * 1024;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export class AccountModel {
+    /**
+     * Validates an email address and returns it trimmed and lowercased.
+     */
+    static validateEmail(email) {
+        const normalized = (email || '').trim().toLowerCase();
+        if (!EMAIL_PATTERN.test(normalized)) {
+            throw new Error('Please enter a valid email address');
+        }
+        return normalized;
+    }
+
+    /**
+     * Validates a new password; `confirmation` must repeat it.
+     */
+    static validatePassword(password, confirmation) {
+        if ((password || '').length < PASSWORD_MIN_LENGTH) {
+            throw new Error(`Passwords need at least ${PASSWORD_MIN_LENGTH} characters`);
+        }
+        if (password !== confirmation) {
+            throw new Error('The passwords do not match');
+        }
+        return password;
+    }
+
+    /**
+     * Validates a display name and returns it trimmed; it may be empty.
+     */
+    static validateDisplayName(name) {
+        const trimmed = (name || '').trim();
+        if (trimmed.length > DISPLAY_NAME_MAX_LENGTH) {
+            throw new Error(`Display names cannot be longer than ${DISPLAY_NAME_MAX_LENGTH} characters`);
+        }
+        return trimmed;
+    }
+
+    /**
+     * Checks that a file can be used as an avatar: an image of at most 2 MB.
+     */
+    static validateAvatar(file) {
+        if (!file || !file.type.startsWith('image/')) {
+            throw new Error('Please choose an image file');
+        }
+        if (file.size > AVATAR_MAX_BYTES) {
+            throw new Error('Avatars cannot be larger than 2 MB');
+        }
+        return file;
+    }
+
+    /**
+     * The profile shown for a Supabase user: { email, pendingEmail, displayName, avatarUrl,
+     * providers }. Names and pictures set on the account page win over those that
+     * OAuth providers fill in (full_name, picture).
+     */
+    static profileOf(user) {
+        const metadata = user.user_metadata || {};
+        return {
+            email: user.email,
+            pendingEmail: user.new_email || null,
+            displayName: metadata.display_name ?? metadata.full_name ?? metadata.name ?? '',
+            avatarUrl: metadata.avatar_url || metadata.picture || null,
+            providers: user.app_metadata?.providers || ['email'],
+        };
+    }
+
+    /**
+     * A short description of a session's browser, e.g. "Firefox on Linux".
+     */
+    static describeUserAgent(userAgent) {
+        if (!userAgent) return 'Unknown device';
+        const browser = [
+            ['Edge', /Edg\//], ['Opera', /OPR\//], ['Firefox', /Firefox\//],
+            ['Chrome', /Chrome\//], ['Safari', /Safari\//],
+        ].find(([, pattern]) => pattern.test(userAgent))?.[0] ?? 'Browser';
+        const system = [
+            ['Android', /Android/], ['iOS', /iPhone|iPad/], ['Windows', /Windows/],
+            ['macOS', /Mac OS X/], ['Linux', /Linux/],
+        ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+        return system ? `${browser} on ${system}` : browser;
+    }
+}
@@ -0,0 +1,147 @@
+/**
+ * CalendarModel.js
+ *
+ * MODEL LAYER
+ *
+ * Date arithmetic and grouping for the calendar views. Pure functions only.
+ *
+ * The todos of the active list can be shown as a list (TodoList) or placed on their
+ * due dates in a month grid, a week of seven days, or an agenda of the days ahead;
+ * VIEW_MODES also offers the statistics dashboard (see TodoStats).
+ * Each view is anchored to a date ('YYYY-MM-DD'); shift() pages it back and forth.
+ * Weeks start on Monday. Dates are handled as UTC calendar dates, like RecurrenceModel,
+ * so daylight saving transitions never shift a day.
+ */
+
+import { DueTime } from './DueTime';
+
+export const VIEW_MODES = [
+    { id: 'list', label: 'List' },
+    { id: 'month', label: 'Month' },
+    { id: 'week', label: 'Week' },
+    { id: 'agenda', label: 'Agenda' },
+    { id: 'dashboard', label: 'Stats' },
+];
+
+export const DEFAULT_VIEW_MODE = 'list';
+
+// Days covered by one page of the agenda
+export const AGENDA_DAYS = 14;
+
+const WEEK_STARTS_ON = 1; // Monday
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const toDate = (value) => new Date(`${value}T00:00:00Z`);
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+const format = (value, options) =>
+    new Intl.DateTimeFormat(undefined, { timeZone: 'UTC', ...options }).format(toDate(value));
+
+const addDays = (value, days) => formatDate(new Date(toDate(value).getTime() + days * DAY_MS));
+
+const startOfWeek = (value) => addDays(value, -((toDate(value).getUTCDay() - WEEK_STARTS_ON + 7) % 7));
+
+const startOfMonth = (value) => `${value.slice(0, 7)}-01`;
+
+const addMonths = (value, months) => {
+    const date = toDate(value);
+    return formatDate(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1)));
+};
+
+/**
+ * Orders the todos of one day: untimed todos first, then by due time, then by text.
+ */
+const compareWithinDay = (a, b) =>
+    (a.dueTime || '').localeCompare(b.dueTime || '') || a.text.localeCompare(b.text);
+
+export const CalendarModel = {
+    addDays,
+
+    isViewMode: (mode) => VIEW_MODES.some(v => v.id === mode),
+
+    /**
+     * Today's local calendar date.
+     */
+    today: (now = new Date()) => `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+
+    /**
+     * The weeks (rows of seven dates) of the month grid around `anchor`,
+     * including the days of the neighbouring months that complete the first and last week.
+     */
+    monthGrid: (anchor) => {
+        const first = startOfMonth(anchor);
+        const next = addMonths(first, 1);
+        const weeks = [];
+        for (let day = startOfWeek(first); day < next; day = addDays(day, 7)) {
+            weeks.push(Array.from({ length: 7 }, (_, i) => addDays(day, i)));
+        }
+        return weeks;
+    },
+
+    /**
+     * The seven dates of the week containing `anchor`.
+     */
+    weekDays: (anchor) => Array.from({ length: 7 }, (_, i) => addDays(startOfWeek(anchor), i)),
+
+    /**
+     * The dates of the agenda page starting at `anchor`.
+     */
+    agendaDays: (anchor) => Array.from({ length: AGENDA_DAYS }, (_, i) => addDays(anchor, i)),
+
+    /**
+     * Moves the anchor of a view by `step` pages (months, weeks or agenda pages).
+     */
+    shift: (mode, anchor, step) => {
+        if (mode === 'month') return addMonths(anchor, step);
+        if (mode === 'week') return addDays(anchor, 7 * step);
+        return addDays(anchor, AGENDA_DAYS * step);
+    },
+
+    /**
+     * Heading of a view page, e.g. "October 2026" or "19 Oct 2026 – 25 Oct 2026".
+     */
+    title: (mode, anchor) => {
+        if (mode === 'month') return format(anchor, { month: 'long', year: 'numeric' });
+        const days = mode === 'week' ? CalendarModel.weekDays(anchor) : CalendarModel.agendaDays(anchor);
+        const options = { day: 'numeric', month: 'short', year: 'numeric' };
+        return `${format(days[0], options)} – ${format(days[days.length - 1], options)}`;
+    },
+
+    /**
+     * Short labels for a date, e.g. { weekday: 'Mon', day: '19', long: 'Monday 19 October 2026' }.
+     */
+    labels: (date) => ({
+        weekday: format(date, { weekday: 'short' }),
+        day: String(Number(date.slice(8, 10))),
+        long: format(date, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }),
+    }),
+
+    /**
+     * Groups dated todos by the local date they are due on: { 'YYYY-MM-DD': [todo] }.
+     */
+    byDate: (todos) => {
+        const groups = {};
+        todos.forEach(todo => {
+            const date = DueTime.localDateOf(todo);
+            if (!date) return;
+            (groups[date] = groups[date] || []).push(todo);
+        });
+        Object.values(groups).forEach(group => group.sort(compareWithinDay));
+        return groups;
+    },
+
+    /**
+     * Open todos due before `today`, oldest first (shown at the top of the agenda).
+     */
+    overdue: (todos, today) => todos
+        .filter(todo => !todo.completed && todo.dueDate && DueTime.localDateOf(todo) < today)
+        .sort((a, b) => DueTime.localDateOf(a).localeCompare(DueTime.localDateOf(b)) || compareWithinDay(a, b)),
+
+    /**
+     * Todos without a due date, for the undated tray.
+     */
+    undated: (todos) => todos.filter(todo => !todo.dueDate),
+};
@@ -0,0 +1,53 @@
+/**
+ * CommandHistory.js
+ *
+ * MODEL LAYER
+ *
+ * Undo/redo stacks for todo commands. Pure functions only: every operation
+ * returns a new history and never touches the todos themselves.
+ *
+ * A history looks like { past: [entry], future: [entry] }, where an entry is
+ * { id, label, changes } and each change records one todo before and after the command:
+ * - { before: null, after: todo }  the command added the todo
+ * - { before: todo, after: null }  the command deleted the todo
+ * - { before: todo, after: todo }  the command changed the todo
+ * Undoing applies the inverted changes; redoing applies the changes again.
+ */
+
+// Number of commands that can be undone
+export const HISTORY_LIMIT = 50;
+
+export const CommandHistory = {
+    empty: () => ({ past: [], future: [] }),
+
+    /**
+     * Records a new command. Anything that was undone can no longer be redone.
+     */
+    push: (history, entry, limit = HISTORY_LIMIT) => ({
+        past: [...history.past, entry].slice(-limit),
+        future: [],
+    }),
+
+    /**
+     * Moves the latest command to the redo stack.
+     */
+    undone: (history) => ({
+        past: history.past.slice(0, -1),
+        future: [history.past[history.past.length - 1], ...history.future],
+    }),
+
+    /**
+     * Moves the next undone command back to the undo stack.
+     */
+    redone: (history) => ({
+        past: [...history.past, history.future[0]],
+        future: history.future.slice(1),
+    }),
+
+    /**
+     * Returns the changes that reverse `changes`, in reverse order.
+     */
+    invert: (changes) => changes
+        .map(({ before, after }) => ({ before: after, after: before }))
+        .reverse(),
+};
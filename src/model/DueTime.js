@@ -0,0 +1,147 @@
+/**
+ * DueTime.js
+ *
+ * MODEL LAYER
+ *
+ * Due dates with an optional time of day and time zone. Pure functions only.
+ *
+ * A todo is due on `dueDate` ('YYYY-MM-DD'). With a `dueTime` ('HH:MM') it is due at
+ * that wall-clock time in `timeZone` (an IANA name such as 'Europe/Rome', recorded when
+ * the time was set), so the due moment stays the same when viewed from another zone.
+ * Without a time the todo is due some time that day, wherever the user is.
+ */
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// 'HH:MM' in this device's time zone
+const TIME_FORMAT = () => new Intl.DateTimeFormat('en-GB', { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+
+/**
+ * The time zone of the current device, e.g. 'Europe/Rome'.
+ */
+const localTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * Local calendar date ('YYYY-MM-DD') of an instant in a time zone (default: this device's).
+ */
+const dateIn = (date, timeZone) => {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+            .formatToParts(date)
+            .map(part => [part.type, part.value])
+    );
+    return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+/**
+ * Offset of a time zone from UTC at the given instant, in milliseconds.
+ */
+const offsetAt = (ms, timeZone) => {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+        })
+            .formatToParts(new Date(ms))
+            .map(part => [part.type, Number(part.value)])
+    );
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(ms / 1000) * 1000;
+};
+
+export const DueTime = {
+    localTimeZone,
+
+    isValidTime: (time) => TIME_PATTERN.test(time || ''),
+
+    isValidTimeZone: (timeZone) => {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return Boolean(timeZone);
+        } catch {
+            return false;
+        }
+    },
+
+    /**
+     * Converts a wall-clock date and time in a time zone to a Date.
+     * Times skipped by a daylight saving change resolve to the moment just after the gap.
+     */
+    toInstant: (date, time, timeZone = localTimeZone()) => {
+        const [year, month, day] = date.slice(0, 10).split('-').map(Number);
+        const [hour, minute] = time.split(':').map(Number);
+        const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+        const firstGuess = wallClock - offsetAt(wallClock, timeZone);
+        const offset = offsetAt(firstGuess, timeZone);
+        return new Date(wallClock - offset);
+    },
+
+    /**
+     * The moment a todo is due, or null if it has no due time.
+     */
+    instantOf: (todo) => {
+        if (!todo.dueDate || !todo.dueTime) return null;
+        return DueTime.toInstant(todo.dueDate, todo.dueTime, todo.timeZone || localTimeZone());
+    },
+
+    /**
+     * The calendar date ('YYYY-MM-DD') a todo is due on as seen from this device:
+     * the local date of its due moment, or its due date if it has no time ('' if none).
+     */
+    localDateOf: (todo) => {
+        if (!todo.dueDate) return '';
+        const instant = DueTime.instantOf(todo);
+        return instant ? dateIn(instant, localTimeZone()) : todo.dueDate.slice(0, 10);
+    },
+
+    /**
+     * The wall-clock time ('HH:MM') a todo is due at on this device, or '' if it has no time.
+     */
+    localTimeOf: (todo) => {
+        const instant = DueTime.instantOf(todo);
+        return instant ? TIME_FORMAT().format(instant) : '';
+    },
+
+    /**
+     * 'overdue', 'today' or null for an open todo, as seen from this device at `now`.
+     * A todo with a due time is overdue once that moment has passed; one without is
+     * overdue from the day after its due date.
+     */
+    status: (todo, now = new Date()) => {
+        if (todo.completed || !todo.dueDate) return null;
+        const today = dateIn(now);
+        const instant = DueTime.instantOf(todo);
+
+        if (instant) {
+            if (instant <= now) return 'overdue';
+            return dateIn(instant) === today ? 'today' : null;
+        }
+        const due = todo.dueDate.slice(0, 10);
+        if (due < today) return 'overdue';
+        return due === today ? 'today' : null;
+    },
+
+    /**
+     * Human-readable due date, e.g. "2026-10-20 14:30", in this device's time zone.
+     * If the todo's time was set in another zone, that zone's wall-clock time is added.
+     */
+    describe: (todo) => {
+        if (!todo.dueDate) return '';
+        const instant = DueTime.instantOf(todo);
+        if (!instant) return todo.dueDate.slice(0, 10);
+
+        const local = localTimeZone();
+        const text = `${dateIn(instant, local)} ${TIME_FORMAT().format(instant)}`;
+        if (!todo.timeZone || todo.timeZone === local || offsetAt(instant.getTime(), todo.timeZone) === offsetAt(instant.getTime(), local)) {
+            return text;
+        }
+        return `${text} (${todo.dueTime} ${todo.timeZone})`;
+    },
+};
@@ -0,0 +1,79 @@
+/**
+ * FuzzySearch.js
+ *
+ * MODEL LAYER
+ *
+ * Fuzzy matching for the command palette. Pure functions only.
+ *
+ * A query matches a text when its characters appear in the text in the same order,
+ * ignoring case and spaces in the query ("bml" matches "Buy milk"). Matches score higher
+ * when the characters are consecutive, start words, or start the text, so the
+ * closest matches come first.
+ */
+
+// Most results the palette shows at once
+export const MAX_RESULTS = 50;
+
+const isWordStart = (text, index) => index === 0 || /[\s\-_/#:"“(]/.test(text[index - 1]);
+
+// True if `chars` appear in order in `haystack` from `from` on
+const isSubsequence = (chars, haystack, from) => {
+    let index = from - 1;
+    for (const char of chars) {
+        index = haystack.indexOf(char, index + 1);
+        if (index === -1) return false;
+    }
+    return true;
+};
+
+/**
+ * Scores how well `query` matches `text`: { score, indices } with the positions of the
+ * matched characters, or null when it does not match. An empty query matches everything.
+ */
+const match = (query, text) => {
+    const needle = [...query.toLowerCase().replace(/\s+/g, '')];
+    const haystack = text.toLowerCase();
+    if (needle.length === 0) return { score: 0, indices: [] };
+
+    const indices = [];
+    let score = 0;
+    let from = 0;
+    for (const [position, char] of needle.entries()) {
+        // Prefer the next occurrence that starts a word, if the rest still matches after it
+        let index = haystack.indexOf(char, from);
+        if (index === -1) return null;
+        const previous = indices[indices.length - 1];
+        if (previous === undefined || index !== previous + 1) {
+            for (let i = index; i !== -1; i = haystack.indexOf(char, i + 1)) {
+                if (isWordStart(text, i) && isSubsequence(needle.slice(position + 1), haystack, i + 1)) {
+                    index = i;
+                    break;
+                }
+            }
+        }
+
+        if (previous !== undefined && index === previous + 1) score += 5;
+        if (isWordStart(text, index)) score += 3;
+        if (index === 0) score += 2;
+        score -= Math.min(index - from, 5) * 0.1;
+        indices.push(index);
+        from = index + 1;
+    }
+    // Among equal matches, shorter texts are closer
+    return { score: score - text.length * 0.01, indices };
+};
+
+export const FuzzySearch = {
+    match,
+
+    /**
+     * The entries whose text (given by `textOf`) matches `query`, best first,
+     * as [{ entry, indices }]; entries with equal scores keep their order.
+     */
+    search: (entries, query, textOf, limit = MAX_RESULTS) => entries
+        .map((entry, order) => ({ entry, order, result: match(query, textOf(entry)) }))
+        .filter(({ result }) => result !== null)
+        .sort((a, b) => b.result.score - a.result.score || a.order - b.order)
+        .slice(0, limit)
+        .map(({ entry, result }) => ({ entry, indices: result.indices })),
+};
@@ -0,0 +1,55 @@
+/**
+ * ListModel.js
+ *
+ * MODEL LAYER
+ *
+ * Defines a named list (project) that groups todos, e.g. "Work" or "Groceries".
+ * Todos without a list belong to the built-in Inbox.
+ * Lists can be shared with collaborators (see SharingModel).
+ */
+
+export const INBOX_LIST_ID = null;
+
+export const DEFAULT_LIST_COLOR = '#646cff';
+
+const MAX_NAME_LENGTH = 60;
+
+export class ListModel {
+    constructor(name, color = DEFAULT_LIST_COLOR) {
+        this.id = Date.now(); // Temporary identifier until the server assigns one
+        this.name = name;
+        this.color = color;
+        this.ownerId = null; // User id of the owner
+        this.role = 'owner'; // Current user's role: 'owner', 'editor' or 'viewer'
+    }
+
+    /**
+     * Validates a list name and returns it trimmed.
+     */
+    static validateName(name) {
+        if (!name || name.trim() === '') {
+            throw new Error('List name cannot be empty');
+        }
+        if (name.trim().length > MAX_NAME_LENGTH) {
+            throw new Error(`List name cannot be longer than ${MAX_NAME_LENGTH} characters`);
+        }
+        return name.trim();
+    }
+
+    /**
+     * Validates a CSS hex color such as "#1a2b3c".
+     */
+    static validateColor(color) {
+        if (!/^#[0-9a-fA-F]{6}$/.test(color)) {
+            throw new Error('List color must be a hex color like #646cff');
+        }
+        return color;
+    }
+
+    /**
+     * Factory method to create a new List instance.
+     */
+    static create(name, color = DEFAULT_LIST_COLOR) {
+        return new ListModel(ListModel.validateName(name), ListModel.validateColor(color));
+    }
+}
@@ -0,0 +1,132 @@
+/**
+ * MarkdownModel.js
+ *
+ * MODEL LAYER
+ *
+ * Parses the Markdown of todo notes into a small tree of blocks and inline spans,
+ * which the View renders as React elements (see Markdown.jsx). Pure functions only.
+ *
+ * Supported: paragraphs (single line breaks are kept), # headings, - / * / 1. lists,
+ * > quotes, ``` code blocks, --- rules, **bold**, *italic*, `code`, [links](https://...)
+ * and bare http(s) URLs.
+ *
+ * The output is sanitized by construction: HTML in the source stays plain text,
+ * and links are kept only for http, https and mailto URLs.
+ *
+ * Blocks:  { type: 'paragraph' | 'heading', level?, children }, { type: 'list', ordered, items },
+ *          { type: 'quote', blocks }, { type: 'code', text }, { type: 'rule' }
+ * Inlines: { type: 'text' | 'code', text }, { type: 'strong' | 'em', children },
+ *          { type: 'link', href, children }, { type: 'break' }
+ */
+
+const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+
+const FENCE = /^\s*```/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const QUOTE = /^\s*>\s?(.*)$/;
+const BULLET = /^\s*[-*+]\s+(.*)$/;
+const NUMBERED = /^\s*\d+[.)]\s+(.*)$/;
+
+// Code spans, bold, italic, links and bare URLs, in order of precedence
+const INLINE = new RegExp([
+    /`([^`]+)`/.source,
+    /\*\*(.+?)\*\*|__(.+?)__/.source,
+    /\*(?!\s)(.+?)\*|(?<!\w)_(?!\s)(.+?)_(?!\w)/.source,
+    /\[([^\]]+)\]\(\s*([^)\s]+)\s*\)/.source,
+    /(https?:\/\/[^\s<]*[^\s<.,;:!?)\]'"])/.source,
+].join('|'));
+
+/**
+ * Parses one line (or several joined ones) of text into inline spans.
+ */
+const parseInline = (text) => {
+    const spans = [];
+    let rest = text;
+    while (rest) {
+        const match = INLINE.exec(rest);
+        if (!match) {
+            spans.push({ type: 'text', text: rest });
+            break;
+        }
+        if (match.index > 0) spans.push({ type: 'text', text: rest.slice(0, match.index) });
+
+        const [whole, code, bold, boldAlt, em, emAlt, label, href, url] = match;
+        if (code !== undefined) {
+            spans.push({ type: 'code', text: code });
+        } else if (bold !== undefined || boldAlt !== undefined) {
+            spans.push({ type: 'strong', children: parseInline(bold ?? boldAlt) });
+        } else if (em !== undefined || emAlt !== undefined) {
+            spans.push({ type: 'em', children: parseInline(em ?? emAlt) });
+        } else if (label !== undefined) {
+            spans.push(SAFE_URL.test(href)
+                ? { type: 'link', href, children: parseInline(label) }
+                : { type: 'text', text: label });
+        } else {
+            spans.push({ type: 'link', href: url, children: [{ type: 'text', text: url }] });
+        }
+        rest = rest.slice(match.index + whole.length);
+    }
+    return spans;
+};
+
+/**
+ * Parses lines of text into inline spans, keeping the line breaks between them.
+ */
+const parseLines = (lines) => lines.flatMap((line, index) =>
+    index === 0 ? parseInline(line) : [{ type: 'break' }, ...parseInline(line)]);
+
+const isBlockStart = (line) =>
+    FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || BULLET.test(line) || NUMBERED.test(line);
+
+/**
+ * Parses lines into blocks.
+ */
+const parseBlocks = (lines) => {
+    const blocks = [];
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (line.trim() === '') {
+            i++;
+        } else if (FENCE.test(line)) {
+            const code = [];
+            i++;
+            while (i < lines.length && !FENCE.test(lines[i])) code.push(lines[i++]);
+            i++; // Closing fence (or end of text)
+            blocks.push({ type: 'code', text: code.join('\n') });
+        } else if (HEADING.test(line)) {
+            const [, hashes, text] = HEADING.exec(line);
+            blocks.push({ type: 'heading', level: hashes.length, children: parseInline(text) });
+            i++;
+        } else if (RULE.test(line)) {
+            blocks.push({ type: 'rule' });
+            i++;
+        } else if (QUOTE.test(line)) {
+            const quoted = [];
+            while (i < lines.length && QUOTE.test(lines[i])) quoted.push(QUOTE.exec(lines[i++])[1]);
+            blocks.push({ type: 'quote', blocks: parseBlocks(quoted) });
+        } else if (BULLET.test(line) || NUMBERED.test(line)) {
+            const ordered = NUMBERED.test(line);
+            const pattern = ordered ? NUMBERED : BULLET;
+            const items = [];
+            while (i < lines.length && pattern.test(lines[i])) items.push(parseInline(pattern.exec(lines[i++])[1]));
+            blocks.push({ type: 'list', ordered, items });
+        } else {
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() !== '' && (paragraph.length === 0 || !isBlockStart(lines[i]))) {
+                paragraph.push(lines[i++].trim());
+            }
+            blocks.push({ type: 'paragraph', children: parseLines(paragraph) });
+        }
+    }
+    return blocks;
+};
+
+export const MarkdownModel = {
+    /**
+     * Parses Markdown text into blocks (see the shapes above).
+     */
+    parse: (text) => parseBlocks((text || '').replace(/\r\n?/g, '\n').split('\n')),
+};
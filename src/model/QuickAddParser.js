@@ -0,0 +1,401 @@
+/**
+ * QuickAddParser.js
+ *
+ * MODEL LAYER
+ *
+ * Reads the properties of a new todo out of the text typed in the add form, e.g.
+ *
+ *     Pay rent every month on the 1st #home !high tomorrow 9am
+ *
+ * becomes "Pay rent", due tomorrow at 09:00, repeating monthly on the 1st,
+ * tagged "home", with high priority. Recognized phrases (case-insensitive):
+ * - dates:       today, tomorrow, friday / on fri, next friday, in 3 days, in 2 weeks,
+ *                next week, next month, 2026-11-01, nov 1, 1st november, on the 15th
+ *                (weekday abbreviations such as "sun" or "wed" only after on, due, next
+ *                or this, or at the end of the entry, so "Sun cream" stays as typed)
+ * - times:       9am, 9:30pm, at 14:30, at 9, noon, midnight; a bare "at 1" to "at 7"
+ *                means the afternoon
+ * - recurrence:  daily, weekly, monthly, yearly, every day, every 2 weeks,
+ *                every monday and thursday, every weekday, every month on the 1st
+ * - tags:        #home
+ * - priority:    !low, !medium, !high, !urgent
+ * Text in double quotes is never parsed, so "Meet at 9am" stays as written.
+ * Two dates in one entry ("Visit Wed and Fri") are ambiguous: neither becomes the due date,
+ * and the text stays as typed.
+ *
+ * Pure functions only. parse() returns the remaining text and the recognized values;
+ * the View previews them and TodoModel.create validates them.
+ */
+
+import { PRIORITIES } from './TodoModel';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAY = '(sun(?:day)?|mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:rs?(?:day)?)?|fri(?:day)?|sat(?:urday)?)';
+const WEEKDAY_NAME = '(sunday|monday|tuesday|wednesday|thursday|friday|saturday)';
+const WEEKDAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const MONTH_KEYS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const ORDINAL = '(\\d{1,2})(?:st|nd|rd|th)';
+
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+const NUMBER = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+
+// Quoted text is swapped for a single Unicode private-use character while parsing
+const QUOTE_MARK = 0xE000;
+
+const UNIT_FREQ = { day: 'daily', week: 'weekly', month: 'monthly', year: 'yearly' };
+
+/**
+ * Builds a case-insensitive pattern that only matches whole words.
+ */
+const phrase = (source) => new RegExp(`(?<![\\w#!'])${source}(?![\\w'])`, 'i');
+
+const weekdayOf = (name) => WEEKDAY_KEYS.indexOf(name.slice(0, 3).toLowerCase());
+const monthOf = (name) => MONTH_KEYS.indexOf(name.slice(0, 3).toLowerCase());
+const numberOf = (word) => NUMBER_WORDS[word.toLowerCase()] ?? Number(word);
+
+/* Calendar dates ('YYYY-MM-DD') are handled as UTC dates, like RecurrenceModel does */
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const toDate = (value) => new Date(`${value}T00:00:00Z`);
+const formatDate = (date) => date.toISOString().slice(0, 10);
+const addDays = (value, days) => formatDate(new Date(toDate(value).getTime() + days * DAY_MS));
+
+const addMonths = (value, months) => {
+    const date = toDate(value);
+    const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+    return formatDate(target);
+};
+
+const isValidDate = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month, day));
+    return date.getUTCMonth() === month && date.getUTCDate() === day;
+};
+
+/**
+ * The first date on or after `from` (optionally strictly after) that falls on `weekday`.
+ */
+const nextWeekday = (from, weekday, strictlyAfter = false) => {
+    const offset = (weekday - toDate(from).getUTCDay() + 7) % 7;
+    return addDays(from, offset === 0 && strictlyAfter ? 7 : offset);
+};
+
+/**
+ * The first date on or after `from` that is day `day` of a month (skipping months that are too short).
+ */
+const nextMonthDay = (from, day) => {
+    const start = toDate(from);
+    for (let i = 0; i < 12; i++) {
+        const year = start.getUTCFullYear();
+        const month = start.getUTCMonth() + i;
+        const candidate = new Date(Date.UTC(year, month, day));
+        if (candidate.getUTCDate() === day && formatDate(candidate) >= from) return formatDate(candidate);
+    }
+    return null;
+};
+
+/**
+ * The first date on or after `from` that falls on the given month and day.
+ */
+const nextYearDay = (from, month, day, year = null) => {
+    const startYear = year ?? toDate(from).getUTCFullYear();
+    for (let y = startYear; y < startYear + 8; y++) {
+        if (!isValidDate(y, month, day)) continue;
+        const candidate = `${y}-${pad(month + 1)}-${pad(day)}`;
+        if (year !== null || candidate >= from) return candidate;
+    }
+    return null;
+};
+
+const localDate = (now) => `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+const localTime = (now) => `${pad(now.getHours())}:${pad(now.getMinutes())}`;
+
+const toTime = (hour, minute = 0, meridiem = null) => {
+    let h = Number(hour);
+    const m = Number(minute);
+    if (meridiem) {
+        if (h < 1 || h > 12) return null;
+        h = (h % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+    }
+    if (h > 23 || m > 59) return null;
+    return `${pad(h)}:${pad(m)}`;
+};
+
+/*
+ * Each rule has a pattern and a reader that turns the match into values.
+ * Readers return null to leave a match in the text (e.g. an invalid date).
+ * Within a group the first rule that matches wins.
+ */
+
+const readWeekday = (match, today) => {
+    const [, relative, name] = match;
+    return { dueDate: nextWeekday(today, weekdayOf(name), Boolean(relative) && relative.trim().toLowerCase() === 'next') };
+};
+
+const weekdayList = (text) => [...text.matchAll(new RegExp(WEEKDAY, 'gi'))].map(m => weekdayOf(m[1]));
+
+const RECURRENCE_RULES = [
+    {
+        pattern: phrase(`every\\s+weekdays?`),
+        read: () => ({ freq: 'weekly', interval: 1, byWeekday: [1, 2, 3, 4, 5] }),
+    },
+    {
+        pattern: phrase(`every\\s+weekends?`),
+        read: () => ({ freq: 'weekly', interval: 1, byWeekday: [0, 6] }),
+    },
+    {
+        pattern: phrase(`(?:every|each)\\s+(${WEEKDAY}s?(?:\\s*(?:,|and|&)\\s*${WEEKDAY}s?)*)`),
+        read: (match) => ({ freq: 'weekly', interval: 1, byWeekday: weekdayList(match[1]) }),
+    },
+    {
+        pattern: phrase(`(?:every|each)\\s+(?:(other|\\d+)\\s+)?(day|week|month|year)s?(?:\\s+on\\s+(?:the\\s+${ORDINAL}|(${WEEKDAY}s?(?:\\s*(?:,|and|&)\\s*${WEEKDAY}s?)*)))?`),
+        read: (match) => {
+            const [, every, unit, monthDay, weekdays] = match;
+            const interval = !every ? 1 : every.toLowerCase() === 'other' ? 2 : Number(every);
+            const freq = UNIT_FREQ[unit.toLowerCase()];
+            if (interval < 1) return null;
+            if (monthDay && !['monthly', 'yearly'].includes(freq)) return null;
+            if (weekdays && freq !== 'weekly') return null;
+            return {
+                freq,
+                interval,
+                byWeekday: weekdays ? weekdayList(weekdays) : [],
+                ...(monthDay ? { monthDay: Number(monthDay) } : {}),
+            };
+        },
+    },
+    {
+        pattern: phrase(`(daily|weekly|monthly|yearly|annually)`),
+        read: (match) => {
+            const word = match[1].toLowerCase();
+            return { freq: word === 'annually' ? 'yearly' : word, interval: 1, byWeekday: [] };
+        },
+    },
+];
+
+const DATE_RULES = [
+    {
+        pattern: phrase(`(?:due\\s+)?(today|tonight)`),
+        read: (match, today) => ({ dueDate: today, ...(match[1].toLowerCase() === 'tonight' ? { dueTime: '20:00' } : {}) }),
+    },
+    {
+        pattern: phrase(`(?:due\\s+)?(?:tomorrow|tmrw?)`),
+        read: (_match, today) => ({ dueDate: addDays(today, 1) }),
+    },
+    {
+        pattern: phrase(`(?:due\\s+)?in\\s+${NUMBER}\\s+(day|week|month|year)s?`),
+        read: (match, today) => {
+            const count = numberOf(match[1]);
+            const unit = match[2].toLowerCase();
+            if (unit === 'day') return { dueDate: addDays(today, count) };
+            if (unit === 'week') return { dueDate: addDays(today, count * 7) };
+            return { dueDate: addMonths(today, unit === 'month' ? count : count * 12) };
+        },
+    },
+    {
+        pattern: phrase(`(?:due\\s+)?next\\s+(week|month|year)`),
+        read: (match, today) => {
+            const unit = match[1].toLowerCase();
+            if (unit === 'week') return { dueDate: addDays(today, 7) };
+            return { dueDate: addMonths(today, unit === 'month' ? 1 : 12) };
+        },
+    },
+    // Full weekday names anywhere; abbreviations after a marker or at the end of the entry
+    ...[
+        `(?:due\\s+|on\\s+)?(next\\s+|this\\s+)?${WEEKDAY_NAME}`,
+        `(?:due\\s+|on\\s+)(next\\s+|this\\s+)?${WEEKDAY}`,
+        `(?:due\\s+|on\\s+)?(next\\s+|this\\s+)${WEEKDAY}`,
+        `(next\\s+|this\\s+)?${WEEKDAY}(?=\\s*$)`,
+    ].map(source => ({ pattern: phrase(source), read: readWeekday })),
+    {
+        pattern: phrase(`(?:due\\s+|on\\s+)?(\\d{4})-(\\d{2})-(\\d{2})`),
+        read: (match) => {
+            const [, year, month, day] = match.map(Number);
+            return isValidDate(year, month - 1, day) ? { dueDate: match.slice(1, 4).join('-') } : null;
+        },
+    },
+    {
+        pattern: phrase(`(?:due\\s+|on\\s+)?${MONTH}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?`),
+        read: (match, today) => {
+            const dueDate = nextYearDay(today, monthOf(match[1]), Number(match[2]), match[3] ? Number(match[3]) : null);
+            return dueDate ? { dueDate } : null;
+        },
+    },
+    {
+        pattern: phrase(`(?:due\\s+|on\\s+)?(?:the\\s+)?(\\d{1,2})(?:st|nd|rd|th)?(?:\\s+of)?\\s+${MONTH}(?:,?\\s+(\\d{4}))?`),
+        read: (match, today) => {
+            const dueDate = nextYearDay(today, monthOf(match[2]), Number(match[1]), match[3] ? Number(match[3]) : null);
+            return dueDate ? { dueDate } : null;
+        },
+    },
+    {
+        pattern: phrase(`(?:due\\s+|on\\s+)?the\\s+${ORDINAL}`),
+        read: (match, today) => {
+            const dueDate = nextMonthDay(today, Number(match[1]));
+            return dueDate ? { dueDate } : null;
+        },
+    },
+];
+
+const TIME_RULES = [
+    {
+        pattern: phrase(`(?:at\\s+|@\\s*)?(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm)`),
+        read: (match) => {
+            const dueTime = toTime(match[1], match[2], match[3]);
+            return dueTime ? { dueTime } : null;
+        },
+    },
+    {
+        pattern: phrase(`(?:at\\s+|@\\s*)?(\\d{1,2}):(\\d{2})`),
+        read: (match) => {
+            const dueTime = toTime(match[1], match[2]);
+            return dueTime ? { dueTime } : null;
+        },
+    },
+    {
+        pattern: phrase(`(?:at\\s+)?(noon|midday|midnight)`),
+        read: (match) => ({ dueTime: match[1].toLowerCase() === 'midnight' ? '00:00' : '12:00' }),
+    },
+    {
+        // Nobody means 5 in the morning by "at 5"
+        pattern: phrase(`(?:at|@)\\s*(\\d{1,2})(?![:\\d])`),
+        read: (match) => {
+            const hour = Number(match[1]);
+            const dueTime = toTime(hour >= 1 && hour <= 7 ? hour + 12 : hour);
+            return dueTime ? { dueTime } : null;
+        },
+    },
+];
+
+/**
+ * The first rule of a group that matches `text`: { match, values }, or null.
+ */
+const findRule = (rules, text, today) => {
+    for (const rule of rules) {
+        const match = text.match(rule.pattern);
+        if (!match) continue;
+        const values = rule.read(match, today);
+        if (values) return { match, values };
+    }
+    return null;
+};
+
+const blankOut = (text, match) => text.slice(0, match.index) + ' ' + text.slice(match.index + match[0].length);
+
+/**
+ * Applies the first matching rule of a group. Returns its values, or null if none matched;
+ * the matched phrase is blanked out of `state.text` so later rules cannot see it.
+ */
+const applyRules = (rules, state, today) => {
+    const found = findRule(rules, state.text, today);
+    if (!found) return null;
+    state.text = blankOut(state.text, found.match);
+    return found.values;
+};
+
+// Weekdays listed together ("Wed and Fri") name two dates, wherever they stand
+const WEEKDAY_PAIR = phrase(`${WEEKDAY}\\s*(?:,|and|or|&)\\s*${WEEKDAY}`);
+
+/**
+ * Like applyRules for the date rules, but finds nothing when the text holds a second date.
+ */
+const applyDateRules = (state, today) => {
+    if (WEEKDAY_PAIR.test(state.text)) return null;
+    const found = findRule(DATE_RULES, state.text, today);
+    if (!found) return null;
+    const rest = blankOut(state.text, found.match);
+    if (findRule(DATE_RULES, rest, today)) return null;
+    state.text = rest;
+    return found.values;
+};
+
+/**
+ * The first due date of a recurring todo that has no explicit date: the first matching
+ * weekday or day of the month from `from`, otherwise `from` itself.
+ */
+const firstOccurrence = (rule, from) => {
+    if (rule.freq === 'weekly' && rule.byWeekday.length > 0) {
+        return rule.byWeekday
+            .map(weekday => nextWeekday(from, weekday))
+            .sort()[0];
+    }
+    if (rule.monthDay) return nextMonthDay(from, rule.monthDay);
+    return from;
+};
+
+export const QuickAddParser = {
+    /**
+     * Parses add-form input. Returns
+     * { text, dueDate, dueTime, recurrence, tags, priority }
+     * where any value that was not typed is '' (dueDate), null, [] or 'none'.
+     * `now` is the moment relative dates are resolved against (default: now, local time).
+     */
+    parse: (input, now = new Date()) => {
+        const today = localDate(now);
+
+        // Hide quoted text from the rules, and restore it (without quotes) at the end
+        const quoted = [];
+        const state = {
+            text: (input || '').replace(/"([^"]*)"/g, (_match, inner) => {
+                quoted.push(inner);
+                return String.fromCharCode(QUOTE_MARK + quoted.length - 1);
+            }),
+        };
+
+        const tags = [];
+        state.text = state.text.replace(/(^|\s)#([\w-]+)/g, (_match, space, tag) => {
+            tags.push(tag);
+            return space;
+        });
+
+        let priority = 'none';
+        state.text = state.text.replace(/(^|\s)!(\w+)(?=\s|$)/g, (match, space, level) => {
+            if (!PRIORITIES.includes(level.toLowerCase()) || level.toLowerCase() === 'none') return match;
+            priority = level.toLowerCase();
+            return space;
+        });
+
+        // Times go before dates, so a weekday followed by a time still ends the entry
+        const recurrence = applyRules(RECURRENCE_RULES, state, today);
+        const time = applyRules(TIME_RULES, state, today) || {};
+        const date = applyDateRules(state, today) || {};
+
+        let dueDate = date.dueDate || '';
+        const dueTime = time.dueTime || date.dueTime || null;
+        // Without a date, a time means the next time it comes round
+        const from = dueTime && dueTime <= localTime(now) ? addDays(today, 1) : today;
+        if (!dueDate && recurrence) {
+            dueDate = firstOccurrence(recurrence, from);
+        }
+        if (!dueDate && dueTime) {
+            dueDate = from;
+        }
+
+        const text = state.text
+            .replace(/[\uE000-\uF8FF]/g, (mark) => quoted[mark.charCodeAt(0) - QUOTE_MARK])
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        return {
+            text,
+            dueDate,
+            dueTime,
+            recurrence: recurrence && { until: null, count: null, ...recurrence },
+            tags,
+            priority,
+        };
+    },
+
+    /**
+     * True if parsing recognized anything, i.e. there is something to preview.
+     */
+    hasMatches: (parsed) => Boolean(
+        parsed.dueDate || parsed.dueTime || parsed.recurrence || parsed.tags.length > 0 || parsed.priority !== 'none'
+    ),
+};
@@ -0,0 +1,151 @@
+import { describe, it, expect } from 'vitest';
+import { QuickAddParser } from './QuickAddParser';
+
+// Monday 19 October 2026, 10:00 local time
+const NOW = new Date(2026, 9, 19, 10, 0);
+
+const parse = (input) => QuickAddParser.parse(input, NOW);
+
+describe('QuickAddParser.parse', () => {
+    it.each([
+        ['Call mom today', 'Call mom', '2026-10-19'],
+        ['Call mom tomorrow', 'Call mom', '2026-10-20'],
+        ['Call mom friday', 'Call mom', '2026-10-23'],
+        ['Call mom on fri', 'Call mom', '2026-10-23'],
+        ['Call mom next friday', 'Call mom', '2026-10-23'],
+        ['Call mom next monday', 'Call mom', '2026-10-26'],
+        ['Call mom monday', 'Call mom', '2026-10-19'],
+        ['Call mom in 3 days', 'Call mom', '2026-10-22'],
+        ['Call mom in two weeks', 'Call mom', '2026-11-02'],
+        ['Call mom in 1 month', 'Call mom', '2026-11-19'],
+        ['Call mom next week', 'Call mom', '2026-10-26'],
+        ['Call mom next month', 'Call mom', '2026-11-19'],
+        ['Call mom 2026-11-01', 'Call mom', '2026-11-01'],
+        ['Call mom nov 1', 'Call mom', '2026-11-01'],
+        ['Call mom 1st november', 'Call mom', '2026-11-01'],
+        ['Call mom march 3', 'Call mom', '2027-03-03'],
+        ['Call mom on the 15th', 'Call mom', '2026-11-15'],
+        ['Call mom on the 25th', 'Call mom', '2026-10-25'],
+    ])('reads the date in %s', (input, text, dueDate) => {
+        expect(parse(input)).toMatchObject({ text, dueDate, dueTime: null, recurrence: null });
+    });
+
+    it.each([
+        ['Party may 32'],
+        ['Party feb 30'],
+        ['Party 2026-02-30'],
+        ['Party on the 32nd'],
+    ])('leaves the invalid date in %s as text', (input) => {
+        expect(parse(input)).toMatchObject({ text: input, dueDate: '' });
+    });
+
+    it.each([
+        ['Standup 9am tomorrow', '2026-10-20', '09:00'],
+        ['Standup 9:30pm', '2026-10-19', '21:30'],
+        ['Standup at 14:30', '2026-10-19', '14:30'],
+        ['Standup at 5', '2026-10-19', '17:00'],
+        ['Standup at 7', '2026-10-19', '19:00'],
+        ['Standup at 8', '2026-10-20', '08:00'],
+        ['Standup at 11', '2026-10-19', '11:00'],
+        ['Standup noon', '2026-10-19', '12:00'],
+        ['Standup midnight', '2026-10-20', '00:00'],
+        ['Standup tonight', '2026-10-19', '20:00'],
+        ['Standup friday at 9', '2026-10-23', '09:00'],
+    ])('reads the time in %s (a time already past today means tomorrow)', (input, dueDate, dueTime) => {
+        expect(parse(input)).toMatchObject({ text: 'Standup', dueDate, dueTime });
+    });
+
+    it.each([
+        ['13pm'],
+        ['at 25'],
+        ['at 9:75'],
+    ])('leaves the invalid time %s as text', (input) => {
+        expect(parse(`Standup ${input}`)).toMatchObject({ text: `Standup ${input}`, dueTime: null });
+    });
+
+    it.each([
+        ['Water plants daily', { freq: 'daily', interval: 1, byWeekday: [] }, '2026-10-19'],
+        ['Water plants annually', { freq: 'yearly', interval: 1, byWeekday: [] }, '2026-10-19'],
+        ['Water plants every 2 weeks', { freq: 'weekly', interval: 2, byWeekday: [] }, '2026-10-19'],
+        ['Water plants every other day', { freq: 'daily', interval: 2, byWeekday: [] }, '2026-10-19'],
+        ['Water plants every weekday', { freq: 'weekly', interval: 1, byWeekday: [1, 2, 3, 4, 5] }, '2026-10-19'],
+        ['Water plants every weekend', { freq: 'weekly', interval: 1, byWeekday: [0, 6] }, '2026-10-24'],
+        ['Water plants every monday and thursday', { freq: 'weekly', interval: 1, byWeekday: [1, 4] }, '2026-10-19'],
+        ['Water plants every week on tue, fri', { freq: 'weekly', interval: 1, byWeekday: [2, 5] }, '2026-10-20'],
+        ['Water plants every month on the 1st', { freq: 'monthly', interval: 1, byWeekday: [], monthDay: 1 }, '2026-11-01'],
+    ])('reads the recurrence in %s', (input, recurrence, dueDate) => {
+        expect(parse(input)).toEqual({
+            text: 'Water plants',
+            dueDate,
+            dueTime: null,
+            recurrence: { until: null, count: null, ...recurrence },
+            tags: [],
+            priority: 'none',
+        });
+    });
+
+    it('keeps an explicit date over the first occurrence of a recurrence', () => {
+        expect(parse('Pay rent every month on the 1st #home !high tomorrow 9am')).toEqual({
+            text: 'Pay rent',
+            dueDate: '2026-10-20',
+            dueTime: '09:00',
+            recurrence: { freq: 'monthly', interval: 1, byWeekday: [], monthDay: 1, until: null, count: null },
+            tags: ['home'],
+            priority: 'high',
+        });
+    });
+
+    it('reads tags and priorities, but not unknown priorities', () => {
+        expect(parse('#home Buy milk #errands-2 !URGENT')).toMatchObject({
+            text: 'Buy milk', tags: ['home', 'errands-2'], priority: 'urgent',
+        });
+        expect(parse('Buy milk !none !soon')).toMatchObject({ text: 'Buy milk !none !soon', priority: 'none' });
+        expect(parse('Email bob#1')).toMatchObject({ text: 'Email bob#1', tags: [] });
+    });
+
+    it('never parses quoted text', () => {
+        expect(parse('"Meet at 9am" tomorrow')).toMatchObject({ text: 'Meet at 9am', dueDate: '2026-10-20', dueTime: null });
+        expect(parse('Read "Friday #1" next week')).toMatchObject({ text: 'Read Friday #1', dueDate: '2026-10-26', tags: [] });
+    });
+
+    it('takes no date when the text names two', () => {
+        expect(parse('Visit Wed and Fri')).toMatchObject({ text: 'Visit Wed and Fri', dueDate: '' });
+        expect(parse('Move the Monday meeting to tomorrow')).toMatchObject({
+            text: 'Move the Monday meeting to tomorrow', dueDate: '',
+        });
+        expect(parse('Visit Wed and Fri at 5pm')).toMatchObject({
+            text: 'Visit Wed and Fri', dueDate: '2026-10-19', dueTime: '17:00',
+        });
+    });
+
+    it.each([
+        ['Sun cream'],
+        ['Wed dress fitting'],
+        ['Mon Cheri chocolates'],
+        ['Sat nav update'],
+    ])('keeps the weekday abbreviation in %s as text', (input) => {
+        expect(parse(input)).toMatchObject({ text: input, dueDate: '' });
+    });
+
+    it.each([
+        ['Buy sun cream on sat', 'Buy sun cream', '2026-10-24'],
+        ['Buy sun cream next sat', 'Buy sun cream', '2026-10-24'],
+        ['Wed dress fitting thu', 'Wed dress fitting', '2026-10-22'],
+        ['Wed dress fitting thu at 5', 'Wed dress fitting', '2026-10-22'],
+        ['Sun cream saturday', 'Sun cream', '2026-10-24'],
+    ])('reads a weekday abbreviation after a marker or at the end of %s', (input, text, dueDate) => {
+        expect(parse(input)).toMatchObject({ text, dueDate });
+    });
+
+    it('only matches whole words', () => {
+        expect(parse('Fix the satellite monthlyish')).toMatchObject({
+            text: 'Fix the satellite monthlyish', dueDate: '', recurrence: null,
+        });
+    });
+
+    it('returns empty values for empty input', () => {
+        expect(parse('')).toEqual({ text: '', dueDate: '', dueTime: null, recurrence: null, tags: [], priority: 'none' });
+        expect(QuickAddParser.hasMatches(parse('Buy milk'))).toBe(false);
+        expect(QuickAddParser.hasMatches(parse('Buy milk !low'))).toBe(true);
+    });
+});
@@ -0,0 +1,170 @@
+/**
+ * RecurrenceModel.js
+ *
+ * MODEL LAYER
+ *
+ * An RRULE-style recurrence rule for repeating todos, and the engine that
+ * computes the next occurrence. Pure functions only: no UI, no persistence.
+ *
+ * A rule looks like:
+ * {
+ *   freq: 'daily' | 'weekly' | 'monthly' | 'yearly',
+ *   interval: 1,           // every N days/weeks/months/years
+ *   byWeekday: [1, 3],     // weekly only: 0 = Sunday ... 6 = Saturday
+ *   monthDay: 31,          // monthly/yearly anchor, taken from the first due date
+ *   month: 0,              // yearly anchor (0 = January)
+ *   until: '2026-12-31',   // optional last allowed due date (inclusive)
+ *   count: 5,              // optional number of occurrences left, including the current one
+ * }
+ *
+ * Dates are handled as calendar dates ('YYYY-MM-DD') in UTC, so daylight saving
+ * transitions never shift an occurrence by a day. Monthly and yearly rules keep
+ * their anchor day: a rule started on Jan 31 falls on Feb 28 (or 29) and then Mar 31.
+ */
+
+export const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses the date part of a date or timestamp string into a UTC Date.
+ */
+const parseDate = (value) => {
+    const [year, month, day] = value.slice(0, 10).split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+};
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Returns the given day of a month, clamped to the month's last day.
+ */
+const clampedDate = (year, month, day) =>
+    new Date(Date.UTC(year, month, Math.min(day, daysInMonth(year, month))));
+
+/**
+ * Today's local calendar date.
+ */
+const today = () => {
+    const now = new Date();
+    return formatDate(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+};
+
+const isValidDate = (value) =>
+    typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(parseDate(value).getTime());
+
+export class RecurrenceModel {
+    /**
+     * Validates a rule and anchors it to the first due date.
+     * An explicit `monthDay` (1-31) anchors monthly and yearly rules to that day instead.
+     * Throws if the rule is malformed.
+     */
+    static create({ freq, interval = 1, byWeekday = [], monthDay = null, until = null, count = null }, dueDate) {
+        if (!FREQUENCIES.includes(freq)) {
+            throw new Error(`Unknown recurrence frequency: ${freq}`);
+        }
+        const step = Number(interval);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error('Recurrence interval must be a positive whole number');
+        }
+        if (monthDay !== null && (!Number.isInteger(Number(monthDay)) || monthDay < 1 || monthDay > 31)) {
+            throw new Error('Recurrence day of the month must be between 1 and 31');
+        }
+        if (until && !isValidDate(until)) {
+            throw new Error('Recurrence end date is not a valid date');
+        }
+        if (count !== null && count !== '' && (!Number.isInteger(Number(count)) || Number(count) < 1)) {
+            throw new Error('Recurrence count must be a positive whole number');
+        }
+
+        const start = parseDate(dueDate && isValidDate(dueDate) ? dueDate : today());
+        const weekdays = freq === 'weekly'
+            ? [...new Set(byWeekday.map(Number))].filter(d => d >= 0 && d <= 6).sort((a, b) => a - b)
+            : [];
+
+        return {
+            freq,
+            interval: step,
+            byWeekday: freq === 'weekly' && weekdays.length === 0 ? [start.getUTCDay()] : weekdays,
+            monthDay: monthDay === null ? start.getUTCDate() : Number(monthDay),
+            month: start.getUTCMonth(),
+            until: until || null,
+            count: count === null || count === '' ? null : Number(count),
+        };
+    }
+
+    /**
+     * Computes the due date that follows `dueDate` under `rule`, ignoring end conditions.
+     */
+    static nextDate(rule, dueDate) {
+        const current = parseDate(dueDate);
+        const year = current.getUTCFullYear();
+        const month = current.getUTCMonth();
+
+        switch (rule.freq) {
+            case 'daily':
+                return formatDate(addDays(current, rule.interval));
+
+            case 'weekly': {
+                const weekday = current.getUTCDay();
+                const laterThisWeek = rule.byWeekday.find(d => d > weekday);
+                if (laterThisWeek !== undefined) {
+                    return formatDate(addDays(current, laterThisWeek - weekday));
+                }
+                // Jump to the start (Sunday) of the week `interval` weeks ahead
+                const weekStart = addDays(current, 7 * rule.interval - weekday);
+                return formatDate(addDays(weekStart, rule.byWeekday[0]));
+            }
+
+            case 'monthly': {
+                const target = month + rule.interval;
+                return formatDate(clampedDate(year + Math.floor(target / 12), target % 12, rule.monthDay));
+            }
+
+            case 'yearly':
+                return formatDate(clampedDate(year + rule.interval, rule.month, rule.monthDay));
+
+            default:
+                throw new Error(`Unknown recurrence frequency: ${rule.freq}`);
+        }
+    }
+
+    /**
+     * Returns the next occurrence as { dueDate, rule }, or null when the rule has ended.
+     * The returned rule has its remaining count decremented.
+     * Todos without a due date recur from today.
+     */
+    static nextOccurrence(rule, dueDate) {
+        if (!rule) return null;
+        if (rule.count !== null && rule.count <= 1) return null;
+
+        const nextDueDate = RecurrenceModel.nextDate(rule, dueDate || today());
+        if (rule.until && nextDueDate > rule.until.slice(0, 10)) return null;
+
+        return {
+            dueDate: nextDueDate,
+            rule: { ...rule, count: rule.count === null ? null : rule.count - 1 },
+        };
+    }
+
+    /**
+     * Human-readable summary, e.g. "Every 2 weeks on Mon, Wed".
+     */
+    static describe(rule) {
+        if (!rule) return '';
+        const unit = { daily: 'day', weekly: 'week', monthly: 'month', yearly: 'year' }[rule.freq];
+        let text = rule.interval === 1 ? `Every ${unit}` : `Every ${rule.interval} ${unit}s`;
+        if (rule.freq === 'weekly' && rule.byWeekday.length > 0) {
+            text += ` on ${rule.byWeekday.map(d => WEEKDAY_NAMES[d]).join(', ')}`;
+        }
+        if (rule.until) text += ` until ${rule.until.slice(0, 10)}`;
+        if (rule.count !== null) text += ` (${rule.count} left)`;
+        return text;
+    }
+}
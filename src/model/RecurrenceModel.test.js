@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import { RecurrenceModel } from './RecurrenceModel';
+
+/**
+ * The due dates a rule produces after `dueDate`, following nextOccurrence until the
+ * rule ends or `limit` dates have been produced.
+ */
+const occurrences = (rule, dueDate, limit = 10) => {
+    const dates = [];
+    let current = { rule, dueDate };
+    while (dates.length < limit) {
+        current = RecurrenceModel.nextOccurrence(current.rule, current.dueDate);
+        if (!current) break;
+        dates.push(current.dueDate);
+    }
+    return dates;
+};
+
+describe('RecurrenceModel.create', () => {
+    it('anchors monthly and yearly rules to the first due date', () => {
+        expect(RecurrenceModel.create({ freq: 'yearly' }, '2024-02-29')).toEqual({
+            freq: 'yearly', interval: 1, byWeekday: [], monthDay: 29, month: 1, until: null, count: null,
+        });
+    });
+
+    it('defaults weekly rules to the weekday of the first due date, and sorts weekdays', () => {
+        expect(RecurrenceModel.create({ freq: 'weekly' }, '2026-10-20').byWeekday).toEqual([2]);
+        expect(RecurrenceModel.create({ freq: 'weekly', byWeekday: [5, 1, 5, 9] }, '2026-10-20').byWeekday).toEqual([1, 5]);
+    });
+
+    it('reads counts and intervals typed in a form', () => {
+        expect(RecurrenceModel.create({ freq: 'daily', interval: '3', count: '4' }, '2026-10-20'))
+            .toMatchObject({ interval: 3, count: 4 });
+        expect(RecurrenceModel.create({ freq: 'daily', count: '' }, '2026-10-20').count).toBeNull();
+    });
+
+    it.each([
+        [{ freq: 'hourly' }, 'Unknown recurrence frequency: hourly'],
+        [{ freq: 'daily', interval: 0 }, 'Recurrence interval must be a positive whole number'],
+        [{ freq: 'daily', interval: 1.5 }, 'Recurrence interval must be a positive whole number'],
+        [{ freq: 'monthly', monthDay: 32 }, 'Recurrence day of the month must be between 1 and 31'],
+        [{ freq: 'daily', until: 'soon' }, 'Recurrence end date is not a valid date'],
+        [{ freq: 'daily', count: 0 }, 'Recurrence count must be a positive whole number'],
+    ])('rejects %o', (rule, message) => {
+        expect(() => RecurrenceModel.create(rule, '2026-10-20')).toThrow(message);
+    });
+});
+
+describe('RecurrenceModel.nextOccurrence', () => {
+    it('keeps the Jan 31 anchor of a monthly rule through short months', () => {
+        const rule = RecurrenceModel.create({ freq: 'monthly' }, '2026-01-31');
+        expect(occurrences(rule, '2026-01-31', 4)).toEqual(['2026-02-28', '2026-03-31', '2026-04-30', '2026-05-31']);
+        expect(occurrences(rule, '2028-01-31', 1)).toEqual(['2028-02-29']);
+    });
+
+    it('moves a monthly rule across the end of the year', () => {
+        const rule = RecurrenceModel.create({ freq: 'monthly', interval: 3 }, '2026-11-30');
+        expect(occurrences(rule, '2026-11-30', 2)).toEqual(['2027-02-28', '2027-05-30']);
+    });
+
+    it('keeps Feb 29 of a yearly rule for leap years', () => {
+        const rule = RecurrenceModel.create({ freq: 'yearly' }, '2024-02-29');
+        expect(occurrences(rule, '2024-02-29', 4)).toEqual(['2025-02-28', '2026-02-28', '2027-02-28', '2028-02-29']);
+    });
+
+    it('stops after the until date, which is inclusive', () => {
+        const rule = RecurrenceModel.create({ freq: 'daily', until: '2026-01-03' }, '2026-01-01');
+        expect(occurrences(rule, '2026-01-01')).toEqual(['2026-01-02', '2026-01-03']);
+        const timestamped = RecurrenceModel.create({ freq: 'daily', until: '2026-01-03T00:00:00.000Z' }, '2026-01-01');
+        expect(occurrences(timestamped, '2026-01-01')).toEqual(['2026-01-02', '2026-01-03']);
+    });
+
+    it('stops once the count, which includes the current occurrence, runs out', () => {
+        const rule = RecurrenceModel.create({ freq: 'weekly', count: 3 }, '2026-10-19');
+        expect(occurrences(rule, '2026-10-19')).toEqual(['2026-10-26', '2026-11-02']);
+        expect(RecurrenceModel.nextOccurrence(rule, '2026-10-19').rule.count).toBe(2);
+        expect(RecurrenceModel.nextOccurrence({ ...rule, count: 1 }, '2026-10-19')).toBeNull();
+    });
+
+    it('ends at whichever of until and count comes first', () => {
+        const rule = RecurrenceModel.create({ freq: 'daily', count: 10, until: '2026-01-02' }, '2026-01-01');
+        expect(occurrences(rule, '2026-01-01')).toEqual(['2026-01-02']);
+    });
+
+    it('visits every weekday of a week before skipping `interval` weeks', () => {
+        // Monday 19 October 2026, every 2 weeks on Monday and Wednesday
+        const rule = RecurrenceModel.create({ freq: 'weekly', interval: 2, byWeekday: [1, 3] }, '2026-10-19');
+        expect(occurrences(rule, '2026-10-19', 5))
+            .toEqual(['2026-10-21', '2026-11-02', '2026-11-04', '2026-11-16', '2026-11-18']);
+    });
+
+    it('counts weeks from Sunday when the weekdays wrap around', () => {
+        // Saturday 24 October 2026, every 3 weeks on Sunday and Saturday
+        const rule = RecurrenceModel.create({ freq: 'weekly', interval: 3, byWeekday: [0, 6] }, '2026-10-24');
+        expect(occurrences(rule, '2026-10-24', 3)).toEqual(['2026-11-08', '2026-11-14', '2026-11-29']);
+    });
+
+    it('steps daily rules by the interval', () => {
+        const rule = RecurrenceModel.create({ freq: 'daily', interval: 10 }, '2026-12-25');
+        expect(occurrences(rule, '2026-12-25', 2)).toEqual(['2027-01-04', '2027-01-14']);
+    });
+
+    it('returns null without a rule', () => {
+        expect(RecurrenceModel.nextOccurrence(null, '2026-10-19')).toBeNull();
+    });
+});
+
+describe('RecurrenceModel.describe', () => {
+    it('summarizes a rule', () => {
+        expect(RecurrenceModel.describe(RecurrenceModel.create({ freq: 'daily' }, '2026-10-19'))).toBe('Every day');
+        expect(RecurrenceModel.describe(
+            RecurrenceModel.create({ freq: 'weekly', interval: 2, byWeekday: [1, 3], until: '2026-12-31', count: 4 }, '2026-10-19')
+        )).toBe('Every 2 weeks on Mon, Wed until 2026-12-31 (4 left)');
+    });
+});
@@ -0,0 +1,82 @@
+/**
+ * ReminderModel.js
+ *
+ * MODEL LAYER
+ *
+ * Per-todo reminders and the schedule of notifications they produce.
+ * Pure functions only: the ViewModel hands the schedule to ReminderService,
+ * whose service worker shows the notifications.
+ *
+ * A todo's `reminders` is a list of preset ids (see REMINDERS). Offsets count back
+ * from the due time; todos without a due time use DEFAULT_DUE_TIME on their due date.
+ * "Morning of" fires at MORNING_TIME on the due date.
+ */
+
+import { DueTime } from './DueTime';
+
+export const REMINDERS = [
+    { id: 'atDue', label: 'At due time', minutes: 0 },
+    { id: '15m', label: '15 minutes before', minutes: 15 },
+    { id: '1h', label: '1 hour before', minutes: 60 },
+    { id: '1d', label: '1 day before', minutes: 24 * 60 },
+    { id: 'morningOf', label: 'Morning of', time: '08:00' },
+];
+
+// Due time assumed for reminders on todos that have only a due date
+export const DEFAULT_DUE_TIME = '09:00';
+
+const MINUTE_MS = 60 * 1000;
+
+export class ReminderModel {
+    /**
+     * Keeps the known reminder ids, without duplicates, in REMINDERS order.
+     * Throws on unknown ids.
+     */
+    static normalize(reminders) {
+        const ids = reminders || [];
+        const unknown = ids.find(id => !REMINDERS.some(r => r.id === id));
+        if (unknown) {
+            throw new Error(`Unknown reminder: ${unknown}`);
+        }
+        return REMINDERS.map(r => r.id).filter(id => ids.includes(id));
+    }
+
+    /**
+     * Returns the moment a reminder of a todo fires, or null if the todo has no due date.
+     */
+    static fireTime(todo, reminderId) {
+        if (!todo.dueDate) return null;
+        const reminder = REMINDERS.find(r => r.id === reminderId);
+        if (!reminder) return null;
+
+        const timeZone = todo.dueTime ? todo.timeZone || DueTime.localTimeZone() : DueTime.localTimeZone();
+        if (reminder.time) {
+            return DueTime.toInstant(todo.dueDate, reminder.time, timeZone);
+        }
+        const due = DueTime.toInstant(todo.dueDate, todo.dueTime || DEFAULT_DUE_TIME, timeZone);
+        return new Date(due.getTime() - reminder.minutes * MINUTE_MS);
+    }
+
+    /**
+     * Builds the notification schedule for a set of todos:
+     * [{ key, at, title, body }] for every reminder of an open todo that fires after `since`.
+     * Keys identify a reminder across id changes (they use the creation time, not the id),
+     * so a reminder is never shown twice.
+     */
+    static schedule(todos, since = new Date()) {
+        return todos
+            .filter(todo => !todo.completed && !todo.archivedAt && !todo.deletedAt)
+            .flatMap(todo => (todo.reminders || []).map(reminderId => {
+                const at = ReminderModel.fireTime(todo, reminderId);
+                if (!at || at <= since) return null;
+                return {
+                    key: `${todo.createdAt}|${reminderId}|${at.toISOString()}`,
+                    at: at.toISOString(),
+                    title: todo.text,
+                    body: `Due ${DueTime.describe(todo)}`,
+                };
+            }))
+            .filter(Boolean)
+            .sort((a, b) => a.at.localeCompare(b.at));
+    }
+}
@@ -0,0 +1,30 @@
+/**
+ * SelectionModel.js
+ *
+ * MODEL LAYER
+ *
+ * Multi-select helpers for the todo lists. Pure functions only.
+ *
+ * The View keeps an anchor: the todo whose checkbox was clicked last.
+ * Shift-clicking another checkbox applies the same choice to every todo between
+ * the anchor and the clicked one, in the order they are shown.
+ */
+
+export const SelectionModel = {
+    /**
+     * Ids from `anchorId` to `id` (both included) in `shownIds`,
+     * or just `id` if the anchor is not shown (any more).
+     */
+    range: (shownIds, anchorId, id) => {
+        const from = shownIds.indexOf(anchorId);
+        const to = shownIds.indexOf(id);
+        if (from === -1 || to === -1) return [id];
+        return shownIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+    },
+
+    /**
+     * True if every shown id is selected (and at least one is shown).
+     */
+    allSelected: (shownIds, selectedIds) =>
+        shownIds.length > 0 && shownIds.every(id => selectedIds.includes(id)),
+};
@@ -0,0 +1,43 @@
+/**
+ * SharingModel.js
+ *
+ * MODEL LAYER
+ *
+ * Rules for sharing lists with collaborators.
+ * - 'owner' is implied for the creator of a list and cannot be granted.
+ * - 'editor' can add, change and delete todos in the list.
+ * - 'viewer' can only read them.
+ */
+
+export const ROLES = ['viewer', 'editor'];
+
+export const OWNER_ROLE = 'owner';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export class SharingModel {
+    /**
+     * True if the role allows changing todos.
+     */
+    static canEdit(role) {
+        return role === OWNER_ROLE || role === 'editor';
+    }
+
+    /**
+     * Validates an invitation and returns it normalized ({ email, role }).
+     * Throws if the email or role is invalid, or if users invite themselves.
+     */
+    static validateInvite(email, role, ownEmail) {
+        const normalized = (email || '').trim().toLowerCase();
+        if (!EMAIL_PATTERN.test(normalized)) {
+            throw new Error('Please enter a valid email address');
+        }
+        if (ownEmail && normalized === ownEmail.toLowerCase()) {
+            throw new Error('You already own this list');
+        }
+        if (!ROLES.includes(role)) {
+            throw new Error(`Unknown role: ${role}`);
+        }
+        return { email: normalized, role };
+    }
+}
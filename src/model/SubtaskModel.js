@@ -0,0 +1,80 @@
+/**
+ * SubtaskModel.js
+ *
+ * MODEL LAYER
+ *
+ * Defines a subtask (checklist item) nested under a todo, and the rules for
+ * working with a todo's ordered list of subtasks.
+ * All list helpers are pure: they return a new array and never mutate their input.
+ */
+
+export class SubtaskModel {
+    constructor(text) {
+        this.id = crypto.randomUUID();
+        this.text = text;
+        this.completed = false;
+    }
+
+    /**
+     * Factory method to create a new Subtask instance.
+     */
+    static create(text) {
+        if (!text || text.trim() === '') {
+            throw new Error('Subtask text cannot be empty');
+        }
+        return new SubtaskModel(text.trim());
+    }
+
+    /**
+     * Appends a subtask to the list.
+     */
+    static add(subtasks, subtask) {
+        return [...subtasks, subtask];
+    }
+
+    /**
+     * Flips the completion state of one subtask.
+     */
+    static toggle(subtasks, id) {
+        return subtasks.map(s => s.id === id ? { ...s, completed: !s.completed } : s);
+    }
+
+    /**
+     * Removes one subtask.
+     */
+    static remove(subtasks, id) {
+        return subtasks.filter(s => s.id !== id);
+    }
+
+    /**
+     * Moves a subtask by `offset` positions (-1 = up, 1 = down), clamped to the list bounds.
+     */
+    static move(subtasks, id, offset) {
+        const from = subtasks.findIndex(s => s.id === id);
+        if (from === -1) return subtasks;
+        const to = Math.max(0, Math.min(subtasks.length - 1, from + offset));
+        if (to === from) return subtasks;
+
+        const next = [...subtasks];
+        const [moved] = next.splice(from, 1);
+        next.splice(to, 0, moved);
+        return next;
+    }
+
+    /**
+     * Returns { done, total } for a progress indicator.
+     */
+    static progress(subtasks) {
+        return {
+            done: subtasks.filter(s => s.completed).length,
+            total: subtasks.length,
+        };
+    }
+
+    /**
+     * True when the list is non-empty and every subtask is completed.
+     */
+    static allCompleted(subtasks) {
+        return subtasks.length > 0 && subtasks.every(s => s.completed);
+    }
+}
@@ -10,22 +10,274 @@
  * 3. Being independent of the User Interface (View) and State Management (ViewModel).
  */
 
+import { RecurrenceModel } from './RecurrenceModel';
+import { ReminderModel } from './ReminderModel';
+import { DueTime } from './DueTime';
+
+// Priority levels, from lowest to highest
+export const PRIORITIES = ['none', 'low', 'medium', 'high', 'urgent'];
+
+// Longest todo text, notes and tag names, in characters
+export const TEXT_MAX_LENGTH = 500;
+export const NOTES_MAX_LENGTH = 10000;
+export const TAG_MAX_LENGTH = 50;
+
+// Days a deleted todo stays in the trash before it is purged for good
+export const TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 export class TodoModel {
     constructor(text, dueDate = '') {
         this.id = Date.now(); // Unique identifier based on timestamp
         this.text = text;
+        this.notes = ''; // Long-form notes, written in Markdown (see MarkdownModel)
         this.completed = false;
+        this.completedAt = null; // ISO timestamp of the (latest) completion; null while open
         this.dueDate = dueDate;
+        this.dueTime = null; // Optional 'HH:MM' on the due date (see DueTime)
+        this.timeZone = null; // IANA time zone the due time was set in
+        this.reminders = []; // ReminderModel preset ids, e.g. ['15m', 'morningOf']
+        this.archivedAt = null; // ISO timestamp set when the todo is moved to the archive
+        this.deletedAt = null; // ISO timestamp set when the todo is moved to the trash
+        this.subtasks = []; // Ordered list of SubtaskModel-shaped objects
+        this.recurrence = null; // RecurrenceModel rule, or null for one-off todos
+        this.listId = null; // Id of the list the todo belongs to; null means the Inbox
+        this.createdBy = null; // Email of the user who created the todo
+        this.updatedBy = null; // Email of the user who last changed the todo
+        this.tags = []; // Lowercase tag names without the leading '#'
+        this.priority = 'none'; // One of PRIORITIES
+        this.position = null; // TodoPosition key for manual ordering; null sorts last
+        this.createdAt = new Date().toISOString();
     }
 
     /**
      * Factory method to create a new Todo instance.
      * Encapsulates the creation logic.
+     * The text must not be blank. The due date, if any, must be a valid 'YYYY-MM-DD' date.
+     * Optional `fields.notes` holds Markdown notes;
+     * Optional `fields.dueTime` ('HH:MM') needs a due date and is anchored to
+     * `fields.timeZone` (default: this device's time zone);
+     * optional `fields.reminders` lists ReminderModel preset ids;
+     * optional `fields.recurrence` is validated and anchored to the due date;
+     * optional `fields.listId` places the todo in a list;
+     * optional `fields.tags` (array or "#a, b" string) is normalized;
+     * optional `fields.priority` must be one of PRIORITIES;
+     * optional `fields.position` places the todo in the manual order.
+     * Throws the first validation error (see validateFields).
+     */
+    static create(text, dueDate, fields = {}) {
+        const { values, errors } = TodoModel.validateFields({ ...fields, text, dueDate });
+        const [firstError] = Object.values(errors);
+        if (firstError) {
+            throw new Error(firstError);
+        }
+        const todo = new TodoModel(values.text, values.dueDate);
+        todo.notes = values.notes ?? '';
+        todo.recurrence = values.recurrence ?? null;
+        todo.listId = fields.listId ?? null;
+        todo.tags = values.tags ?? [];
+        todo.priority = values.priority ?? 'none';
+        todo.position = fields.position ?? null;
+        todo.dueTime = values.dueTime;
+        todo.timeZone = values.timeZone;
+        todo.reminders = values.reminders ?? [];
+        return todo;
+    }
+
+    /**
+     * Validates the fields of a new or edited todo, one field at a time.
+     * Only the fields present in `fields` are checked; `todo` (when editing) supplies the
+     * current values they depend on, such as the due date a new due time falls on.
+     * Returns { values, errors }: the normalized values, and a message for each invalid
+     * field, keyed by field name (no keys when everything is valid).
+     */
+    static validateFields(fields, todo = null) {
+        const values = {};
+        const errors = {};
+        const check = (field, validate) => {
+            if (!(field in fields)) return;
+            try {
+                values[field] = validate(fields[field]);
+            } catch (error) {
+                errors[field] = error.message;
+            }
+        };
+
+        check('text', TodoModel.validateText);
+        check('notes', TodoModel.validateNotes);
+        check('dueDate', TodoModel.validateDueDate);
+        check('tags', TodoModel.validateTags);
+        check('priority', TodoModel.validatePriority);
+        check('reminders', ReminderModel.normalize);
+        if (errors.dueDate) return { values, errors };
+
+        const dueDate = 'dueDate' in values ? values.dueDate : todo?.dueDate || '';
+        if ('dueDate' in fields || 'dueTime' in fields || 'timeZone' in fields) {
+            const dueTime = 'dueTime' in fields ? fields.dueTime : todo?.dueTime;
+            // A changed time is anchored to this device's zone unless one is given
+            const keptZone = todo && dueTime === todo.dueTime ? todo.timeZone : null;
+            const timeZone = 'timeZone' in fields ? fields.timeZone : keptZone;
+            if (timeZone && !DueTime.isValidTimeZone(timeZone)) {
+                errors.timeZone = `Unknown time zone: ${timeZone}`;
+            } else {
+                try {
+                    Object.assign(values, TodoModel.validateDueTime(dueDate, dueTime, timeZone));
+                } catch (error) {
+                    errors.dueTime = error.message;
+                }
+            }
+        }
+        if ('recurrence' in fields) {
+            try {
+                values.recurrence = fields.recurrence ? RecurrenceModel.create(fields.recurrence, dueDate) : null;
+            } catch (error) {
+                errors.recurrence = error.message;
+            }
+        }
+        return { values, errors };
+    }
+
+    /**
+     * Returns the todo text without surrounding whitespace.
+     * Throws if it is blank or longer than TEXT_MAX_LENGTH.
      */
-    static create(text, dueDate) {
-        if (!text || text.trim() === '') {
+    static validateText(text) {
+        const trimmed = (text || '').trim();
+        if (trimmed === '') {
             throw new Error('Todo text cannot be empty');
         }
-        return new TodoModel(text, dueDate);
+        if (trimmed.length > TEXT_MAX_LENGTH) {
+            throw new Error(`Todo text cannot be longer than ${TEXT_MAX_LENGTH} characters`);
+        }
+        return trimmed;
+    }
+
+    /**
+     * Returns the notes without trailing whitespace ('' for none).
+     * Throws if they are longer than NOTES_MAX_LENGTH.
+     */
+    static validateNotes(notes) {
+        const trimmed = (notes || '').trimEnd();
+        if (trimmed.length > NOTES_MAX_LENGTH) {
+            throw new Error(`Notes cannot be longer than ${NOTES_MAX_LENGTH} characters`);
+        }
+        return trimmed;
+    }
+
+    /**
+     * Returns the due date ('YYYY-MM-DD', optionally followed by a time), or '' for none.
+     * Throws if it is not a valid calendar date.
+     */
+    static validateDueDate(dueDate) {
+        if (!dueDate) return '';
+        const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(dueDate);
+        const date = match && new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+        if (!date || date.getUTCMonth() !== match[2] - 1 || date.getUTCDate() !== Number(match[3])) {
+            throw new Error(`Invalid due date: ${dueDate}`);
+        }
+        return dueDate;
+    }
+
+    /**
+     * Returns { dueTime, timeZone } for a due time on `dueDate`: both null without a time,
+     * otherwise the time zone defaults to this device's. Throws on invalid values.
+     */
+    static validateDueTime(dueDate, dueTime, timeZone) {
+        if (!dueTime) return { dueTime: null, timeZone: null };
+        if (!dueDate) {
+            throw new Error('A due time needs a due date');
+        }
+        if (!DueTime.isValidTime(dueTime)) {
+            throw new Error(`Invalid due time: ${dueTime}`);
+        }
+        const zone = timeZone || DueTime.localTimeZone();
+        if (!DueTime.isValidTimeZone(zone)) {
+            throw new Error(`Unknown time zone: ${zone}`);
+        }
+        return { dueTime, timeZone: zone };
+    }
+
+    /**
+     * Returns a valid priority, defaulting to 'none'. Throws on unknown values.
+     */
+    static validatePriority(priority) {
+        if (!priority) return 'none';
+        if (!PRIORITIES.includes(priority)) {
+            throw new Error(`Unknown priority: ${priority}`);
+        }
+        return priority;
+    }
+
+    /**
+     * Returns normalized tags (see normalizeTags). Throws if a tag is longer than TAG_MAX_LENGTH.
+     */
+    static validateTags(tags) {
+        const normalized = TodoModel.normalizeTags(tags);
+        const long = normalized.find(tag => tag.length > TAG_MAX_LENGTH);
+        if (long) {
+            throw new Error(`Tags cannot be longer than ${TAG_MAX_LENGTH} characters`);
+        }
+        return normalized;
+    }
+
+    /**
+     * Normalizes tags: accepts an array or a comma/space separated string,
+     * strips leading '#', lowercases, and drops blanks and duplicates.
+     */
+    static normalizeTags(tags) {
+        const list = Array.isArray(tags) ? tags : (tags || '').split(/[\s,]+/);
+        const normalized = list
+            .map(tag => String(tag).trim().replace(/^#+/, '').toLowerCase())
+            .filter(Boolean);
+        return [...new Set(normalized)];
+    }
+
+    /**
+     * True once a trashed todo has been in the trash for TRASH_RETENTION_DAYS.
+     */
+    static isTrashExpired(todo, now = new Date()) {
+        if (!todo.deletedAt) return false;
+        return now.getTime() - Date.parse(todo.deletedAt) >= TRASH_RETENTION_DAYS * DAY_MS;
+    }
+
+    /**
+     * Returns how many whole days a trashed todo has left before it is purged.
+     */
+    static trashDaysLeft(todo, now = new Date()) {
+        const elapsed = now.getTime() - Date.parse(todo.deletedAt);
+        return Math.max(0, Math.ceil((TRASH_RETENTION_DAYS * DAY_MS - elapsed) / DAY_MS));
+    }
+
+    /**
+     * Returns a copy of a todo marked as completed or open. Completing stamps completedAt
+     * (kept if the todo was already completed); reopening clears it.
+     */
+    static withCompletion(todo, completed, now = new Date()) {
+        let completedAt = null;
+        if (completed) completedAt = todo.completed && todo.completedAt ? todo.completedAt : now.toISOString();
+        return { ...todo, completed, completedAt };
+    }
+
+    /**
+     * Builds the todo that follows a completed recurring todo,
+     * or returns null if the todo does not recur (any more).
+     * Subtasks are carried over, unticked.
+     */
+    static nextOccurrence(todo) {
+        const next = RecurrenceModel.nextOccurrence(todo.recurrence, todo.dueDate);
+        if (!next) return null;
+
+        const nextTodo = new TodoModel(todo.text, next.dueDate);
+        nextTodo.notes = todo.notes || '';
+        nextTodo.recurrence = next.rule;
+        nextTodo.dueTime = todo.dueTime ?? null;
+        nextTodo.timeZone = todo.timeZone ?? null;
+        nextTodo.reminders = [...(todo.reminders || [])];
+        nextTodo.listId = todo.listId ?? null;
+        nextTodo.tags = [...(todo.tags || [])];
+        nextTodo.priority = todo.priority || 'none';
+        nextTodo.subtasks = (todo.subtasks || []).map(s => ({ ...s, completed: false }));
+        return nextTodo;
     }
 }
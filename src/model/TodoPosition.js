@@ -0,0 +1,88 @@
+/**
+ * TodoPosition.js
+ *
+ * MODEL LAYER
+ *
+ * Lexicographic fractional positions for manual ordering.
+ * A position is a string of base-62 digits that never ends in '0'; todos are
+ * ordered by plain string comparison of their positions. A new position can
+ * always be generated between two others, so moving a todo only changes that
+ * one todo's position.
+ *
+ * Two devices moving todos into the same gap at the same time may produce equal
+ * positions; compare() breaks such ties by id, so every device still shows the
+ * same order.
+ */
+
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const ZERO = DIGITS[0];
+
+/**
+ * Returns a digit string strictly between `a` and `b` (b = null means "no upper bound").
+ * Both inputs are fractional parts: '' stands for 0.
+ */
+const midpoint = (a, b) => {
+    if (b !== null) {
+        // Skip the common prefix
+        let n = 0;
+        while ((a[n] || ZERO) === b[n]) n++;
+        if (n > 0) return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+    }
+
+    const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+    const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+
+    if (digitB - digitA > 1) {
+        return DIGITS[Math.round((digitA + digitB) / 2)];
+    }
+    // Adjacent digits: keep a's digit and recurse on the rest
+    if (b !== null && b.length > 1) {
+        return b.slice(0, 1);
+    }
+    return DIGITS[digitA] + midpoint(a.slice(1), null);
+};
+
+const isValid = (position) =>
+    typeof position === 'string' &&
+    position.length > 0 &&
+    !position.endsWith(ZERO) &&
+    [...position].every(c => DIGITS.includes(c));
+
+export const TodoPosition = {
+    /**
+     * Returns a position strictly between `before` and `after`.
+     * Either may be null: between(null, null) starts a list, between(last, null)
+     * appends, between(null, first) prepends.
+     * If `before` is not lower than `after` (a tie), the result goes right after `before`.
+     */
+    between: (before, after) => {
+        const a = isValid(before) ? before : '';
+        const b = isValid(after) && after > a ? after : null;
+        return midpoint(a, b);
+    },
+
+    /**
+     * Returns the position for a todo inserted at `index` of `sorted`
+     * (todos already ordered by compare, without the todo being placed).
+     * Todos without a position and ties with the preceding todo are skipped,
+     * so the result always sorts right after the last positioned todo before `index`.
+     */
+    at: (sorted, index) => {
+        const before = sorted.slice(0, index).map(t => t.position).filter(isValid).pop() ?? null;
+        const after = sorted.slice(index).map(t => t.position)
+            .find(p => isValid(p) && (before === null || p > before)) ?? null;
+        return TodoPosition.between(before, after);
+    },
+
+    /**
+     * Orders two todos by position, then by id. Todos without a position go last.
+     */
+    compare: (a, b) => {
+        if (a.position !== b.position) {
+            if (!a.position) return 1;
+            if (!b.position) return -1;
+            return a.position < b.position ? -1 : 1;
+        }
+        return String(a.id).localeCompare(String(b.id), undefined, { numeric: true });
+    },
+};
@@ -0,0 +1,137 @@
+/**
+ * TodoQuery.js
+ *
+ * MODEL LAYER
+ *
+ * A small query language for filtering todos, e.g.
+ *
+ *     #work due:<2026-11-01 -done "budget"
+ *
+ * Supported terms (all terms must match; prefix any term with "-" to negate it):
+ * - #tag              the todo has the tag
+ * - done              the todo is completed
+ * - due:2026-11-01    due on that date (also due:<, due:<=, due:>, due:>=)
+ * - due:today         due today (comparisons work too, e.g. due:<today)
+ * - due:none          the todo has no due date
+ * - "some phrase"     the text contains the phrase (case-insensitive), taken literally:
+ *                     "-foo" searches for "-foo", -"foo" negates
+ * - word              the text contains the word (case-insensitive)
+ *
+ * parse() turns a query string into a list of terms; matches() tests a todo against them.
+ * Both are pure, so the View and tests can use them without any state.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const localToday = () => {
+    const now = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+/**
+ * Splits a query into raw tokens, keeping quoted phrases together.
+ * A "-" before the quotes negates the phrase; one inside them is searched for.
+ */
+const tokenize = (query) => {
+    const tokens = [];
+    const pattern = /(-?)"([^"]*)"?|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(query)) !== null) {
+        if (match[3] !== undefined) {
+            tokens.push({ raw: match[3], quoted: false });
+        } else {
+            tokens.push({ raw: match[2], quoted: true, negated: match[1] === '-' });
+        }
+    }
+    return tokens;
+};
+
+/**
+ * Turns one token into a term, or null if it is empty.
+ */
+const parseToken = ({ raw, quoted, negated: quotedNegated }) => {
+    if (quoted) {
+        return raw ? { type: 'text', value: raw.toLowerCase(), negated: quotedNegated } : null;
+    }
+
+    let negated = false;
+    let body = raw;
+    if (body.startsWith('-') && body.length > 1) {
+        negated = true;
+        body = body.slice(1);
+    }
+
+    if (body.startsWith('#') && body.length > 1) {
+        return { type: 'tag', value: body.slice(1).toLowerCase(), negated };
+    }
+
+    if (body.toLowerCase() === 'done') {
+        return { type: 'done', negated };
+    }
+
+    const due = body.match(/^due:(<=|>=|<|>|=)?(.+)$/i);
+    if (due) {
+        const value = due[2].toLowerCase();
+        if (value === 'none') {
+            return { type: 'noDue', negated };
+        }
+        if (value === 'today' || DATE_PATTERN.test(value)) {
+            return { type: 'due', op: due[1] || '=', value, negated };
+        }
+    }
+
+    return { type: 'text', value: body.toLowerCase(), negated };
+};
+
+const compareDates = (date, op, value) => {
+    switch (op) {
+        case '<': return date < value;
+        case '<=': return date <= value;
+        case '>': return date > value;
+        case '>=': return date >= value;
+        default: return date === value;
+    }
+};
+
+const matchesTerm = (todo, term, today) => {
+    const dueDate = todo.dueDate ? todo.dueDate.slice(0, 10) : '';
+
+    switch (term.type) {
+        case 'tag':
+            return (todo.tags || []).includes(term.value);
+        case 'done':
+            return Boolean(todo.completed);
+        case 'noDue':
+            return !dueDate;
+        case 'due':
+            return Boolean(dueDate) && compareDates(dueDate, term.op, term.value === 'today' ? today : term.value);
+        case 'text':
+            return todo.text.toLowerCase().includes(term.value);
+        default:
+            return true;
+    }
+};
+
+export const TodoQuery = {
+    /**
+     * Parses a query string into a list of terms.
+     */
+    parse: (query) => tokenize(query || '').map(parseToken).filter(Boolean),
+
+    /**
+     * True if the todo matches every term. An empty list of terms matches everything.
+     * `today` ('YYYY-MM-DD') can be passed to make date terms deterministic.
+     */
+    matches: (todo, terms, today = localToday()) =>
+        terms.every(term => matchesTerm(todo, term, today) !== term.negated),
+
+    /**
+     * Convenience: parses `query` and returns the todos that match it.
+     */
+    filter: (todos, query, today = localToday()) => {
+        const terms = TodoQuery.parse(query);
+        if (terms.length === 0) return todos;
+        return todos.filter(todo => TodoQuery.matches(todo, terms, today));
+    },
+};
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { TodoQuery } from './TodoQuery';
+
+const TODAY = '2026-10-19';
+
+const todo = (text, fields = {}) => ({ text, completed: false, dueDate: null, tags: [], ...fields });
+
+describe('TodoQuery.parse', () => {
+    it('parses every kind of term', () => {
+        expect(TodoQuery.parse('#Work due:<2026-11-01 -done "Budget Review" milk due:none')).toEqual([
+            { type: 'tag', value: 'work', negated: false },
+            { type: 'due', op: '<', value: '2026-11-01', negated: false },
+            { type: 'done', negated: true },
+            { type: 'text', value: 'budget review', negated: false },
+            { type: 'text', value: 'milk', negated: false },
+            { type: 'noDue', negated: false },
+        ]);
+    });
+
+    it('reads every date comparison and due:today', () => {
+        expect(TodoQuery.parse('due:<=today due:>=2026-01-01 due:>2026-01-01 due:2026-01-01').map(t => t.op))
+            .toEqual(['<=', '>=', '>', '=']);
+        expect(TodoQuery.parse('due:today')[0]).toEqual({ type: 'due', op: '=', value: 'today', negated: false });
+    });
+
+    it('negates quoted phrases and keeps an unterminated quote', () => {
+        expect(TodoQuery.parse('-"call mom"')).toEqual([{ type: 'text', value: 'call mom', negated: true }]);
+        expect(TodoQuery.parse('"call mom')).toEqual([{ type: 'text', value: 'call mom', negated: false }]);
+    });
+
+    it('searches for a dash inside quotes instead of negating', () => {
+        expect(TodoQuery.parse('"-foo"')).toEqual([{ type: 'text', value: '-foo', negated: false }]);
+        expect(TodoQuery.parse('-"-foo"')).toEqual([{ type: 'text', value: '-foo', negated: true }]);
+    });
+
+    it('treats malformed terms as plain text', () => {
+        expect(TodoQuery.parse('due:someday # -')).toEqual([
+            { type: 'text', value: 'due:someday', negated: false },
+            { type: 'text', value: '#', negated: false },
+            { type: 'text', value: '-', negated: false },
+        ]);
+    });
+
+    it('ignores empty queries and empty phrases', () => {
+        expect(TodoQuery.parse('')).toEqual([]);
+        expect(TodoQuery.parse(null)).toEqual([]);
+        expect(TodoQuery.parse('  "" ')).toEqual([]);
+    });
+});
+
+describe('TodoQuery.filter', () => {
+    const todos = [
+        todo('Budget review', { tags: ['work'], dueDate: '2026-10-18' }),
+        todo('Send invoice', { tags: ['work'], dueDate: '2026-10-19', completed: true }),
+        todo('Buy milk', { tags: ['home'], dueDate: '2026-11-02T00:00:00.000Z' }),
+        todo('Read a book'),
+    ];
+    const texts = (query) => TodoQuery.filter(todos, query, TODAY).map(t => t.text);
+
+    it('returns every todo for an empty query', () => {
+        expect(TodoQuery.filter(todos, '   ', TODAY)).toBe(todos);
+    });
+
+    it.each([
+        ['#work', ['Budget review', 'Send invoice']],
+        ['#WORK -done', ['Budget review']],
+        ['done', ['Send invoice']],
+        ['due:today', ['Send invoice']],
+        ['due:<today', ['Budget review']],
+        ['due:>=today', ['Send invoice', 'Buy milk']],
+        ['due:<2026-11-01', ['Budget review', 'Send invoice']],
+        ['due:2026-11-02', ['Buy milk']],
+        ['due:none', ['Read a book']],
+        ['-due:none', ['Budget review', 'Send invoice', 'Buy milk']],
+        ['"BUDGET rev"', ['Budget review']],
+        ['b -#home', ['Budget review', 'Read a book']],
+        ['#work due:<2026-11-01 -done "budget"', ['Budget review']],
+        ['#nothing', []],
+    ])('%s', (query, expected) => {
+        expect(texts(query)).toEqual(expected);
+    });
+
+    it('never matches date comparisons on todos without a due date', () => {
+        expect(texts('due:<2100-01-01')).not.toContain('Read a book');
+        expect(texts('-due:<2100-01-01')).toEqual(['Read a book']);
+    });
+});
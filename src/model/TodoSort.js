@@ -0,0 +1,155 @@
+/**
+ * TodoSort.js
+ *
+ * MODEL LAYER
+ *
+ * Sort modes, comparators and grouping for todo lists. Pure functions only:
+ * the ViewModel applies them and the View renders the resulting groups.
+ *
+ * Sort modes:
+ * - due:        earliest due date first (so overdue todos come first), undated last
+ * - priority:   most urgent first
+ * - created:    oldest first
+ * - alpha:      alphabetical by text
+ * - manual:     the order the user arranged by hand (see TodoPosition)
+ *
+ * Grouping:
+ * - due:        Overdue / Today / This week (next 7 days) / Later / No due date / Completed
+ * - priority:   one group per priority level
+ * - otherwise:  a single group without a header
+ */
+
+import { PRIORITIES } from './TodoModel';
+import { TodoPosition } from './TodoPosition';
+
+export const SORT_MODES = [
+    { id: 'due', label: 'Due date' },
+    { id: 'priority', label: 'Priority' },
+    { id: 'created', label: 'Creation time' },
+    { id: 'alpha', label: 'Alphabetical' },
+    { id: 'manual', label: 'Manual' },
+];
+
+export const DEFAULT_SORT_MODE = 'manual';
+
+const PRIORITY_LABELS = {
+    urgent: 'Urgent',
+    high: 'High priority',
+    medium: 'Medium priority',
+    low: 'Low priority',
+    none: 'No priority',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const localToday = () => {
+    const now = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+const addDays = (date, days) =>
+    new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+const dueOf = (todo) => (todo.dueDate ? todo.dueDate.slice(0, 10) : '');
+
+const priorityRank = (todo) => PRIORITIES.indexOf(todo.priority || 'none');
+
+const byCreated = (a, b) => (a.createdAt || '').localeCompare(b.createdAt || '');
+
+const byPriority = (a, b) => priorityRank(b) - priorityRank(a);
+
+const byText = (a, b) => a.text.localeCompare(b.text, undefined, { sensitivity: 'base' });
+
+const byDue = (a, b) => {
+    const dueA = dueOf(a);
+    const dueB = dueOf(b);
+    if (dueA === dueB) return 0;
+    if (!dueA) return 1;
+    if (!dueB) return -1;
+    return dueA < dueB ? -1 : 1;
+};
+
+/**
+ * Chains comparators: later ones break ties left by earlier ones.
+ */
+const chain = (...comparators) => (a, b) => {
+    for (const compare of comparators) {
+        const result = compare(a, b);
+        if (result !== 0) return result;
+    }
+    return 0;
+};
+
+const COMPARATORS = {
+    due: chain(byDue, byPriority, byCreated),
+    priority: chain(byPriority, byDue, byCreated),
+    created: byCreated,
+    alpha: chain(byText, byCreated),
+    manual: TodoPosition.compare,
+};
+
+/**
+ * Returns the due-date group of a todo relative to `today` ('YYYY-MM-DD').
+ */
+const dueGroupOf = (todo, today) => {
+    if (todo.completed) return 'completed';
+    const due = dueOf(todo);
+    if (!due) return 'none';
+    if (due < today) return 'overdue';
+    if (due === today) return 'today';
+    if (due <= addDays(today, 7)) return 'week';
+    return 'later';
+};
+
+const DUE_GROUPS = [
+    { key: 'overdue', label: 'Overdue' },
+    { key: 'today', label: 'Today' },
+    { key: 'week', label: 'This week' },
+    { key: 'later', label: 'Later' },
+    { key: 'none', label: 'No due date' },
+    { key: 'completed', label: 'Completed' },
+];
+
+export const TodoSort = {
+    /**
+     * Returns the comparator for a sort mode (falls back to manual).
+     */
+    comparator: (mode) => COMPARATORS[mode] || COMPARATORS.manual,
+
+    /**
+     * Returns a sorted copy of `todos`. Sorting is stable, so ties keep their stored order.
+     */
+    sort: (todos, mode) => [...todos].sort(TodoSort.comparator(mode)),
+
+    /**
+     * Sorts and groups todos for display: [{ key, label, todos }].
+     * Empty groups are omitted; a null label means "no header".
+     */
+    group: (todos, mode, today = localToday()) => {
+        const sorted = TodoSort.sort(todos, mode);
+
+        if (mode === 'due') {
+            return DUE_GROUPS
+                .map(({ key, label }) => ({ key, label, todos: sorted.filter(t => dueGroupOf(t, today) === key) }))
+                .filter(group => group.todos.length > 0);
+        }
+
+        if (mode === 'priority') {
+            return [...PRIORITIES].reverse()
+                .map(priority => ({
+                    key: priority,
+                    label: PRIORITY_LABELS[priority],
+                    todos: sorted.filter(t => (t.priority || 'none') === priority),
+                }))
+                .filter(group => group.todos.length > 0);
+        }
+
+        return sorted.length > 0 ? [{ key: 'all', label: null, todos: sorted }] : [];
+    },
+
+    /**
+     * True if an open todo is past its due date.
+     */
+    isOverdue: (todo, today = localToday()) => dueGroupOf(todo, today) === 'overdue',
+};
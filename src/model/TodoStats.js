@@ -0,0 +1,163 @@
+/**
+ * TodoStats.js
+ *
+ * MODEL LAYER
+ *
+ * Productivity statistics over a set of todos (TodoModel instances or their plain copies).
+ * Pure functions only: pass the todos and the current moment, get numbers back,
+ * so every figure can be checked without Supabase or React.
+ *
+ * Completions are counted on the local calendar day of their completedAt timestamp.
+ * Todos completed before completion times were recorded have no completedAt: they
+ * count as completed in the breakdowns but not in the per-day figures.
+ */
+
+import { CalendarModel } from './CalendarModel';
+import { DueTime } from './DueTime';
+
+// Days and weeks covered by the completion charts
+export const STATS_DAYS = 14;
+export const STATS_WEEKS = 8;
+
+const completionDay = (todo) => CalendarModel.today(new Date(todo.completedAt));
+
+const isCompletedWithTime = (todo) =>
+    todo.completed && todo.completedAt && !isNaN(Date.parse(todo.completedAt));
+
+/**
+ * Counts completions per local calendar day: { 'YYYY-MM-DD': count }.
+ */
+const countByDay = (todos) => {
+    const counts = {};
+    todos.filter(isCompletedWithTime).forEach(todo => {
+        const day = completionDay(todo);
+        counts[day] = (counts[day] || 0) + 1;
+    });
+    return counts;
+};
+
+export const TodoStats = {
+    /**
+     * Completions on each of the last `days` days, oldest first: [{ date, count }].
+     */
+    completedPerDay: (todos, now = new Date(), days = STATS_DAYS) => {
+        const counts = countByDay(todos);
+        const today = CalendarModel.today(now);
+        return Array.from({ length: days }, (_, i) => {
+            const date = CalendarModel.addDays(today, i - days + 1);
+            return { date, count: counts[date] || 0 };
+        });
+    },
+
+    /**
+     * Completions in each of the last `weeks` weeks (Monday to Sunday), oldest first:
+     * [{ weekStart, count }].
+     */
+    completedPerWeek: (todos, now = new Date(), weeks = STATS_WEEKS) => {
+        const counts = countByDay(todos);
+        const thisWeek = CalendarModel.weekDays(CalendarModel.today(now))[0];
+        return Array.from({ length: weeks }, (_, i) => {
+            const weekStart = CalendarModel.addDays(thisWeek, 7 * (i - weeks + 1));
+            const count = CalendarModel.weekDays(weekStart).reduce((sum, date) => sum + (counts[date] || 0), 0);
+            return { weekStart, count };
+        });
+    },
+
+    /**
+     * Streaks of consecutive days with at least one completion: { current, longest }.
+     * The current streak still counts if nothing has been completed yet today.
+     */
+    streaks: (todos, now = new Date()) => {
+        const days = Object.keys(countByDay(todos)).sort();
+        let longest = 0;
+        let run = 0;
+        days.forEach((day, i) => {
+            run = i > 0 && CalendarModel.addDays(days[i - 1], 1) === day ? run + 1 : 1;
+            longest = Math.max(longest, run);
+        });
+
+        const today = CalendarModel.today(now);
+        let day = days.includes(today) ? today : CalendarModel.addDays(today, -1);
+        let current = 0;
+        while (days.includes(day)) {
+            current++;
+            day = CalendarModel.addDays(day, -1);
+        }
+        return { current, longest };
+    },
+
+    /**
+     * Number of open todos that are overdue at `now` (see DueTime.status).
+     */
+    overdueCount: (todos, now = new Date()) =>
+        todos.filter(todo => !todo.archivedAt && DueTime.status(todo, now) === 'overdue').length,
+
+    /**
+     * Average time from creation to completion in milliseconds, or null without data.
+     */
+    averageCompletionTime: (todos) => {
+        const durations = todos
+            .filter(todo => isCompletedWithTime(todo) && todo.createdAt)
+            .map(todo => Date.parse(todo.completedAt) - Date.parse(todo.createdAt))
+            .filter(ms => ms >= 0);
+        if (durations.length === 0) return null;
+        return durations.reduce((sum, ms) => sum + ms, 0) / durations.length;
+    },
+
+    /**
+     * Totals per group, largest first: [{ key, total, completed, open }].
+     * `keysOf` returns the groups a todo belongs to (a todo may count in several, e.g. tags).
+     */
+    breakdown: (todos, keysOf) => {
+        const groups = new Map();
+        todos.forEach(todo => {
+            keysOf(todo).forEach(key => {
+                const group = groups.get(key) || { key, total: 0, completed: 0, open: 0 };
+                group.total++;
+                if (todo.completed) group.completed++;
+                else group.open++;
+                groups.set(key, group);
+            });
+        });
+        return [...groups.values()].sort((a, b) => b.total - a.total || String(a.key).localeCompare(String(b.key)));
+    },
+
+    /**
+     * All dashboard figures for a set of todos. `lists` names the lists in the list breakdown
+     * (todos of unknown lists, and of the Inbox, are grouped under `null`).
+     */
+    summarize: (todos, lists = [], now = new Date()) => {
+        const listIds = new Set(lists.map(list => list.id));
+        const today = CalendarModel.today(now);
+        const perDay = TodoStats.completedPerDay(todos, now);
+        const perWeek = TodoStats.completedPerWeek(todos, now);
+        return {
+            total: todos.length,
+            completed: todos.filter(todo => todo.completed).length,
+            completedToday: perDay.find(d => d.date === today)?.count ?? 0,
+            completedThisWeek: perWeek[perWeek.length - 1].count,
+            perDay,
+            perWeek,
+            streaks: TodoStats.streaks(todos, now),
+            overdue: TodoStats.overdueCount(todos, now),
+            averageCompletionTime: TodoStats.averageCompletionTime(todos),
+            byList: TodoStats.breakdown(todos, todo => [listIds.has(todo.listId) ? todo.listId : null]),
+            byTag: TodoStats.breakdown(todos, todo => todo.tags || []),
+        };
+    },
+
+    /**
+     * Human-readable duration, e.g. "3 days 4 h" or "45 min".
+     */
+    formatDuration: (ms) => {
+        if (ms === null) return '–';
+        // Hours and days are counted from the rounded minutes, so 59.6 min reads "1 h"
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 60) return `${minutes} min`;
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours} h`;
+        const days = Math.floor(hours / 24);
+        const rest = hours - days * 24;
+        return rest > 0 ? `${days} ${days === 1 ? 'day' : 'days'} ${rest} h` : `${days} ${days === 1 ? 'day' : 'days'}`;
+    },
+};
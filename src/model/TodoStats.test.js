@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest';
+import { TodoStats } from './TodoStats';
+
+// Wednesday 21 October 2026, 15:00 local time
+const NOW = new Date(2026, 9, 21, 15, 0);
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// A todo completed on a local calendar date ('YYYY-MM-DD'), at noon
+const completedOn = (date, fields = {}) => {
+    const [year, month, day] = date.split('-').map(Number);
+    return { text: 'Done', completed: true, completedAt: new Date(year, month - 1, day, 12).toISOString(), ...fields };
+};
+
+describe('TodoStats.streaks', () => {
+    it('counts the current streak up to today', () => {
+        const todos = ['2026-10-19', '2026-10-20', '2026-10-21', '2026-10-21'].map(d => completedOn(d));
+        expect(TodoStats.streaks(todos, NOW)).toEqual({ current: 3, longest: 3 });
+    });
+
+    it('keeps the current streak when nothing is completed yet today', () => {
+        const todos = ['2026-10-18', '2026-10-19', '2026-10-20'].map(d => completedOn(d));
+        expect(TodoStats.streaks(todos, NOW)).toEqual({ current: 3, longest: 3 });
+    });
+
+    it('breaks the streak on a missed day', () => {
+        const todos = ['2026-10-10', '2026-10-11', '2026-10-12', '2026-10-13', '2026-10-15', '2026-10-16']
+            .map(d => completedOn(d));
+        expect(TodoStats.streaks(todos, NOW)).toEqual({ current: 0, longest: 4 });
+        expect(TodoStats.streaks([...todos, completedOn('2026-10-20')], NOW)).toEqual({ current: 1, longest: 4 });
+    });
+
+    it('ignores open todos and completions without a time', () => {
+        const todos = [
+            completedOn('2026-10-21', { completed: false }),
+            { text: 'Old', completed: true, completedAt: null },
+        ];
+        expect(TodoStats.streaks(todos, NOW)).toEqual({ current: 0, longest: 0 });
+    });
+});
+
+describe('TodoStats.completedPerWeek', () => {
+    it('counts weeks from Monday to Sunday, oldest first', () => {
+        const todos = [
+            completedOn('2026-10-19'), // Monday of this week
+            completedOn('2026-10-21'),
+            completedOn('2026-10-18'), // Sunday of last week
+            completedOn('2026-10-12'), // Monday of last week
+            completedOn('2026-10-11'), // Sunday two weeks ago
+        ];
+        const weeks = TodoStats.completedPerWeek(todos, NOW, 3);
+        expect(weeks).toEqual([
+            { weekStart: '2026-10-05', count: 1 },
+            { weekStart: '2026-10-12', count: 2 },
+            { weekStart: '2026-10-19', count: 2 },
+        ]);
+    });
+
+    it('starts this week on Monday when today is Sunday', () => {
+        const sunday = new Date(2026, 9, 25, 9, 0);
+        expect(TodoStats.completedPerWeek([completedOn('2026-10-19')], sunday, 1))
+            .toEqual([{ weekStart: '2026-10-19', count: 1 }]);
+    });
+});
+
+describe('TodoStats.completedPerDay', () => {
+    it('covers the last days up to today, oldest first', () => {
+        const todos = [completedOn('2026-10-21'), completedOn('2026-10-21'), completedOn('2026-10-19')];
+        expect(TodoStats.completedPerDay(todos, NOW, 3)).toEqual([
+            { date: '2026-10-19', count: 1 },
+            { date: '2026-10-20', count: 0 },
+            { date: '2026-10-21', count: 2 },
+        ]);
+    });
+});
+
+describe('TodoStats.averageCompletionTime', () => {
+    it('averages creation to completion, skipping todos without times', () => {
+        const completedAt = NOW.toISOString();
+        const todos = [
+            { completed: true, completedAt, createdAt: new Date(NOW.getTime() - 2 * HOUR).toISOString() },
+            { completed: true, completedAt, createdAt: new Date(NOW.getTime() - 4 * HOUR).toISOString() },
+            { completed: true, completedAt: null, createdAt: completedAt },
+            { completed: false, completedAt: null, createdAt: completedAt },
+        ];
+        expect(TodoStats.averageCompletionTime(todos)).toBe(3 * HOUR);
+        expect(TodoStats.averageCompletionTime([])).toBeNull();
+    });
+});
+
+describe('TodoStats.breakdown', () => {
+    it('groups todos by key, largest group first', () => {
+        const todos = [
+            { completed: true, tags: ['work'] },
+            { completed: false, tags: ['work', 'home'] },
+            { completed: false, tags: ['errands'] },
+        ];
+        expect(TodoStats.breakdown(todos, todo => todo.tags)).toEqual([
+            { key: 'work', total: 2, completed: 1, open: 1 },
+            { key: 'errands', total: 1, completed: 0, open: 1 },
+            { key: 'home', total: 1, completed: 0, open: 1 },
+        ]);
+    });
+});
+
+describe('TodoStats.formatDuration', () => {
+    it.each([
+        [null, '–'],
+        [0, '0 min'],
+        [45 * MINUTE, '45 min'],
+        [59.4 * MINUTE, '59 min'],
+        [59.6 * MINUTE, '1 h'],
+        [90 * MINUTE, '1 h'],
+        [23 * HOUR + 59.6 * MINUTE, '1 day'],
+        [DAY, '1 day'],
+        [DAY + 5 * HOUR, '1 day 5 h'],
+        [3 * DAY + 4 * HOUR, '3 days 4 h'],
+    ])('formats %s ms as %s', (ms, expected) => {
+        expect(TodoStats.formatDuration(ms)).toBe(expected);
+    });
+});
@@ -0,0 +1,515 @@
+/**
+ * TodoTransfer.js
+ *
+ * MODEL LAYER
+ *
+ * Serializes todos to, and parses them from, the supported file formats:
+ * - json:     versioned full backup; every field survives a round trip
+ * - csv:      one row per todo, with a header row (RFC 4180 quoting); cells that a
+ *             spreadsheet would run as a formula are prefixed with `'`
+ * - markdown: `- [ ]` / `- [x]` checklists grouped under `## List` headings,
+ *             with subtasks as indented items
+ * - ical:     an iCalendar (RFC 5545) VCALENDAR of VTODO components
+ *
+ * Pure functions only. Todos travel as plain entries:
+ * { text, notes, dueDate, dueTime, timeZone, reminders, completed, completedAt, archivedAt, createdAt,
+ *   subtasks, recurrence, tags, priority, list }
+ * where `list` is the list name (null for the Inbox). Parsing returns entries
+ * without validating them; the ViewModel validates each through TodoModel.create.
+ */
+
+import { PRIORITIES } from './TodoModel';
+import { DueTime } from './DueTime';
+
+export const TRANSFER_FORMATS = [
+    { id: 'json', label: 'JSON backup', extension: 'json', mimeType: 'application/json' },
+    { id: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+    { id: 'markdown', label: 'Markdown checklist', extension: 'md', mimeType: 'text/markdown' },
+    { id: 'ical', label: 'iCalendar (VTODO)', extension: 'ics', mimeType: 'text/calendar' },
+];
+
+// Version of the JSON backup layout; bump it when the entry shape changes
+// (2: due times, time zones and reminders; 3: completion times; 4: notes)
+export const JSON_EXPORT_VERSION = 4;
+
+const APP_ID = 'todo-app-phi';
+
+const dateOnly = (value) => (value ? String(value).slice(0, 10) : '');
+
+/**
+ * Builds a plain entry from a todo and the name of its list.
+ */
+const toEntry = (todo, list = null) => ({
+    text: todo.text,
+    notes: todo.notes || '',
+    dueDate: dateOnly(todo.dueDate),
+    dueTime: todo.dueTime || null,
+    timeZone: todo.timeZone || null,
+    reminders: [...(todo.reminders || [])],
+    completed: Boolean(todo.completed),
+    completedAt: todo.completedAt || null,
+    archivedAt: todo.archivedAt || null,
+    createdAt: todo.createdAt || null,
+    subtasks: (todo.subtasks || []).map(s => ({ text: s.text, completed: Boolean(s.completed) })),
+    recurrence: todo.recurrence || null,
+    tags: [...(todo.tags || [])],
+    priority: todo.priority || 'none',
+    list,
+});
+
+/* JSON */
+
+const toJson = (entries) => JSON.stringify({
+    app: APP_ID,
+    version: JSON_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    todos: entries,
+}, null, 2);
+
+const fromJson = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('The file is not valid JSON');
+    }
+    if (!data || data.app !== APP_ID || !Array.isArray(data.todos)) {
+        throw new Error('The file is not a todo backup');
+    }
+    if (!Number.isInteger(data.version) || data.version > JSON_EXPORT_VERSION) {
+        throw new Error(`Unsupported backup version: ${data.version}`);
+    }
+    return data.todos.map(todo => toEntry(todo, todo.list ?? null));
+};
+
+/* CSV */
+
+const CSV_COLUMNS = ['text', 'notes', 'due_date', 'due_time', 'time_zone', 'reminders', 'completed', 'completed_at', 'priority', 'tags', 'list', 'archived_at', 'created_at'];
+
+// Cells a spreadsheet would run as a formula (CSV injection)
+const CSV_FORMULA = /^[=+\-@]/;
+
+const csvCell = (value) => {
+    const raw = value === null || value === undefined ? '' : String(value);
+    const text = CSV_FORMULA.test(raw) ? `'${raw}` : raw;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Drops the `'` csvCell puts before a formula
+const fromCsvCell = (cell) => (/^'[=+\-@]/.test(cell) ? cell.slice(1) : cell);
+
+const toCsv = (entries) => [
+    CSV_COLUMNS.join(','),
+    ...entries.map(e => [
+        e.text,
+        e.notes,
+        e.dueDate,
+        e.dueTime ?? '',
+        e.timeZone ?? '',
+        e.reminders.join(' '),
+        e.completed,
+        e.completedAt ?? '',
+        e.priority,
+        e.tags.join(' '),
+        e.list ?? '',
+        e.archivedAt ?? '',
+        e.createdAt ?? '',
+    ].map(csvCell).join(',')),
+].join('\r\n') + '\r\n';
+
+/**
+ * Splits CSV text into rows of cells, honouring quoted cells with commas and line breaks.
+ */
+const parseCsvRows = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(c => c.trim() !== ''));
+};
+
+const fromCsv = (text) => {
+    const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''))
+        .map(cells => cells.map(fromCsvCell));
+    if (!header) throw new Error('The file is empty');
+
+    const columns = header.map(h => h.trim().toLowerCase().replace(/\s+/g, '_'));
+    if (!columns.includes('text')) {
+        throw new Error('The CSV file needs a "text" column');
+    }
+    return rows.map(cells => {
+        const value = (name) => {
+            const index = columns.indexOf(name);
+            return index === -1 ? '' : (cells[index] ?? '').trim();
+        };
+        return {
+            ...toEntry({ text: cells[columns.indexOf('text')] ?? '' }),
+            notes: value('notes'),
+            dueDate: dateOnly(value('due_date')),
+            dueTime: value('due_time') || null,
+            timeZone: value('time_zone') || null,
+            reminders: value('reminders').split(/[\s,]+/).filter(Boolean),
+            completed: /^(true|yes|1|x)$/i.test(value('completed')),
+            completedAt: value('completed_at') || null,
+            priority: value('priority').toLowerCase() || 'none',
+            tags: value('tags').split(/[\s,]+/).filter(Boolean),
+            list: value('list') || null,
+            archivedAt: value('archived_at') || null,
+            createdAt: value('created_at') || null,
+        };
+    });
+};
+
+/* Markdown */
+
+const INBOX_HEADING = 'Inbox';
+
+const markdownLine = (e) => {
+    let line = `- [${e.completed ? 'x' : ' '}] ${e.text.replace(/\s*\n\s*/g, ' ')}`;
+    if (e.dueDate) line += ` (due: ${e.dueDate}${e.dueTime ? ` ${e.dueTime}` : ''})`;
+    if (e.priority !== 'none') line += ` !${e.priority}`;
+    e.tags.forEach(tag => { line += ` #${tag}`; });
+    return line;
+};
+
+const toMarkdown = (entries) => {
+    const groups = new Map();
+    entries.forEach(e => {
+        const heading = e.list ?? INBOX_HEADING;
+        if (!groups.has(heading)) groups.set(heading, []);
+        groups.get(heading).push(e);
+    });
+
+    const sections = [...groups].map(([heading, group]) => [
+        `## ${heading}`,
+        '',
+        ...group.flatMap(e => [
+            markdownLine(e),
+            ...e.subtasks.map(s => `  - [${s.completed ? 'x' : ' '}] ${s.text}`),
+        ]),
+    ].join('\n'));
+
+    return `# Todos\n\n${sections.join('\n\n')}\n`;
+};
+
+const CHECKLIST_ITEM = /^(\s*)[-*+] \[( |x|X)\] (.*)$/;
+
+const fromMarkdown = (text) => {
+    const entries = [];
+    let list = null;
+
+    text.split(/\r?\n/).forEach(line => {
+        const heading = line.match(/^##\s+(.+?)\s*$/);
+        if (heading) {
+            list = heading[1] === INBOX_HEADING ? null : heading[1];
+            return;
+        }
+
+        const item = line.match(CHECKLIST_ITEM);
+        if (!item) return;
+        const [, indent, mark, rest] = item;
+        const completed = mark !== ' ';
+
+        if (indent.length > 0 && entries.length > 0) {
+            entries[entries.length - 1].subtasks.push({ text: rest.trim(), completed });
+            return;
+        }
+
+        let body = rest;
+        const tags = [];
+        let priority = 'none';
+        let dueDate = '';
+        let dueTime = null;
+
+        body = body.replace(/\s*\(due:\s*(\d{4}-\d{2}-\d{2})(?:\s+(\d{2}:\d{2}))?\)/i, (_match, date, time) => {
+            dueDate = date;
+            dueTime = time || null;
+            return '';
+        });
+        body = body.replace(/(^|\s)!(\w+)(?=\s|$)/g, (match, space, level) => {
+            if (!PRIORITIES.includes(level.toLowerCase())) return match;
+            priority = level.toLowerCase();
+            return space;
+        });
+        body = body.replace(/(^|\s)#([\w-]+)/g, (_match, space, tag) => {
+            tags.push(tag);
+            return space;
+        });
+
+        entries.push({ ...toEntry({ text: body.trim() }), completed, dueDate, dueTime, priority, tags, list });
+    });
+
+    return entries;
+};
+
+/* iCalendar */
+
+const ICAL_PRIORITY = { urgent: 1, high: 3, medium: 5, low: 7, none: 0 };
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const icalText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const unescapeIcalText = (value) => value.replace(/\\([\\;,nN])/g, (_match, char) =>
+    char === 'n' || char === 'N' ? '\n' : char);
+
+const icalDate = (date) => date.replace(/-/g, '');
+
+const icalDateTime = (iso) => new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const fromIcalDate = (value) => {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : '';
+};
+
+/**
+ * Reads a DUE property: a date, or a date-time in its TZID zone ('UTC' for a trailing Z;
+ * floating times and zones that are not IANA names are taken as this device's).
+ */
+const fromIcalDue = (value, params) => {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})\d{2}(Z?))?/);
+    if (!match) return { dueDate: '', dueTime: null, timeZone: null };
+    const [, year, month, day, hour, minute, utc] = match;
+    const tzid = params.match(/;TZID="?([^;:"]+)/i);
+    const zone = utc ? 'UTC' : tzid && DueTime.isValidTimeZone(tzid[1]) ? tzid[1] : null;
+    return {
+        dueDate: `${year}-${month}-${day}`,
+        dueTime: hour ? `${hour}:${minute}` : null,
+        timeZone: hour ? zone : null,
+    };
+};
+
+const fromIcalDateTime = (value) => {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?/);
+    if (!match) return null;
+    const [, year, month, day, hour = '00', minute = '00', second = '00'] = match;
+    return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}Z`).toISOString();
+};
+
+/**
+ * Folds a content line to at most 75 octets per line, as RFC 5545 requires.
+ */
+const foldLine = (line) => {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+        if (encoder.encode(current + char).length > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const toRrule = (rule) => {
+    const parts = [`FREQ=${rule.freq.toUpperCase()}`, `INTERVAL=${rule.interval}`];
+    if (rule.freq === 'weekly' && rule.byWeekday.length > 0) {
+        parts.push(`BYDAY=${rule.byWeekday.map(d => WEEKDAY_CODES[d]).join(',')}`);
+    }
+    if (rule.until) parts.push(`UNTIL=${icalDate(dateOnly(rule.until))}`);
+    if (rule.count !== null) parts.push(`COUNT=${rule.count}`);
+    return parts.join(';');
+};
+
+const fromRrule = (value) => {
+    const parts = Object.fromEntries(value.split(';').map(part => part.split('=')));
+    return {
+        freq: (parts.FREQ || '').toLowerCase(),
+        interval: parts.INTERVAL ? Number(parts.INTERVAL) : 1,
+        byWeekday: parts.BYDAY
+            ? parts.BYDAY.split(',').map(day => WEEKDAY_CODES.indexOf(day.slice(-2))).filter(d => d !== -1)
+            : [],
+        until: parts.UNTIL ? fromIcalDate(parts.UNTIL) : null,
+        count: parts.COUNT ? Number(parts.COUNT) : null,
+    };
+};
+
+const toIcal = (entries) => {
+    const stamp = icalDateTime(new Date().toISOString());
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:-//${APP_ID}//Todo export//EN`];
+
+    entries.forEach((e, index) => {
+        lines.push('BEGIN:VTODO');
+        lines.push(`UID:${stamp}-${index}@${APP_ID}`);
+        lines.push(`DTSTAMP:${stamp}`);
+        if (e.createdAt) lines.push(`CREATED:${icalDateTime(e.createdAt)}`);
+        lines.push(`SUMMARY:${icalText(e.text)}`);
+        if (e.dueDate && e.dueTime) {
+            const zone = e.timeZone ? `;TZID=${e.timeZone}` : '';
+            lines.push(`DUE${zone}:${icalDate(e.dueDate)}T${e.dueTime.replace(':', '')}00`);
+        } else if (e.dueDate) {
+            lines.push(`DUE;VALUE=DATE:${icalDate(e.dueDate)}`);
+        }
+        lines.push(`STATUS:${e.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+        if (e.completed && e.completedAt) lines.push(`COMPLETED:${icalDateTime(e.completedAt)}`);
+        if (e.priority !== 'none') lines.push(`PRIORITY:${ICAL_PRIORITY[e.priority]}`);
+        if (e.tags.length > 0) lines.push(`CATEGORIES:${e.tags.map(icalText).join(',')}`);
+        if (e.recurrence) lines.push(`RRULE:${toRrule(e.recurrence)}`);
+        // The description holds the notes, followed by the subtasks as a checklist
+        const checklist = e.subtasks.map(s => `[${s.completed ? 'x' : ' '}] ${s.text}`).join('\n');
+        const description = [e.notes, checklist].filter(Boolean).join('\n\n');
+        if (description) lines.push(`DESCRIPTION:${icalText(description)}`);
+        if (e.reminders.length > 0) lines.push(`X-TODO-APP-PHI-REMINDERS:${e.reminders.join(',')}`);
+        if (e.list) lines.push(`X-TODO-APP-PHI-LIST:${icalText(e.list)}`);
+        if (e.archivedAt) lines.push(`X-TODO-APP-PHI-ARCHIVED:${icalDateTime(e.archivedAt)}`);
+        lines.push('END:VTODO');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+const priorityFromIcal = (value) => {
+    const level = Number(value);
+    if (!level) return 'none';
+    if (level <= 2) return 'urgent';
+    if (level <= 4) return 'high';
+    if (level <= 6) return 'medium';
+    return 'low';
+};
+
+/**
+ * Splits a description into notes and the checklist of subtasks at its end.
+ */
+const fromIcalDescription = (value) => {
+    const lines = value ? unescapeIcalText(value).split('\n') : [];
+    let start = lines.length;
+    while (start > 0 && /^\[( |x)\] /.test(lines[start - 1])) start--;
+    return {
+        notes: lines.slice(0, start).join('\n').trim(),
+        subtasks: lines.slice(start).map(line => ({ text: line.slice(4), completed: line[1] === 'x' })),
+    };
+};
+
+const fromIcal = (text) => {
+    // Unfold continuation lines, then read each VTODO's properties
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    if (!lines.some(line => line.trim() === 'BEGIN:VCALENDAR')) {
+        throw new Error('The file is not an iCalendar file');
+    }
+
+    const entries = [];
+    let props = null;
+    let params = null;
+    // Depth of the components nested in the current VTODO (e.g. a VALARM),
+    // whose properties (DESCRIPTION, TRIGGER...) are not the todo's
+    let nested = 0;
+
+    lines.forEach(line => {
+        if (line === 'BEGIN:VTODO') {
+            props = {};
+            params = {};
+            nested = 0;
+            return;
+        }
+        if (props && line.startsWith('BEGIN:')) {
+            nested++;
+            return;
+        }
+        if (props && nested > 0 && line.startsWith('END:')) {
+            nested--;
+            return;
+        }
+        if (line === 'END:VTODO') {
+            const entry = toEntry({ text: unescapeIcalText(props.SUMMARY || '') });
+            Object.assign(entry, props.DUE ? fromIcalDue(props.DUE, params.DUE) : {});
+            entry.reminders = props['X-TODO-APP-PHI-REMINDERS'] ? props['X-TODO-APP-PHI-REMINDERS'].split(',') : [];
+            entry.completed = props.STATUS === 'COMPLETED' || Boolean(props.COMPLETED);
+            entry.completedAt = props.COMPLETED ? fromIcalDateTime(props.COMPLETED) : null;
+            entry.priority = priorityFromIcal(props.PRIORITY);
+            entry.tags = props.CATEGORIES
+                ? props.CATEGORIES.split(/(?<!\\),/).map(unescapeIcalText)
+                : [];
+            entry.recurrence = props.RRULE ? fromRrule(props.RRULE) : null;
+            entry.createdAt = props.CREATED ? fromIcalDateTime(props.CREATED) : null;
+            entry.archivedAt = props['X-TODO-APP-PHI-ARCHIVED'] ? fromIcalDateTime(props['X-TODO-APP-PHI-ARCHIVED']) : null;
+            entry.list = props['X-TODO-APP-PHI-LIST'] ? unescapeIcalText(props['X-TODO-APP-PHI-LIST']) : null;
+            Object.assign(entry, fromIcalDescription(props.DESCRIPTION));
+            entries.push(entry);
+            props = null;
+            return;
+        }
+        if (!props || nested > 0) return;
+
+        const separator = line.indexOf(':');
+        if (separator === -1) return;
+        const name = line.slice(0, separator).split(';')[0].toUpperCase();
+        props[name] = line.slice(separator + 1);
+        params[name] = line.slice(name.length, separator);
+    });
+
+    return entries;
+};
+
+const SERIALIZERS = { json: toJson, csv: toCsv, markdown: toMarkdown, ical: toIcal };
+const PARSERS = { json: fromJson, csv: fromCsv, markdown: fromMarkdown, ical: fromIcal };
+
+export const TodoTransfer = {
+    toEntry,
+
+    /**
+     * Serializes entries (see toEntry) in the given format.
+     */
+    serialize: (entries, format) => {
+        const serialize = SERIALIZERS[format];
+        if (!serialize) throw new Error(`Unknown export format: ${format}`);
+        return serialize(entries);
+    },
+
+    /**
+     * Parses file contents into entries. Throws if the file as a whole cannot be read.
+     */
+    parse: (text, format) => {
+        const parse = PARSERS[format];
+        if (!parse) throw new Error(`Unknown import format: ${format}`);
+        return parse(text);
+    },
+
+    /**
+     * Guesses the format from a file name, or returns null.
+     */
+    formatOf: (fileName) => {
+        const extension = (fileName.split('.').pop() || '').toLowerCase();
+        const format = TRANSFER_FORMATS.find(f => f.extension === extension || (f.id === 'markdown' && extension === 'markdown'));
+        return format ? format.id : null;
+    },
+};
@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import { TodoTransfer } from './TodoTransfer';
+
+// An entry using every field
+const FULL_ENTRY = {
+    text: 'Pay the rent',
+    notes: 'Bank transfer\nReference: "March"',
+    dueDate: '2026-11-01',
+    dueTime: '09:30',
+    timeZone: 'Europe/Rome',
+    reminders: ['PT1H', 'P1D'],
+    completed: true,
+    completedAt: '2026-10-30T08:15:00.000Z',
+    archivedAt: '2026-10-31T10:00:00.000Z',
+    createdAt: '2026-10-01T12:00:00.000Z',
+    subtasks: [{ text: 'Check balance', completed: true }, { text: 'Send receipt', completed: false }],
+    recurrence: { freq: 'monthly', interval: 1, byWeekday: [], until: null, count: 12 },
+    tags: ['home', 'money'],
+    priority: 'high',
+    list: 'Bills',
+};
+
+const entry = (fields) => ({ ...TodoTransfer.toEntry({ text: 'Todo' }), ...fields });
+
+describe('TodoTransfer json', () => {
+    it('keeps every field through a round trip', () => {
+        const entries = [FULL_ENTRY, entry({ text: 'Inbox todo' })];
+        const text = TodoTransfer.serialize(entries, 'json');
+        expect(TodoTransfer.parse(text, 'json')).toEqual(entries);
+    });
+
+    it('rejects files that are not a backup of this app', () => {
+        expect(() => TodoTransfer.parse('{ "todos": [] }', 'json')).toThrow('not a todo backup');
+        expect(() => TodoTransfer.parse('not json', 'json')).toThrow('not valid JSON');
+    });
+
+    it('rejects backups from a newer version', () => {
+        const text = JSON.stringify({ app: 'todo-app-phi', version: 99, todos: [] });
+        expect(() => TodoTransfer.parse(text, 'json')).toThrow('Unsupported backup version');
+    });
+});
+
+describe('TodoTransfer csv', () => {
+    it.each(['=SUM(A1:A2)', '+1', '-1', '@cmd'])('prefixes the formula %s with a quote', (text) => {
+        const csv = TodoTransfer.serialize([entry({ text, tags: [text] })], 'csv');
+        const row = csv.split('\r\n')[1];
+        expect(row.startsWith(`'${text}`)).toBe(true);
+        expect(row).not.toMatch(/,[=+\-@]/);
+    });
+
+    it('reads quoted formulas back as typed', () => {
+        const entries = [entry({ text: '=1+1', notes: '-note', list: '@home' })];
+        const [parsed] = TodoTransfer.parse(TodoTransfer.serialize(entries, 'csv'), 'csv');
+        expect(parsed).toMatchObject({ text: '=1+1', notes: '-note', list: '@home' });
+    });
+
+    it('quotes cells with commas, quotes and line breaks', () => {
+        const entries = [entry({ text: 'Buy milk, eggs', notes: 'Say "hi"\nto Ann' })];
+        const [parsed] = TodoTransfer.parse(TodoTransfer.serialize(entries, 'csv'), 'csv');
+        expect(parsed).toMatchObject({ text: 'Buy milk, eggs', notes: 'Say "hi"\nto Ann' });
+    });
+});
+
+describe('TodoTransfer ical', () => {
+    const calendar = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+    it('ignores the properties of an alarm inside a todo', () => {
+        const text = calendar(
+            'BEGIN:VTODO',
+            'SUMMARY:Call Ann',
+            'DESCRIPTION:About the party',
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            'DESCRIPTION:Reminder',
+            'TRIGGER:-PT15M',
+            'END:VALARM',
+            'PRIORITY:1',
+            'END:VTODO'
+        );
+        const [parsed] = TodoTransfer.parse(text, 'ical');
+        expect(parsed).toMatchObject({ text: 'Call Ann', notes: 'About the party', priority: 'urgent' });
+    });
+
+    it('reads every todo of the calendar', () => {
+        const text = calendar(
+            'BEGIN:VTODO', 'SUMMARY:First', 'END:VTODO',
+            'BEGIN:VTODO', 'SUMMARY:Second', 'STATUS:COMPLETED', 'END:VTODO'
+        );
+        expect(TodoTransfer.parse(text, 'ical').map(e => [e.text, e.completed])).toEqual([['First', false], ['Second', true]]);
+    });
+
+    it('keeps text, due date, tags and subtasks through a round trip', () => {
+        const entries = [entry({
+            text: 'Plan; trip, soon',
+            dueDate: '2026-11-01',
+            tags: ['travel'],
+            subtasks: [{ text: 'Book hotel', completed: false }],
+            notes: 'Somewhere warm',
+        })];
+        const [parsed] = TodoTransfer.parse(TodoTransfer.serialize(entries, 'ical'), 'ical');
+        expect(parsed).toMatchObject({
+            text: 'Plan; trip, soon',
+            dueDate: '2026-11-01',
+            tags: ['travel'],
+            subtasks: [{ text: 'Book hotel', completed: false }],
+            notes: 'Somewhere warm',
+        });
+    });
+
+    it('rejects files that are not calendars', () => {
+        expect(() => TodoTransfer.parse('SUMMARY:Nope', 'ical')).toThrow('not an iCalendar file');
+    });
+});
@@ -0,0 +1,139 @@
+/**
+ * AppWorkerService.js
+ *
+ * SERVICE LAYER - Service worker
+ *
+ * Registers the app's service worker (public/sw.js) once, under the base path, and
+ * shares the registration with ReminderService.
+ * - Updates: the worker of a new deploy installs in the background and waits; listeners
+ *   learn that an update is available, and applyUpdate() lets it take over and reloads
+ *   the page. New deploys are looked for hourly and whenever the app becomes visible.
+ * - Background Sync: requestSync() asks the browser to wake the worker once the device
+ *   is back online; the worker then asks this page to run the handler set with onFlush.
+ */
+
+const WORKER_URL = `${import.meta.env.BASE_URL}sw.js`;
+const SYNC_TAG = 'todo-sync';
+const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+const listeners = new Set();
+
+let registrationPromise = null;
+let updateAvailable = false;
+let flushHandler = null;
+
+const isSupported = () => typeof window !== 'undefined' && 'serviceWorker' in navigator;
+
+const setUpdateAvailable = () => {
+    updateAvailable = true;
+    listeners.forEach(listener => listener(updateAvailable));
+};
+
+/**
+ * Watches a registration for a new worker that finishes installing while
+ * another one controls the page: that is an update waiting to take over.
+ */
+const watchUpdates = (registration) => {
+    if (registration.waiting && navigator.serviceWorker.controller) setUpdateAvailable();
+
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker?.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) setUpdateAvailable();
+        });
+    });
+
+    const checkForUpdate = () => registration.update().catch(() => {
+        // Offline: try again next time
+    });
+    setInterval(checkForUpdate, UPDATE_CHECK_INTERVAL_MS);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') checkForUpdate();
+    });
+};
+
+/**
+ * Answers the worker's flush requests (see Background Sync in sw.js) through the
+ * message port it sends along, with whether the queue was drained.
+ */
+const answerFlushRequests = () => {
+    navigator.serviceWorker.addEventListener('message', async (event) => {
+        if (event.data?.type !== 'flush') return;
+        const [port] = event.ports;
+        let complete = false;
+        try {
+            complete = flushHandler ? (await flushHandler()).complete : false;
+        } catch (error) {
+            console.error('Error flushing the sync queue:', error);
+        }
+        port?.postMessage({ complete });
+    });
+};
+
+/**
+ * Registers the service worker once and resolves to its registration,
+ * or to null where service workers are not supported.
+ */
+const register = () => {
+    if (!isSupported()) return Promise.resolve(null);
+    if (!registrationPromise) {
+        answerFlushRequests();
+        registrationPromise = navigator.serviceWorker
+            .register(WORKER_URL, { scope: import.meta.env.BASE_URL })
+            .then((registration) => {
+                watchUpdates(registration);
+                return registration;
+            });
+    }
+    return registrationPromise;
+};
+
+export const AppWorkerService = {
+    isSupported,
+
+    register,
+
+    /**
+     * Registers a listener called with true once an update is waiting.
+     * Also registers the worker. Returns an unsubscribe function.
+     */
+    subscribeUpdate: (listener) => {
+        listeners.add(listener);
+        register().catch(error => console.error('Error registering the service worker:', error));
+        if (updateAvailable) listener(updateAvailable);
+        return () => listeners.delete(listener);
+    },
+
+    /**
+     * Lets the waiting worker take over, then reloads the page to run the new version.
+     */
+    applyUpdate: async () => {
+        const registration = await register();
+        if (!registration?.waiting) {
+            window.location.reload();
+            return;
+        }
+        navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+        registration.waiting.postMessage({ type: 'skipWaiting' });
+    },
+
+    /**
+     * Asks for a background sync, where supported. `onFlush` handlers run when it fires.
+     */
+    requestSync: async () => {
+        try {
+            const registration = await register();
+            await registration?.sync?.register(SYNC_TAG);
+        } catch {
+            // Not supported or not allowed: the app still flushes when it is back online
+        }
+    },
+
+    /**
+     * Sets the handler that flushes the sync queue when the worker asks for it.
+     * It resolves with { complete }, whether the queue was drained.
+     */
+    onFlush: (handler) => {
+        flushHandler = handler;
+    },
+};
@@ -0,0 +1,233 @@
+import { supabase } from '../supabaseClient';
+import { LocalStore } from './LocalStore';
+import { PreferencesService } from './PreferencesService';
+import { SyncService } from './SyncService';
+
+/**
+ * AuthService.js
+ *
+ * SERVICE LAYER - Authentication and account
+ *
+ * Wraps Supabase Auth: magic links, email/password sign-up and sign-in, password resets,
+ * OAuth providers, profile changes, sessions and account deletion.
+ *
+ * Every link and provider sends the user back to the app's page under the base path
+ * (e.g. https://<user>.github.io/todo-app-phi/), which must be listed among the
+ * Redirect URLs of the Supabase project. Supabase reads the session from that URL when
+ * the app starts; a failed redirect comes back with an error description instead
+ * (see redirectError). Listing sessions and deleting the account use the database
+ * functions in supabase_security.sql; avatars are stored in the `avatars` bucket,
+ * under a folder named after the user id.
+ */
+
+export const OAUTH_PROVIDERS = [
+    { id: 'github', label: 'GitHub' },
+    { id: 'google', label: 'Google' },
+];
+
+const AVATAR_BUCKET = 'avatars';
+
+// Whether the app was opened by a password reset link (read before Supabase clears the URL)
+const recoveryRedirect = new URLSearchParams(window.location.hash.slice(1)).get('type') === 'recovery';
+
+// The app's page, where Supabase sends users back after a link or a provider
+const redirectUrl = () => window.location.origin + import.meta.env.BASE_URL;
+
+const check = ({ data, error }) => {
+    if (error) throw error;
+    return data;
+};
+
+// Removes objects listed in the user's avatar folder
+const removeObjects = async (userId, objects) => {
+    if (objects.length === 0) return;
+    check(await supabase.storage.from(AVATAR_BUCKET).remove(objects.map(object => `${userId}/${object.name}`)));
+};
+
+/**
+ * Reads a JWT's payload (without verifying it: the server does that).
+ */
+const claimsOf = (accessToken) => {
+    try {
+        const payload = accessToken.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        return JSON.parse(atob(payload));
+    } catch {
+        return {};
+    }
+};
+
+export const AuthService = {
+    redirectUrl,
+
+    /**
+     * The error a sign-in redirect came back with (e.g. an expired link or a provider
+     * the project has not enabled), or null.
+     */
+    redirectError: () => {
+        const params = new URLSearchParams(window.location.hash.slice(1) || window.location.search);
+        return params.get('error_description') || params.get('error');
+    },
+
+    /**
+     * Forgets a handled redirect error, so a reload does not show it again.
+     */
+    clearRedirectError: () => {
+        window.history.replaceState(null, '', redirectUrl());
+    },
+
+    sendMagicLink: async (email) => {
+        check(await supabase.auth.signInWithOtp({ email, options: { emailRedirectTo: redirectUrl() } }));
+    },
+
+    signInWithPassword: async (email, password) => {
+        check(await supabase.auth.signInWithPassword({ email, password }));
+    },
+
+    /**
+     * Creates an account. Resolves with true if it still has to be confirmed by email
+     * (otherwise the user is signed in right away).
+     */
+    signUp: async (email, password) => {
+        const data = check(await supabase.auth.signUp({ email, password, options: { emailRedirectTo: redirectUrl() } }));
+        return !data.session;
+    },
+
+    /**
+     * Sends a password reset link. Following it signs the user in with a
+     * PASSWORD_RECOVERY auth event, after which updatePassword sets the new password.
+     */
+    sendPasswordReset: async (email) => {
+        check(await supabase.auth.resetPasswordForEmail(email, { redirectTo: redirectUrl() }));
+    },
+
+    /**
+     * Leaves for the provider's sign-in page; it sends the user back to redirectUrl().
+     */
+    signInWithProvider: async (provider) => {
+        check(await supabase.auth.signInWithOAuth({ provider, options: { redirectTo: redirectUrl() } }));
+    },
+
+    /**
+     * Signs out, after trying to sync the user's pending changes. Changes still pending
+     * (e.g. offline) could only be synced by signing in here again, so unless `keepPending`
+     * accepts that, the user stays signed in. Resolves with the number of pending changes
+     * that kept the user signed in (0 once signed out).
+     */
+    signOut: async ({ keepPending = false } = {}) => {
+        await SyncService.flush();
+        const { pending } = SyncService.getStatus();
+        if (pending > 0 && !keepPending) return pending;
+        check(await supabase.auth.signOut());
+        return 0;
+    },
+
+    updatePassword: async (password) => {
+        check(await supabase.auth.updateUser({ password }));
+    },
+
+    /**
+     * Starts an email change. Supabase mails confirmation links (by default to both
+     * addresses); the email changes once they are followed.
+     */
+    updateEmail: async (email) => {
+        check(await supabase.auth.updateUser({ email }, { emailRedirectTo: redirectUrl() }));
+    },
+
+    isRecoveryRedirect: () => recoveryRedirect,
+
+    /**
+     * Registers a listener called when a password reset link signs the user in.
+     * Returns an unsubscribe function.
+     */
+    onPasswordRecovery: (listener) => {
+        if (!supabase) return () => {};
+        const { data: { subscription } } = supabase.auth.onAuthStateChange((event) => {
+            if (event === 'PASSWORD_RECOVERY') listener();
+        });
+        return () => subscription.unsubscribe();
+    },
+
+    /**
+     * Saves the given profile fields (displayName, avatarUrl) in the user's metadata;
+     * the others are kept. The session is updated through a USER_UPDATED auth event.
+     */
+    updateProfile: async ({ displayName, avatarUrl }) => {
+        const data = {};
+        if (displayName !== undefined) data.display_name = displayName;
+        if (avatarUrl !== undefined) data.avatar_url = avatarUrl;
+        check(await supabase.auth.updateUser({ data }));
+    },
+
+    /**
+     * Uploads an avatar image, makes it the user's avatar and removes earlier uploads.
+     */
+    uploadAvatar: async (userId, file) => {
+        const storage = supabase.storage.from(AVATAR_BUCKET);
+        const existing = check(await storage.list(userId));
+        const extension = (file.name.split('.').pop() || 'png').toLowerCase();
+        const path = `${userId}/avatar-${Date.now()}.${extension}`;
+        check(await storage.upload(path, file, { contentType: file.type }));
+        await AuthService.updateProfile({ avatarUrl: storage.getPublicUrl(path).data.publicUrl });
+        await removeObjects(userId, existing);
+    },
+
+    /**
+     * Removes the user's avatar and its uploads.
+     */
+    removeAvatar: async (userId) => {
+        const existing = check(await supabase.storage.from(AVATAR_BUCKET).list(userId));
+        await AuthService.updateProfile({ avatarUrl: null });
+        await removeObjects(userId, existing);
+    },
+
+    /**
+     * The user's sessions, most recently active first: [{ id, createdAt, lastActiveAt,
+     * userAgent, ip, current }], where `current` marks this browser's session.
+     */
+    getSessions: async () => {
+        const { data: { session } } = await supabase.auth.getSession();
+        const currentId = session ? claimsOf(session.access_token).session_id : null;
+        const rows = check(await supabase.rpc('list_my_sessions'));
+        return rows.map(row => ({
+            id: row.id,
+            createdAt: row.created_at,
+            lastActiveAt: row.updated_at || row.created_at,
+            userAgent: row.user_agent || '',
+            ip: row.ip || '',
+            current: row.id === currentId,
+        }));
+    },
+
+    /**
+     * Signs out one of the user's other sessions. Its access token stays valid until
+     * it expires (within the hour), but it can no longer be refreshed.
+     */
+    revokeSession: async (sessionId) => {
+        check(await supabase.rpc('revoke_my_session', { target_session_id: sessionId }));
+    },
+
+    /**
+     * Signs out every session except this one.
+     */
+    signOutOtherSessions: async () => {
+        check(await supabase.auth.signOut({ scope: 'others' }));
+    },
+
+    /**
+     * Deletes the account with its todos, lists and memberships (see delete_my_account
+     * in supabase_security.sql) and its avatars, then forgets its local copy and
+     * pending changes (those of other accounts used in this browser are kept),
+     * and signs out of this browser.
+     */
+    deleteAccount: async (userId) => {
+        await removeObjects(userId, check(await supabase.storage.from(AVATAR_BUCKET).list(userId)));
+        check(await supabase.rpc('delete_my_account'));
+
+        await LocalStore.replaceTodos(userId, [], false);
+        await LocalStore.replaceTodos(userId, [], true);
+        await SyncService.discard(userId);
+        PreferencesService.clear(userId);
+        // The server sessions are gone with the user
+        await supabase.auth.signOut({ scope: 'local' });
+    },
+};
@@ -0,0 +1,78 @@
+import { supabase } from '../supabaseClient';
+import { ListModel } from '../model/ListModel';
+import { OWNER_ROLE } from '../model/SharingModel';
+
+/**
+ * Maps a row of the `lists` table to a ListModel.
+ * `role` is the current user's role in the list.
+ */
+const fromRow = (item, role = OWNER_ROLE) => {
+    const list = new ListModel(item.name, item.color);
+    list.id = item.id;
+    list.ownerId = item.user_id;
+    list.role = role;
+    return list;
+};
+
+export const ListService = {
+    /**
+     * Fetches the lists the user owns or has accepted an invitation to (scoped by RLS),
+     * each with the user's role in it.
+     */
+    getAllLists: async (userId) => {
+        const { data, error } = await supabase
+            .from('lists')
+            .select('*')
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+
+        const { data: memberships, error: membershipError } = await supabase
+            .from('list_members')
+            .select('list_id, role')
+            .eq('user_id', userId)
+            .eq('status', 'accepted');
+
+        if (membershipError) throw membershipError;
+
+        const roles = new Map(memberships.map(m => [m.list_id, m.role]));
+        return data.map(item => fromRow(item, item.user_id === userId ? OWNER_ROLE : roles.get(item.id)));
+    },
+
+    /**
+     * Adds a new list.
+     */
+    addList: async (list, userId) => {
+        const { data, error } = await supabase
+            .from('lists')
+            .insert([{ name: list.name, color: list.color, user_id: userId }])
+            .select();
+
+        if (error) throw error;
+        return fromRow(data[0]);
+    },
+
+    /**
+     * Updates the name and color of a list.
+     */
+    updateList: async (list) => {
+        const { error } = await supabase
+            .from('lists')
+            .update({ name: list.name, color: list.color })
+            .eq('id', list.id);
+
+        if (error) throw error;
+    },
+
+    /**
+     * Deletes a list. Its todos move back to the Inbox (list_id is set to null by the database).
+     */
+    deleteList: async (id) => {
+        const { error } = await supabase
+            .from('lists')
+            .delete()
+            .eq('id', id);
+
+        if (error) throw error;
+    },
+};
@@ -0,0 +1,153 @@
+/**
+ * LocalStore.js
+ *
+ * SERVICE LAYER - Local persistence
+ *
+ * A small promise-based wrapper around IndexedDB.
+ * It keeps three object stores:
+ * - todos: a local copy of every todo row, in the same shape as the Supabase table,
+ *   plus a `cached_for` column naming the signed-in user the copy belongs to
+ *   (shared todos are owned by other users, so user_id cannot be used for that).
+ * - queue: pending add/update/delete operations waiting to be replayed against Supabase,
+ *   each with the `owner` (user id) who queued it.
+ * - meta: small key/value entries (e.g. last sync time, temporary-to-server id map).
+ */
+
+const DB_NAME = 'todo-app-phi';
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                if (event.oldVersion < 1) {
+                    const todos = db.createObjectStore('todos', { keyPath: 'id' });
+                    todos.createIndex('user_id', 'user_id', { unique: false });
+                    db.createObjectStore('queue', { keyPath: 'seq', autoIncrement: true });
+                    db.createObjectStore('meta', { keyPath: 'key' });
+                }
+                if (event.oldVersion < 2) {
+                    const todos = request.transaction.objectStore('todos');
+                    todos.deleteIndex('user_id');
+                    todos.createIndex('cached_for', 'cached_for', { unique: false });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+};
+
+/**
+ * Runs `work` inside a transaction and resolves once the transaction commits.
+ * `work` receives the requested object stores and may return an IDBRequest,
+ * whose result becomes the resolved value.
+ */
+const withStores = async (storeNames, mode, work) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeNames, mode);
+        const stores = storeNames.map(name => tx.objectStore(name));
+        const request = work(...stores);
+
+        tx.oncomplete = () => resolve(request ? request.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+};
+
+export const LocalStore = {
+    /**
+     * Returns every todo row cached for the given user.
+     */
+    getTodos: (userId) =>
+        withStores(['todos'], 'readonly', (todos) => todos.index('cached_for').getAll(userId)),
+
+    /**
+     * Returns a single cached todo row, or undefined.
+     */
+    getTodo: (id) =>
+        withStores(['todos'], 'readonly', (todos) => todos.get(id)),
+
+    /**
+     * Inserts or replaces a single todo row.
+     */
+    putTodo: (row) =>
+        withStores(['todos'], 'readwrite', (todos) => todos.put(row)),
+
+    /**
+     * Inserts or replaces several todo rows in one transaction.
+     */
+    putTodos: (rows) =>
+        withStores(['todos'], 'readwrite', (todos) => {
+            rows.forEach(row => todos.put(row));
+        }),
+
+    /**
+     * Removes a single todo row.
+     */
+    deleteTodo: (id) =>
+        withStores(['todos'], 'readwrite', (todos) => todos.delete(id)),
+
+    /**
+     * Replaces a temporary client id with the id assigned by the server.
+     */
+    renameTodo: (oldId, newId) =>
+        withStores(['todos'], 'readwrite', (todos) => {
+            const request = todos.get(oldId);
+            request.onsuccess = () => {
+                if (!request.result) return;
+                todos.delete(oldId);
+                todos.put({ ...request.result, id: newId });
+            };
+        }),
+
+    /**
+     * Replaces the rows cached for a user with a fresh copy from the server.
+     * Only the cached rows in the same trash state (`trashed`) are replaced,
+     * so the active todos and the trash can be refreshed separately.
+     */
+    replaceTodos: (userId, rows, trashed = false) =>
+        withStores(['todos'], 'readwrite', (todos) => {
+            const request = todos.index('cached_for').getAll(userId);
+            request.onsuccess = () => {
+                request.result
+                    .filter(row => Boolean(row.deleted_at) === trashed)
+                    .forEach(row => todos.delete(row.id));
+                rows.forEach(row => todos.put({ ...row, cached_for: userId }));
+            };
+        }),
+
+    /**
+     * Appends an operation to the sync queue.
+     */
+    enqueue: (op) =>
+        withStores(['queue'], 'readwrite', (queue) => queue.add({ ...op, queuedAt: new Date().toISOString() })),
+
+    /**
+     * Returns all pending operations in the order they were queued.
+     */
+    getQueue: () =>
+        withStores(['queue'], 'readonly', (queue) => queue.getAll()),
+
+    /**
+     * Removes a replayed (or rejected) operation from the sync queue.
+     */
+    dequeue: (seq) =>
+        withStores(['queue'], 'readwrite', (queue) => queue.delete(seq)),
+
+    getMeta: async (key) => {
+        const entry = await withStores(['meta'], 'readonly', (meta) => meta.get(key));
+        return entry ? entry.value : undefined;
+    },
+
+    setMeta: (key, value) =>
+        withStores(['meta'], 'readwrite', (meta) => meta.put({ key, value })),
+};
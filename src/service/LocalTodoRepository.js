@@ -0,0 +1,116 @@
+import { LocalStore } from './LocalStore';
+import { fromRow, toRow, toColumns, newRow, sortedTodos } from './TodoRows';
+
+/**
+ * LocalTodoRepository.js
+ *
+ * SERVICE LAYER - Local storage backend
+ *
+ * Keeps todos in this browser only, in the IndexedDB store shared with the offline
+ * copy of the Supabase backend (rows are told apart by their `cached_for` user id).
+ * Used when Supabase is not configured and for guest mode. Writes are final as soon
+ * as they are stored, so there is nothing to sync and todos keep their client ids.
+ * Other tabs of the same browser are told about every write over a BroadcastChannel,
+ * which stands in for Supabase Realtime.
+ */
+
+const CHANNEL_NAME = 'todo-app-phi:local-todos';
+
+const SYNC_STATUS = {
+    pending: 0,
+    syncing: false,
+    online: true,
+    lastSyncedAt: null,
+    lastError: null,
+};
+
+const listeners = new Set();
+
+// One channel per tab: a channel never receives its own messages, so writes are not echoed back
+const channel = typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(CHANNEL_NAME);
+if (channel) {
+    channel.onmessage = (event) => listeners.forEach(listener => listener(event.data));
+}
+
+const broadcast = (userId, change) => {
+    channel?.postMessage({ userId, ...change });
+};
+
+const fetchTodos = async (userId, trashed) => {
+    const rows = await LocalStore.getTodos(userId);
+    return sortedTodos(rows.filter(row => Boolean(row.deleted_at) === trashed));
+};
+
+export const LocalTodoRepository = {
+    remote: false,
+
+    getAllTodos: (userId) => fetchTodos(userId, false),
+
+    getTrashedTodos: (userId) => fetchTodos(userId, true),
+
+    addTodo: async (todo, userId) => {
+        const row = newRow(todo, userId);
+        await LocalStore.putTodo(row);
+        broadcast(userId, { type: 'INSERT', row });
+        return fromRow(row);
+    },
+
+    addTodos: async (todos, userId) => {
+        const now = new Date().toISOString();
+        const rows = todos.map(todo => newRow(todo, userId, now));
+        await LocalStore.putTodos(rows);
+        rows.forEach(row => broadcast(userId, { type: 'INSERT', row }));
+        return rows.map(fromRow);
+    },
+
+    updateTodo: async (todo) => {
+        const existing = await LocalStore.getTodo(todo.id);
+        const row = { ...existing, ...toRow(todo) };
+        await LocalStore.putTodo(row);
+        broadcast(row.cached_for, { type: 'UPDATE', row });
+    },
+
+    updateTodos: async (ids, changes) => {
+        const columns = toColumns(changes);
+        const existing = await Promise.all(ids.map(id => LocalStore.getTodo(id)));
+        const rows = existing.filter(Boolean).map(row => ({ ...row, ...columns }));
+        await LocalStore.putTodos(rows);
+        rows.forEach(row => broadcast(row.cached_for, { type: 'UPDATE', row }));
+        return { failedIds: ids.filter((_id, index) => !existing[index]) };
+    },
+
+    deleteTodo: async (id) => {
+        const existing = await LocalStore.getTodo(id);
+        await LocalStore.deleteTodo(id);
+        if (existing) broadcast(existing.cached_for, { type: 'DELETE', id });
+    },
+
+    deleteTodos: async (ids) => {
+        const existing = await Promise.all(ids.map(id => LocalStore.getTodo(id)));
+        for (const id of ids) await LocalStore.deleteTodo(id);
+        existing.filter(Boolean).forEach(row => broadcast(row.cached_for, { type: 'DELETE', id: row.id }));
+        return { failedIds: ids.filter((_id, index) => !existing[index]) };
+    },
+
+    /**
+     * Subscribes to the writes made by other tabs on the todos of `userId`.
+     */
+    subscribeChanges: (userId, onChange) => {
+        const listener = (message) => {
+            if (message.userId !== userId) return;
+            if (message.type === 'DELETE') onChange({ type: 'DELETE', id: message.id });
+            else onChange({ type: message.type, todo: fromRow(message.row) });
+        };
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    },
+
+    getSyncStatus: () => SYNC_STATUS,
+
+    // Nothing is ever pending, so there are no status changes to report
+    subscribeSync: () => () => {},
+
+    resolveId: (id) => id,
+
+    syncNow: async () => ({ rejected: [], complete: true }),
+};
@@ -0,0 +1,86 @@
+import { fromRow, toRow, toColumns, newRow, sortedTodos } from './TodoRows';
+
+/**
+ * MemoryTodoRepository.js
+ *
+ * SERVICE LAYER - In-memory storage backend
+ *
+ * Keeps todos in a Map for the lifetime of the page: nothing is persisted or synced.
+ * Meant for tests and demos, where the ViewModel should run without Supabase or
+ * IndexedDB. Rows go through the same mapping as the other backends, so callers
+ * always get fresh copies and never share objects with the store.
+ */
+
+const SYNC_STATUS = {
+    pending: 0,
+    syncing: false,
+    online: true,
+    lastSyncedAt: null,
+    lastError: null,
+};
+
+/**
+ * Creates an empty repository, or one holding `initialTodos` for `userId`.
+ */
+export const createMemoryTodoRepository = (initialTodos = [], userId = 'anonymous') => {
+    const rows = new Map(initialTodos.map(todo => [todo.id, newRow(todo, userId)]));
+
+    const fetchTodos = async (owner, trashed) => sortedTodos(
+        [...rows.values()].filter(row => row.cached_for === owner && Boolean(row.deleted_at) === trashed)
+    );
+
+    return {
+        remote: false,
+
+        getAllTodos: (owner) => fetchTodos(owner, false),
+
+        getTrashedTodos: (owner) => fetchTodos(owner, true),
+
+        addTodo: async (todo, owner) => {
+            const row = newRow(todo, owner);
+            rows.set(row.id, row);
+            return fromRow(row);
+        },
+
+        addTodos: async (todos, owner) => {
+            const now = new Date().toISOString();
+            return todos.map(todo => {
+                const row = newRow(todo, owner, now);
+                rows.set(row.id, row);
+                return fromRow(row);
+            });
+        },
+
+        updateTodo: async (todo) => {
+            rows.set(todo.id, { ...rows.get(todo.id), ...toRow(todo) });
+        },
+
+        updateTodos: async (ids, changes) => {
+            const columns = toColumns(changes);
+            const found = ids.filter(id => rows.has(id));
+            found.forEach(id => rows.set(id, { ...rows.get(id), ...columns }));
+            return { failedIds: ids.filter(id => !found.includes(id)) };
+        },
+
+        deleteTodo: async (id) => {
+            rows.delete(id);
+        },
+
+        deleteTodos: async (ids) => {
+            const failedIds = ids.filter(id => !rows.has(id));
+            ids.forEach(id => rows.delete(id));
+            return { failedIds };
+        },
+
+        // A single page holds the only copy: there are no changes from elsewhere
+        subscribeChanges: () => () => {},
+
+        getSyncStatus: () => SYNC_STATUS,
+
+        subscribeSync: () => () => {},
+
+        resolveId: (id) => id,
+
+        syncNow: async () => ({ rejected: [], complete: true }),
+    };
+};
@@ -0,0 +1,43 @@
+/**
+ * PreferencesService.js
+ *
+ * SERVICE LAYER - User preferences
+ *
+ * Stores small per-user UI preferences in localStorage, keyed by user id,
+ * so each account on a shared browser keeps its own settings.
+ */
+
+const storageKey = (userId) => `todo-app-phi:preferences:${userId}`;
+
+const readAll = (userId) => {
+    try {
+        return JSON.parse(localStorage.getItem(storageKey(userId))) || {};
+    } catch {
+        return {};
+    }
+};
+
+export const PreferencesService = {
+    /**
+     * Returns a stored preference, or `fallback` if it has never been set.
+     */
+    get: (userId, key, fallback) => {
+        const preferences = readAll(userId);
+        return key in preferences ? preferences[key] : fallback;
+    },
+
+    /**
+     * Stores a preference.
+     */
+    set: (userId, key, value) => {
+        const preferences = readAll(userId);
+        localStorage.setItem(storageKey(userId), JSON.stringify({ ...preferences, [key]: value }));
+    },
+
+    /**
+     * Forgets every preference of a user (e.g. when the account is deleted).
+     */
+    clear: (userId) => {
+        localStorage.removeItem(storageKey(userId));
+    },
+};
@@ -0,0 +1,83 @@
+import { AppWorkerService } from './AppWorkerService';
+
+/**
+ * ReminderService.js
+ *
+ * SERVICE LAYER - Reminder notifications
+ *
+ * Hands the reminder schedule to the service worker (public/sw.js, registered by
+ * AppWorkerService), which shows
+ * Web Notifications when reminders are due, even while the tab is in the background.
+ * While the app is open it nudges the worker every minute; where the browser supports
+ * Periodic Background Sync the worker is also woken up when the app is closed.
+ */
+
+const TICK_INTERVAL_MS = 60 * 1000;
+const PERIODIC_SYNC_TAG = 'todo-reminders';
+
+let registrationPromise = null;
+let tickTimer = null;
+
+const isSupported = () =>
+    typeof window !== 'undefined' && 'serviceWorker' in navigator && 'Notification' in window;
+
+/**
+ * Resolves to the service worker registration once a worker is active,
+ * setting up periodic background sync the first time.
+ */
+const ready = () => {
+    if (!registrationPromise) {
+        registrationPromise = AppWorkerService.register()
+            .then(() => navigator.serviceWorker.ready)
+            .then(async (registration) => {
+                if ('periodicSync' in registration) {
+                    try {
+                        await registration.periodicSync.register(PERIODIC_SYNC_TAG, { minInterval: 15 * 60 * 1000 });
+                    } catch {
+                        // Not allowed for this site (e.g. not installed): ticks still work while open
+                    }
+                }
+                return registration;
+            });
+    }
+    return registrationPromise;
+};
+
+const post = async (message) => {
+    const registration = await ready();
+    registration.active?.postMessage(message);
+};
+
+export const ReminderService = {
+    isSupported,
+
+    /**
+     * 'granted', 'denied', 'default' or 'unsupported'.
+     */
+    getPermission: () => (isSupported() ? Notification.permission : 'unsupported'),
+
+    /**
+     * Asks the user for permission to show notifications; resolves to the new permission.
+     */
+    requestPermission: async () => {
+        if (!isSupported()) return 'unsupported';
+        if (Notification.permission !== 'default') return Notification.permission;
+        return Notification.requestPermission();
+    },
+
+    /**
+     * Replaces the scheduled reminders ([{ key, at, title, body }]) and starts the minute tick.
+     */
+    schedule: async (reminders) => {
+        if (!isSupported()) return;
+        try {
+            await post({ type: 'schedule', reminders });
+        } catch (error) {
+            console.error('Error scheduling reminders:', error);
+            return;
+        }
+        if (!tickTimer) {
+            tickTimer = setInterval(() => post({ type: 'tick' }).catch(() => {}), TICK_INTERVAL_MS);
+        }
+    },
+};
@@ -0,0 +1,96 @@
+import { supabase } from '../supabaseClient';
+
+/**
+ * Maps a row of the `list_members` table (with its list name) to a plain object.
+ */
+const fromRow = (item) => ({
+    id: item.id,
+    listId: item.list_id,
+    listName: item.lists?.name ?? '',
+    email: item.email,
+    role: item.role,
+    status: item.status,
+    userId: item.user_id,
+});
+
+export const SharingService = {
+    /**
+     * Fetches the pending invitations addressed to the given email.
+     * Invitations are stored with lowercased emails (see SharingModel.validateInvite).
+     */
+    getInvitations: async (email) => {
+        const { data, error } = await supabase
+            .from('list_members')
+            .select('*, lists(name)')
+            .eq('status', 'pending')
+            .eq('email', email.toLowerCase());
+
+        if (error) throw error;
+        return data.map(fromRow);
+    },
+
+    /**
+     * Fetches the members (pending and accepted) of the given lists.
+     */
+    getMembers: async (listIds) => {
+        if (listIds.length === 0) return [];
+
+        const { data, error } = await supabase
+            .from('list_members')
+            .select('*, lists(name)')
+            .in('list_id', listIds)
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+        return data.map(fromRow);
+    },
+
+    /**
+     * Invites a collaborator to a list.
+     */
+    invite: async (listId, email, role, userId) => {
+        const { data, error } = await supabase
+            .from('list_members')
+            .insert([{ list_id: listId, email, role, status: 'pending', invited_by: userId }])
+            .select('*, lists(name)');
+
+        if (error) throw error;
+        return fromRow(data[0]);
+    },
+
+    /**
+     * Accepts an invitation on behalf of the current user.
+     */
+    accept: async (memberId, userId) => {
+        const { error } = await supabase
+            .from('list_members')
+            .update({ status: 'accepted', user_id: userId })
+            .eq('id', memberId);
+
+        if (error) throw error;
+    },
+
+    /**
+     * Changes the role of a member.
+     */
+    updateRole: async (memberId, role) => {
+        const { error } = await supabase
+            .from('list_members')
+            .update({ role })
+            .eq('id', memberId);
+
+        if (error) throw error;
+    },
+
+    /**
+     * Removes a membership: revokes access, declines an invitation or leaves a list.
+     */
+    remove: async (memberId) => {
+        const { error } = await supabase
+            .from('list_members')
+            .delete()
+            .eq('id', memberId);
+
+        if (error) throw error;
+    },
+};
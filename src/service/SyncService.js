@@ -0,0 +1,287 @@
+import { supabase } from '../supabaseClient';
+import { LocalStore } from './LocalStore';
+import { AppWorkerService } from './AppWorkerService';
+
+/**
+ * SyncService.js
+ *
+ * SERVICE LAYER - Offline sync
+ *
+ * Replays the operations queued in LocalStore against Supabase, in order.
+ * - Each operation records the user who queued it (`owner`). The server applies it under the
+ *   current session, so only the signed-in user's operations are replayed; those of other
+ *   accounts used in this browser wait in the queue until that user signs in again.
+ *   `pending` counts the signed-in user's operations only.
+ * - Network failures stop the replay and leave the queue untouched, so it can resume later.
+ * - Operations the server rejects are dropped and reported, so they cannot block the queue.
+ * - Rows inserted with a temporary client id get the id assigned by the server;
+ *   the mapping is persisted so later queued operations can be resolved against it.
+ * - Batched updates and deletes (updateMany, deleteMany) are sent as a single query on
+ *   all their ids. Rows the server leaves out (not permitted by RLS, or already gone)
+ *   are reported as rejected, with their ids, while the rest of the batch is kept.
+ * - When a replay stops offline, a background sync is requested, so the service worker
+ *   triggers the next flush as soon as the connection is back (see AppWorkerService).
+ */
+
+const listeners = new Set();
+
+let status = {
+    pending: 0,
+    syncing: false,
+    online: typeof navigator === 'undefined' ? true : navigator.onLine,
+    lastSyncedAt: null,
+    lastError: null,
+};
+
+let idMap = {};
+let flushChain = Promise.resolve();
+let readyPromise = null;
+
+const setStatus = (changes) => {
+    status = { ...status, ...changes };
+    listeners.forEach(listener => listener(status, idMap));
+};
+
+/**
+ * Supabase reports a failed fetch as an error without a Postgres error code.
+ */
+export const isNetworkError = (error) =>
+    !navigator.onLine || !error || !error.code;
+
+const resolveId = (id) => idMap[id] ?? id;
+
+const currentUserId = async () => {
+    const { data: { session } } = await supabase.auth.getSession();
+    return session?.user?.id ?? null;
+};
+
+/**
+ * The queued operations of a user. Operations queued before owners were recorded
+ * are taken to belong to whoever signs in first.
+ */
+const queueOf = async (userId) => {
+    if (!userId) return [];
+    const queue = await LocalStore.getQueue();
+    return queue.filter(op => op.owner === userId || op.owner === undefined);
+};
+
+/**
+ * Ids of a batch that are missing from the rows the server returned.
+ */
+const missingIds = (ids, rows) => {
+    const found = new Set(rows.map(row => row.id));
+    return ids.filter(id => !found.has(id));
+};
+
+const replay = async (op) => {
+    if (op.type === 'add') {
+        const { id: tempId, cached_for: _cachedFor, ...row } = op.row;
+        const { data, error } = await supabase
+            .from('todos')
+            .insert([row])
+            .select();
+        if (error) throw error;
+
+        const serverId = data[0].id;
+        idMap = { ...idMap, [tempId]: serverId };
+        await LocalStore.setMeta('idMap', idMap);
+        await LocalStore.renameTodo(tempId, serverId);
+        return;
+    }
+
+    if (op.type === 'addMany') {
+        const rows = op.rows.map((tempRow) => {
+            const { id: _tempId, cached_for: _cachedFor, ...row } = tempRow;
+            return row;
+        });
+        const { data, error } = await supabase
+            .from('todos')
+            .insert(rows)
+            .select();
+        if (error) throw error;
+
+        // Inserted rows come back in the order they were sent
+        const serverIds = Object.fromEntries(op.rows.map((row, index) => [row.id, data[index].id]));
+        idMap = { ...idMap, ...serverIds };
+        await LocalStore.setMeta('idMap', idMap);
+        for (const row of op.rows) {
+            await LocalStore.renameTodo(row.id, serverIds[row.id]);
+        }
+        return;
+    }
+
+    if (op.type === 'update') {
+        const { id, user_id: _userId, cached_for: _cachedFor, ...changes } = op.row;
+        const { error } = await supabase
+            .from('todos')
+            .update(changes)
+            .eq('id', resolveId(id));
+        if (error) throw error;
+        return;
+    }
+
+    if (op.type === 'updateMany') {
+        const ids = op.ids.map(resolveId);
+        const { data, error } = await supabase
+            .from('todos')
+            .update(op.changes)
+            .in('id', ids)
+            .select('id');
+        if (error) throw error;
+        return missingIds(ids, data);
+    }
+
+    if (op.type === 'delete') {
+        const { error } = await supabase
+            .from('todos')
+            .delete()
+            .eq('id', resolveId(op.id));
+        if (error) throw error;
+    }
+
+    if (op.type === 'deleteMany') {
+        const ids = op.ids.map(resolveId);
+        const { data, error } = await supabase
+            .from('todos')
+            .delete()
+            .in('id', ids)
+            .select('id');
+        if (error) throw error;
+        return missingIds(ids, data);
+    }
+};
+
+/**
+ * Loads the persisted sync state (id map, last sync time, queue length) once.
+ */
+const ready = () => {
+    if (!readyPromise) {
+        readyPromise = (async () => {
+            idMap = (await LocalStore.getMeta('idMap')) || {};
+            const lastSyncedAt = (await LocalStore.getMeta('lastSyncedAt')) || null;
+            const queue = await queueOf(await currentUserId());
+            setStatus({ pending: queue.length, lastSyncedAt });
+        })();
+    }
+    return readyPromise;
+};
+
+const runFlush = async () => {
+    await ready();
+    const owner = await currentUserId();
+    // Signed out, nothing can be replayed: the queue is drained only if it is empty
+    if (!owner) {
+        setStatus({ pending: 0 });
+        return { rejected: [], complete: (await LocalStore.getQueue()).length === 0 };
+    }
+
+    const queue = await queueOf(owner);
+    const rejected = [];
+    setStatus({ syncing: true, pending: queue.length });
+
+    for (const op of queue) {
+        try {
+            const missing = await replay(op);
+            if (missing?.length > 0) {
+                rejected.push({ op, ids: missing, error: new Error('Not permitted, or deleted in the meantime') });
+            }
+        } catch (error) {
+            if (isNetworkError(error)) {
+                setStatus({ syncing: false, online: false, pending: (await queueOf(owner)).length });
+                AppWorkerService.requestSync();
+                return { rejected, complete: false };
+            }
+            console.error("Sync operation rejected by server:", error);
+            rejected.push({ op, error });
+            if (op.type === 'add') {
+                await LocalStore.deleteTodo(op.row.id);
+            }
+            if (op.type === 'addMany') {
+                for (const row of op.rows) await LocalStore.deleteTodo(row.id);
+            }
+            setStatus({ lastError: error.message });
+        }
+        await LocalStore.dequeue(op.seq);
+        setStatus({ pending: status.pending - 1 });
+    }
+
+    const lastSyncedAt = new Date().toISOString();
+    await LocalStore.setMeta('lastSyncedAt', lastSyncedAt);
+    setStatus({ syncing: false, online: true, pending: 0, lastSyncedAt });
+    return { rejected, complete: true };
+};
+
+export const SyncService = {
+    ready,
+
+    /**
+     * Queues an operation for replay, on behalf of the signed-in user.
+     */
+    enqueue: async (op) => {
+        await ready();
+        const seq = await LocalStore.enqueue({ ...op, owner: await currentUserId() });
+        setStatus({ pending: status.pending + 1 });
+        return seq;
+    },
+
+    /**
+     * Replays the queue. Runs are serialized, so operations queued while a run
+     * is in progress are picked up by the next one.
+     * Resolves with the operations the server rejected and whether the queue was drained.
+     */
+    flush: () => {
+        const run = flushChain.then(runFlush);
+        flushChain = run.catch(() => {});
+        return run;
+    },
+
+    /**
+     * Drops the queued operations of a user (e.g. of a deleted account), leaving those
+     * of other accounts used in this browser. Serialized with the replays, like flush.
+     */
+    discard: (userId) => {
+        const run = flushChain.then(async () => {
+            await ready();
+            for (const op of await queueOf(userId)) await LocalStore.dequeue(op.seq);
+            if (userId === await currentUserId()) setStatus({ pending: 0 });
+        });
+        flushChain = run.catch(() => {});
+        return run;
+    },
+
+    /**
+     * Maps a temporary client id to the server id, if the row has been synced.
+     */
+    resolveId,
+
+    getStatus: () => status,
+
+    /**
+     * Registers a listener called with (status, idMap) on every change.
+     * Returns an unsubscribe function.
+     */
+    subscribe: (listener) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    },
+};
+
+if (typeof window !== 'undefined') {
+    window.addEventListener('online', () => {
+        setStatus({ online: true });
+        SyncService.flush();
+    });
+    window.addEventListener('offline', () => setStatus({ online: false }));
+    AppWorkerService.onFlush(() => SyncService.flush());
+}
+
+if (supabase) {
+    // Another user signing in (or out) has their own pending operations. Deferred, as
+    // Supabase calls made from inside an auth callback wait for the callback to return.
+    supabase.auth.onAuthStateChange(() => {
+        setTimeout(async () => {
+            await ready();
+            setStatus({ pending: (await queueOf(await currentUserId())).length });
+        }, 0);
+    });
+}
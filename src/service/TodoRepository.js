@@ -0,0 +1,73 @@
+import { isSupabaseConfigured } from '../supabaseClient';
+import { TodoService } from './TodoService';
+import { LocalTodoRepository } from './LocalTodoRepository';
+import { createMemoryTodoRepository } from './MemoryTodoRepository';
+
+/**
+ * TodoRepository.js
+ *
+ * SERVICE LAYER - Storage backends
+ *
+ * The ViewModel stores todos through a repository object rather than a fixed service,
+ * so the storage backend can be swapped. Every backend implements the same interface:
+ *
+ * - remote: true when changes travel to a server (the View then shows the sync status)
+ * - getAllTodos(userId) / getTrashedTodos(userId): todos outside / inside the trash
+ * - addTodo(todo, userId) / addTodos(todos, userId): resolve with the saved todo(s)
+ * - updateTodo(todo) / deleteTodo(id): deleteTodo removes a todo for good
+ * - updateTodos(ids, changes) / deleteTodos(ids): the same, batched into one write; they resolve
+ *   with { failedIds }, the todos that could not be changed while the rest of the batch was saved
+ * - subscribeChanges(userId, onChange): changes made elsewhere, as
+ *   { type: 'INSERT' | 'UPDATE', todo } or { type: 'DELETE', id }; returns an unsubscribe function
+ * - getSyncStatus() / subscribeSync(listener): { pending, syncing, online, lastSyncedAt, lastError },
+ *   the listener also receiving the map of temporary to server ids
+ * - resolveId(id): the current id of a todo added under a temporary id
+ * - syncNow(): replays pending changes, resolving with { rejected, complete }
+ *
+ * Writes reject when the backend refuses them, which makes the ViewModel roll back.
+ *
+ * Backends:
+ * - 'supabase': TodoService, with an offline copy in IndexedDB
+ * - 'local': LocalTodoRepository, this browser only (IndexedDB)
+ * - 'memory': MemoryTodoRepository, lost on reload (tests and demos)
+ */
+
+export const STORAGE_BACKENDS = ['supabase', 'local', 'memory'];
+
+// Owner of the todos kept on this device for signed-out visitors (and when there is no Supabase)
+export const GUEST_USER_ID = 'local';
+
+/**
+ * The backend named by VITE_TODO_BACKEND, or Supabase when it has credentials
+ * and the local backend otherwise.
+ * Falls back to the local backend if Supabase is asked for but not configured.
+ */
+export const configuredBackend = () => {
+    const requested = import.meta.env.VITE_TODO_BACKEND;
+    const fallback = isSupabaseConfigured ? 'supabase' : 'local';
+    if (!STORAGE_BACKENDS.includes(requested)) {
+        if (requested) console.warn(`Unknown VITE_TODO_BACKEND "${requested}", using "${fallback}".`);
+        return fallback;
+    }
+    if (requested === 'supabase' && !isSupabaseConfigured) {
+        console.warn('VITE_TODO_BACKEND is "supabase" but Supabase is not configured, using "local".');
+        return 'local';
+    }
+    return requested;
+};
+
+/**
+ * Returns the repository of a backend (one of STORAGE_BACKENDS).
+ */
+export const createTodoRepository = (backend = configuredBackend()) => {
+    if (backend === 'supabase') return TodoService;
+    if (backend === 'memory') return createMemoryTodoRepository();
+    return LocalTodoRepository;
+};
+
+/**
+ * Returns the repository for signed-out visitors: `repository` itself when it keeps
+ * todos on this device already, otherwise the local backend.
+ */
+export const guestRepositoryFor = (repository) =>
+    (repository.remote ? LocalTodoRepository : repository);
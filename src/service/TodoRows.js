@@ -0,0 +1,114 @@
+import { TodoModel } from '../model/TodoModel';
+import { TodoPosition } from '../model/TodoPosition';
+
+/**
+ * TodoRows.js
+ *
+ * SERVICE LAYER - Row mapping
+ *
+ * Converts between TodoModel and the row shape of the Supabase `todos` table.
+ * The same shape is used for the rows kept in IndexedDB (see LocalStore), both as
+ * the offline copy of the Supabase backend and as the storage of the local backend.
+ */
+
+/**
+ * Maps a row of the `todos` table (remote or cached locally) to a TodoModel.
+ */
+export const fromRow = (item) => {
+    const todo = new TodoModel(item.text, item.due_date);
+    todo.id = item.id;
+    todo.notes = item.notes || '';
+    todo.completed = item.completed;
+    todo.completedAt = item.completed_at ?? null;
+    todo.dueTime = item.due_time ?? null;
+    todo.timeZone = item.time_zone ?? null;
+    todo.reminders = item.reminders || [];
+    todo.archivedAt = item.archived_at;
+    todo.deletedAt = item.deleted_at ?? null;
+    todo.subtasks = item.subtasks || [];
+    todo.recurrence = item.recurrence || null;
+    todo.listId = item.list_id ?? null;
+    todo.createdBy = item.created_by ?? null;
+    todo.updatedBy = item.updated_by ?? null;
+    todo.tags = item.tags || [];
+    todo.priority = item.priority || 'none';
+    todo.position = item.position ?? null;
+    todo.createdAt = item.created_at;
+    return todo;
+};
+
+/**
+ * Maps a TodoModel to the columns of the `todos` table.
+ */
+export const toRow = (todo) => ({
+    id: todo.id,
+    text: todo.text,
+    notes: todo.notes || '',
+    completed: todo.completed,
+    completed_at: todo.completedAt || null,
+    due_date: todo.dueDate || null, // Map model property to DB column. Empty string -> null
+    due_time: todo.dueTime || null,
+    time_zone: todo.timeZone || null,
+    reminders: todo.reminders || [],
+    archived_at: todo.archivedAt || null,
+    deleted_at: todo.deletedAt || null,
+    subtasks: todo.subtasks || [],
+    recurrence: todo.recurrence || null,
+    list_id: todo.listId ?? null,
+    tags: todo.tags || [],
+    priority: todo.priority || 'none',
+    position: todo.position ?? null,
+    // Overwritten by a database trigger; sent so the local copy shows them right away
+    created_by: todo.createdBy ?? null,
+    updated_by: todo.updatedBy ?? null,
+});
+
+// Table column of each todo field that can be changed after creation
+const COLUMNS = {
+    text: 'text',
+    notes: 'notes',
+    completed: 'completed',
+    completedAt: 'completed_at',
+    dueDate: 'due_date',
+    dueTime: 'due_time',
+    timeZone: 'time_zone',
+    reminders: 'reminders',
+    archivedAt: 'archived_at',
+    deletedAt: 'deleted_at',
+    subtasks: 'subtasks',
+    recurrence: 'recurrence',
+    listId: 'list_id',
+    tags: 'tags',
+    priority: 'priority',
+    position: 'position',
+    updatedBy: 'updated_by',
+};
+
+/**
+ * Maps some changed fields of a todo (e.g. { completed, completedAt }) to their columns,
+ * for updates that touch only those columns.
+ */
+export const toColumns = (changes) => {
+    const row = toRow(changes);
+    return Object.fromEntries(Object.keys(changes)
+        .filter(field => field in COLUMNS)
+        .map(field => [COLUMNS[field], row[COLUMNS[field]]]));
+};
+
+/**
+ * Builds the row stored for a new todo of `userId`.
+ */
+export const newRow = (todo, userId, createdAt = new Date().toISOString()) => ({
+    ...toRow(todo),
+    user_id: userId,
+    cached_for: userId,
+    created_at: todo.createdAt || createdAt,
+});
+
+/**
+ * Maps stored rows to todos in their display order: manual position, then creation time.
+ */
+export const sortedTodos = (rows) => [...rows]
+    .sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''))
+    .map(fromRow)
+    .sort(TodoPosition.compare);
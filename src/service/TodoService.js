@@ -1,76 +1,217 @@
 import { supabase } from '../supabaseClient';
-import { TodoModel } from '../model/TodoModel';
+import { LocalStore } from './LocalStore';
+import { fromRow, toRow, toColumns, newRow, sortedTodos } from './TodoRows';
+import { SyncService, isNetworkError } from './SyncService';
 
+/**
+ * Queues an operation and tries to replay it right away.
+ * Throws only if the server rejected this operation; network failures keep it queued.
+ * For a batch the server applied in part, resolves with the (server) ids it rejected.
+ */
+const persist = async (op) => {
+    const seq = await SyncService.enqueue(op);
+    const { rejected } = await SyncService.flush();
+    const failure = rejected.find(r => r.op.seq === seq);
+    if (failure?.ids) return failure.ids;
+    if (failure) throw failure.error;
+    return [];
+};
+
+/**
+ * The ids (as the caller knows them) of the todos whose server ids were rejected.
+ */
+const failedIdsOf = (ids, rejectedIds) =>
+    ids.filter(id => rejectedIds.includes(SyncService.resolveId(id)));
+
+/**
+ * Puts back the local rows (`existing`, read before a batch write on `ids`)
+ * of the todos the server rejected, undoing the optimistic local write.
+ */
+const restoreRows = async (ids, existing, failedIds) => {
+    const rows = existing.filter((row, index) => row && failedIds.includes(ids[index]));
+    if (rows.length > 0) await LocalStore.putTodos(rows);
+};
+
+/**
+ * Fetches either the todos in the trash (`trashed`) or all the others.
+ * Reads from Supabase when the sync queue is drained, otherwise from the local store.
+ */
+const fetchTodos = async (userId, trashed) => {
+    const { complete } = await SyncService.flush();
+
+    if (complete) {
+        const query = supabase.from('todos').select('*');
+        const { data, error } = await (trashed ? query.not('deleted_at', 'is', null) : query.is('deleted_at', null))
+            .order('position', { ascending: true, nullsFirst: false })
+            .order('created_at', { ascending: true });
+
+        if (!error) {
+            await LocalStore.replaceTodos(userId, data, trashed);
+            return data.map(fromRow);
+        }
+        if (!isNetworkError(error)) throw error;
+    }
+
+    // Offline or with unsynced changes: the local copy is the most recent one
+    const rows = await LocalStore.getTodos(userId);
+    return sortedTodos(rows.filter(row => Boolean(row.deleted_at) === trashed));
+};
+
+/**
+ * The Supabase storage backend (see TodoRepository).
+ * Every write goes to the local IndexedDB store first and is then queued
+ * for replay against Supabase (see SyncService), so changes survive going offline.
+ * Deleting is a soft delete: moving a todo to the trash is an update that sets
+ * `deleted_at`, and every read leaves trashed todos out unless it asks for the trash.
+ * deleteTodo removes a row for good (emptying the trash).
+ * updateTodos and deleteTodos change many todos with a single query each.
+ */
 export const TodoService = {
+    remote: true,
+
     /**
-     * Fetches all todos from the remote source.
+     * Fetches all todos the user can see: their own and those in lists shared with them (via RLS).
+     * Todos in the trash are left out.
      */
-    getAllTodos: async () => {
-        const { data, error } = await supabase
-            .from('todos')
-            .select('*')
-            .order('created_at', { ascending: true });
+    getAllTodos: (userId) => fetchTodos(userId, false),
+
+    /**
+     * Fetches the todos in the trash the user can see.
+     */
+    getTrashedTodos: (userId) => fetchTodos(userId, true),
 
-        if (error) throw error;
+    /**
+     * Adds a new todo.
+     * The todo keeps its temporary client id until the insert has been replayed.
+     */
+    addTodo: async (todo, userId) => {
+        const row = newRow(todo, userId);
+        await LocalStore.putTodo(row);
+        await persist({ type: 'add', row });
 
-        // Map Supabase data to TodoModel
-        return data.map(item => {
-            const todo = new TodoModel(item.text, item.due_date); // Assuming due_date column or similar
-            todo.id = item.id;
-            todo.completed = item.completed;
-            return todo;
-        });
+        const saved = await LocalStore.getTodo(SyncService.resolveId(row.id));
+        return fromRow(saved || row);
     },
 
     /**
-     * Adds a new todo to the remote source.
+     * Adds several todos at once (e.g. an import) with a single bulk insert.
+     * Returns the saved todos in the same order.
      */
-    addTodo: async (todo, userId) => {
-        const { data, error } = await supabase
-            .from('todos')
-            .insert([{
-                text: todo.text,
-                completed: todo.completed,
-                due_date: todo.dueDate || null, // Map model property to DB column. Empty string -> null
-                user_id: userId
-                // id: todo.id // REMOVED: Let Supabase generate the ID
-            }])
-            .select();
-
-        if (error) throw error;
-
-        const item = data[0];
-        const newTodo = new TodoModel(item.text, item.due_date);
-        newTodo.id = item.id;
-        newTodo.completed = item.completed;
-        return newTodo;
+    addTodos: async (todos, userId) => {
+        const now = new Date().toISOString();
+        const rows = todos.map(todo => newRow(todo, userId, now));
+        await LocalStore.putTodos(rows);
+        await persist({ type: 'addMany', rows });
+
+        return Promise.all(rows.map(async (row) => {
+            const saved = await LocalStore.getTodo(SyncService.resolveId(row.id));
+            return fromRow(saved || row);
+        }));
     },
 
     /**
-     * Updates a todo in the remote source.
+     * Updates a todo.
      */
     updateTodo: async (todo) => {
-        const { error } = await supabase
-            .from('todos')
-            .update({
-                text: todo.text,
-                completed: todo.completed,
-                due_date: todo.dueDate || null
-            })
-            .eq('id', todo.id);
-
-        if (error) throw error;
+        const id = SyncService.resolveId(todo.id);
+        const existing = await LocalStore.getTodo(id);
+        const row = { ...existing, ...toRow(todo), id };
+
+        await LocalStore.putTodo(row);
+        await persist({ type: 'update', row });
+    },
+
+    /**
+     * Applies the same field changes (e.g. { archivedAt }) to several todos with one query.
+     * Resolves with { failedIds }: the todos the server did not update, whose local rows
+     * are put back as they were.
+     */
+    updateTodos: async (ids, changes) => {
+        const columns = toColumns(changes);
+        const existing = await Promise.all(ids.map(id => LocalStore.getTodo(SyncService.resolveId(id))));
+        await LocalStore.putTodos(existing.filter(Boolean).map(row => ({ ...row, ...columns })));
+
+        const rejectedIds = await persist({ type: 'updateMany', ids, changes: columns });
+        const failedIds = failedIdsOf(ids, rejectedIds);
+        await restoreRows(ids, existing, failedIds);
+        return { failedIds };
     },
 
     /**
-     * Deletes a todo from the remote source.
+     * Deletes a todo permanently.
      */
     deleteTodo: async (id) => {
-        const { error } = await supabase
-            .from('todos')
-            .delete()
-            .eq('id', id);
+        await LocalStore.deleteTodo(SyncService.resolveId(id));
+        await persist({ type: 'delete', id });
+    },
 
-        if (error) throw error;
-    }
+    /**
+     * Deletes several todos permanently with one query.
+     * Resolves with { failedIds }: the todos the server did not delete, whose local rows
+     * are put back.
+     */
+    deleteTodos: async (ids) => {
+        const existing = await Promise.all(ids.map(id => LocalStore.getTodo(SyncService.resolveId(id))));
+        for (const id of ids) await LocalStore.deleteTodo(SyncService.resolveId(id));
+
+        const rejectedIds = await persist({ type: 'deleteMany', ids });
+        const failedIds = failedIdsOf(ids, rejectedIds);
+        await restoreRows(ids, existing, failedIds);
+        return { failedIds };
+    },
+
+    /**
+     * Subscribes to remote inserts, updates and deletes on the todos the user can see
+     * (made from another device or by collaborators on shared lists) via Supabase Realtime.
+     * RLS decides which rows are delivered, so owned and shared todos both arrive.
+     * `onChange` receives { type: 'INSERT' | 'UPDATE', todo } or { type: 'DELETE', id }.
+     * Returns an unsubscribe function.
+     */
+    subscribeChanges: (userId, onChange) => {
+        const channel = supabase
+            .channel(`todos:${userId}`)
+            .on(
+                'postgres_changes',
+                { event: '*', schema: 'public', table: 'todos' },
+                async (payload) => {
+                    // Only refresh the local copy when it holds no unsynced changes of its own
+                    const cacheIsClean = SyncService.getStatus().pending === 0;
+
+                    if (payload.eventType === 'DELETE') {
+                        if (cacheIsClean) await LocalStore.deleteTodo(payload.old.id);
+                        onChange({ type: 'DELETE', id: payload.old.id });
+                    } else {
+                        if (cacheIsClean) await LocalStore.putTodo({ ...payload.new, cached_for: userId });
+                        onChange({ type: payload.eventType, todo: fromRow(payload.new) });
+                    }
+                }
+            )
+            .subscribe();
+
+        return () => {
+            supabase.removeChannel(channel);
+        };
+    },
+
+    /**
+     * Returns the current sync status ({ pending, syncing, online, lastSyncedAt, lastError }).
+     */
+    getSyncStatus: () => SyncService.getStatus(),
+
+    /**
+     * Registers a listener called with (status, idMap) whenever the sync status changes.
+     * idMap maps temporary client ids to the ids assigned by the server.
+     * Returns an unsubscribe function.
+     */
+    subscribeSync: (listener) => SyncService.subscribe(listener),
+
+    /**
+     * Maps a temporary client id to the id assigned by the server, once the todo has been synced.
+     */
+    resolveId: (id) => SyncService.resolveId(id),
+
+    /**
+     * Replays pending changes now.
+     */
+    syncNow: () => SyncService.flush(),
 };
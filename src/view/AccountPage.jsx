@@ -0,0 +1,229 @@
+import React, { useState } from 'react';
+import { AccountModel } from '../model/AccountModel';
+import { OAUTH_PROVIDERS } from '../service/AuthService';
+
+/**
+ * AccountPage.jsx
+ *
+ * VIEW LAYER
+ *
+ * The account page, opened from the user profile (or by a password reset link):
+ * - profile: avatar, display name and email (a new email is confirmed by email),
+ * - password: set or change it; after a reset link it asks for the new password first,
+ * - sessions: where the user is signed in, with sign-out for the other ones,
+ * - danger zone: deleting the account and all of its todos, confirmed by typing the email.
+ * Form inputs are local UI state; every change goes through the account ViewModel.
+ * Closes with Escape, the Close button or a click outside.
+ */
+const providerLabel = (id) => OAUTH_PROVIDERS.find(p => p.id === id)?.label ?? (id === 'email' ? 'Email' : id);
+
+function AccountPage({
+  profile,
+  sessions,
+  notice,
+  busy,
+  passwordRecovery,
+  loadSessions,
+  updateEmail,
+  updateDisplayName,
+  uploadAvatar,
+  removeAvatar,
+  changePassword,
+  revokeSession,
+  signOutOtherSessions,
+  deleteAccount,
+  dismissNotice,
+  onClose,
+}) {
+  const [displayName, setDisplayName] = useState(profile.displayName);
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [deleteConfirmation, setDeleteConfirmation] = useState('');
+
+  const handleDisplayName = (e) => {
+    e.preventDefault();
+    updateDisplayName(displayName);
+  };
+
+  const handleEmail = async (e) => {
+    e.preventDefault();
+    if (await updateEmail(email)) setEmail('');
+  };
+
+  const handlePassword = async (e) => {
+    e.preventDefault();
+    if (await changePassword(password, confirmation)) {
+      setPassword('');
+      setConfirmation('');
+    }
+  };
+
+  const handleAvatar = (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (file) uploadAvatar(file);
+  };
+
+  const handleDelete = (e) => {
+    e.preventDefault();
+    deleteAccount(deleteConfirmation);
+  };
+
+  const initial = (profile.displayName || profile.email || '?').charAt(0).toUpperCase();
+
+  return (
+    <div className="overlay-backdrop" onMouseDown={onClose}>
+      <div
+        className="account-page"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="account-page-title"
+        onMouseDown={(e) => e.stopPropagation()}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') {
+            e.preventDefault();
+            onClose();
+          }
+        }}
+      >
+        <div className="account-header">
+          <h2 id="account-page-title">Account</h2>
+          <button onClick={onClose}>Close</button>
+        </div>
+        {notice && (
+          <p className="account-notice" role="status">
+            {notice}
+            <button onClick={dismissNotice} aria-label="Dismiss">×</button>
+          </p>
+        )}
+
+        {passwordRecovery && (
+          <section className="account-section account-recovery">
+            <h3>Choose a new password</h3>
+            <p className="account-hint">You followed a password reset link. Set a new password to finish.</p>
+          </section>
+        )}
+
+        <section className="account-section">
+          <h3>Profile</h3>
+          <div className="account-avatar">
+            {profile.avatarUrl ? (
+              <img className="user-avatar" src={profile.avatarUrl} alt="" />
+            ) : (
+              <span className="user-avatar avatar-placeholder" aria-hidden="true">{initial}</span>
+            )}
+            <label className="avatar-upload">
+              {profile.avatarUrl ? 'Change avatar' : 'Upload avatar'}
+              <input type="file" accept="image/*" onChange={handleAvatar} disabled={busy} />
+            </label>
+            {profile.avatarUrl && <button onClick={removeAvatar} disabled={busy}>Remove</button>}
+          </div>
+          <form className="account-form" onSubmit={handleDisplayName}>
+            <label htmlFor="account-display-name">Display name</label>
+            <input
+              id="account-display-name"
+              type="text"
+              placeholder="How your name is shown"
+              value={displayName}
+              onChange={(e) => setDisplayName(e.target.value)}
+            />
+            <button type="submit" disabled={busy || displayName === profile.displayName}>Save</button>
+          </form>
+          <form className="account-form" onSubmit={handleEmail}>
+            <label htmlFor="account-email">Email</label>
+            <input
+              id="account-email"
+              type="email"
+              placeholder={profile.email}
+              autoComplete="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+            />
+            <button type="submit" disabled={busy}>Change email</button>
+          </form>
+          {profile.pendingEmail && (
+            <p className="account-hint">Waiting for confirmation of the change to {profile.pendingEmail}.</p>
+          )}
+          <p className="account-hint">Signed in with: {profile.providers.map(providerLabel).join(', ')}</p>
+        </section>
+
+        <section className="account-section">
+          <h3>Password</h3>
+          <form className="account-form" onSubmit={handlePassword}>
+            <input
+              type="password"
+              placeholder="New password"
+              aria-label="New password"
+              autoComplete="new-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoFocus={passwordRecovery}
+              required
+            />
+            <input
+              type="password"
+              placeholder="Repeat password"
+              aria-label="Repeat password"
+              autoComplete="new-password"
+              value={confirmation}
+              onChange={(e) => setConfirmation(e.target.value)}
+              required
+            />
+            <button type="submit" disabled={busy}>Set password</button>
+          </form>
+        </section>
+
+        <section className="account-section">
+          <h3>Sessions</h3>
+          {sessions.length === 0 ? (
+            <p className="account-hint">Sessions are not loaded yet.</p>
+          ) : (
+            <ul className="account-sessions">
+              {sessions.map(session => (
+                <li key={session.id}>
+                  <span>
+                    {AccountModel.describeUserAgent(session.userAgent)}
+                    {session.ip && <span className="account-hint"> · {session.ip}</span>}
+                    <span className="account-hint"> · active {new Date(session.lastActiveAt).toLocaleString()}</span>
+                  </span>
+                  {session.current
+                    ? <span className="session-current">This device</span>
+                    : <button onClick={() => revokeSession(session.id)}>Sign out</button>}
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="account-actions">
+            <button onClick={loadSessions}>Refresh</button>
+            <button onClick={signOutOtherSessions} disabled={busy || sessions.length === 1}>
+              Sign out other sessions
+            </button>
+          </div>
+        </section>
+
+        <section className="account-section account-danger">
+          <h3>Delete account</h3>
+          <p className="account-hint">
+            This deletes your account, your lists and all of your todos, here and on every device.
+            It cannot be undone.
+          </p>
+          <form className="account-form" onSubmit={handleDelete}>
+            <input
+              type="email"
+              placeholder={`Type ${profile.email} to confirm`}
+              aria-label="Your email, to confirm"
+              value={deleteConfirmation}
+              onChange={(e) => setDeleteConfirmation(e.target.value)}
+              required
+            />
+            <button type="submit" className="danger-button" disabled={busy}>Delete account</button>
+          </form>
+        </section>
+      </div>
+    </div>
+  );
+}
+
+export default AccountPage;
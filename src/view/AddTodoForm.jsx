@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import RecurrencePicker from './RecurrencePicker.jsx';
+import ReminderPicker from './ReminderPicker.jsx';
+import { PRIORITIES } from '../model/TodoModel';
+import { QuickAddParser } from '../model/QuickAddParser';
+import { RecurrenceModel } from '../model/RecurrenceModel';
+
+/**
+ * AddTodoForm.jsx
+ *
+ * VIEW LAYER
+ *
+ * The form for adding a todo, shared by the list and calendar views.
+ * The text input understands quick-add phrases such as "tomorrow 9am #home !high"
+ * (see QuickAddParser); a chip row previews what was recognized, and values set in
+ * the separate form controls take precedence over parsed ones.
+ * Handles the draft as local UI state and hands the new todo to `addTodo`.
+ */
+function AddTodoForm({ addTodo, notificationPermission }) {
+  const [newTodo, setNewTodo] = useState('');
+  const [dueDate, setDueDate] = useState('');
+  const [dueTime, setDueTime] = useState('');
+  const [reminders, setReminders] = useState([]);
+  const [recurrence, setRecurrence] = useState(null);
+  const [tags, setTags] = useState('');
+  const [priority, setPriority] = useState('none');
+
+  const parsed = QuickAddParser.parse(newTodo);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!parsed.text) return;
+    const effectiveDueDate = dueDate || parsed.dueDate;
+    addTodo(parsed.text, effectiveDueDate, {
+      dueTime: dueTime || parsed.dueTime,
+      reminders: effectiveDueDate ? reminders : [],
+      recurrence: recurrence || parsed.recurrence,
+      tags: [...parsed.tags, tags].join(' '),
+      priority: priority !== 'none' ? priority : parsed.priority,
+    });
+    setNewTodo('');
+    setDueDate('');
+    setDueTime('');
+    setReminders([]);
+    setRecurrence(null);
+    setTags('');
+    setPriority('none');
+  };
+
+  return (
+    <>
+      <form onSubmit={handleSubmit}>
+        <input
+          type="text"
+          value={newTodo}
+          onChange={(e) => setNewTodo(e.target.value)}
+          placeholder="Enter a new todo, e.g. Pay rent every month on the 1st #home !high"
+          aria-describedby="quick-add-preview"
+        />
+        <input
+          type="date"
+          value={dueDate}
+          onChange={(e) => setDueDate(e.target.value)}
+        />
+        <input
+          type="time"
+          aria-label="Due time"
+          value={dueTime}
+          disabled={!dueDate && !parsed.dueDate}
+          onChange={(e) => setDueTime(e.target.value)}
+        />
+        <ReminderPicker value={reminders} onChange={setReminders} disabled={!dueDate && !parsed.dueDate} />
+        <input
+          type="text"
+          value={tags}
+          onChange={(e) => setTags(e.target.value)}
+          placeholder="#tags"
+          aria-label="Tags"
+        />
+        <select
+          aria-label="Priority"
+          value={priority}
+          onChange={(e) => setPriority(e.target.value)}
+        >
+          {PRIORITIES.map(p => (
+            <option key={p} value={p}>{p === 'none' ? 'No priority' : p}</option>
+          ))}
+        </select>
+        <RecurrencePicker value={recurrence} onChange={setRecurrence} />
+        <button type="submit">Add Todo</button>
+        <div id="quick-add-preview" className="quick-add-preview" aria-live="polite">
+          {QuickAddParser.hasMatches(parsed) && (
+            <>
+              <span className="quick-add-text">{parsed.text || 'No text yet'}</span>
+              {parsed.dueDate && (
+                <span className={`quick-add-chip${dueDate ? ' overridden' : ''}`}>
+                  📅 {parsed.dueDate}{parsed.dueTime && ` ${parsed.dueTime}`}
+                </span>
+              )}
+              {parsed.recurrence && (
+                <span className={`quick-add-chip${recurrence ? ' overridden' : ''}`}>
+                  ↻ {RecurrenceModel.describe(parsed.recurrence)}
+                  {parsed.recurrence.monthDay && ` on day ${parsed.recurrence.monthDay}`}
+                </span>
+              )}
+              {parsed.tags.map(tag => (
+                <span key={tag} className="quick-add-chip">#{tag}</span>
+              ))}
+              {parsed.priority !== 'none' && (
+                <span className={`quick-add-chip priority-${parsed.priority}${priority !== 'none' ? ' overridden' : ''}`}>
+                  !{parsed.priority}
+                </span>
+              )}
+            </>
+          )}
+        </div>
+      </form>
+      {reminders.length > 0 && ['denied', 'unsupported'].includes(notificationPermission) && (
+        <p className="reminder-hint">
+          {notificationPermission === 'denied'
+            ? 'Notifications are blocked for this site, so reminders will not be shown. Allow them in your browser settings.'
+            : 'This browser cannot show notifications, so reminders will not be shown.'}
+        </p>
+      )}
+    </>
+  );
+}
+
+export default AddTodoForm;
@@ -1,11 +1,29 @@
 import React, { useState, useEffect } from 'react';
-import { supabase } from '../supabaseClient';
+import { supabase, isSupabaseConfigured } from '../supabaseClient';
 import './App.css';
 import TodoList from './TodoList.jsx';
+import CalendarView from './CalendarView.jsx';
+import StatsDashboard from './StatsDashboard.jsx';
 import Archive from './Archive.jsx';
+import Trash from './Trash.jsx';
 import UserProfile from './UserProfile.jsx';
 import LoginButton from './LoginButton.jsx';
+import SyncStatus from './SyncStatus.jsx';
+import Toasts from './Toasts.jsx';
+import ListSidebar from './ListSidebar.jsx';
+import TransferPanel from './TransferPanel.jsx';
+import GuestMerge from './GuestMerge.jsx';
+import BatchActions from './BatchActions.jsx';
+import CommandPalette from './CommandPalette.jsx';
+import KeyboardHelp from './KeyboardHelp.jsx';
+import UpdatePrompt from './UpdatePrompt.jsx';
+import { VIEW_MODES } from '../model/CalendarModel';
+import { GUEST_USER_ID } from '../service/TodoRepository';
 import { useTodoViewModel } from '../viewmodel/useTodoViewModel';
+import { useSharingViewModel } from '../viewmodel/useSharingViewModel';
+import { useAppUpdateViewModel } from '../viewmodel/useAppUpdateViewModel';
+import { useAccountViewModel } from '../viewmodel/useAccountViewModel';
+import { AuthService } from '../service/AuthService';
 
 /**
  * App.jsx
@@ -20,15 +38,36 @@ import { useTodoViewModel } from '../viewmodel/useTodoViewModel';
  *
  * Now includes Supabase Authentication:
  * - Manages auth session state
- * - Shows login screen when no session exists
+ * - Lets visitors use the app as guests until they sign in (with a password, a magic link
+ *   or GitHub / Google; see LoginButton)
+ * - Binds the account ViewModel behind the user profile's account page
  * - Shows user profile and todo list when authenticated
  * - Passes user ID to ViewModel for data scoping
+ *
+ * The todo repositories (storage backends) are chosen at startup and handed down from main.jsx:
+ * `todoRepository` for signed-in users and `guestRepository`, which keeps the todos of
+ * signed-out visitors in this browser (without lists, sharing or the sync status).
+ * After signing in, guests are offered to merge those todos into their account.
+ * Without Supabase credentials there is nothing to sign in to, and everyone is a guest.
+ *
+ * Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) undo and redo todo commands,
+ * except while typing in a form field, where they keep their usual meaning.
+ * The app can be installed and works offline (see public/sw.js); when a new version has
+ * been deployed, a prompt offers to reload into it (useAppUpdateViewModel).
+ *
+ * Ctrl+K opens the command palette. Outside form fields, j / k move the focused todo
+ * (see the ViewModel) through the rows on screen, x completes it, e edits it,
+ * # deletes it, and ? shows the cheat sheet (KeyboardHelp).
  */
-function App() {
+function App({ todoRepository, guestRepository }) {
   const [session, setSession] = useState(null);
-  const [loading, setLoading] = useState(true);
+  const [loading, setLoading] = useState(isSupabaseConfigured);
+  // A failed sign-in redirect opens the sign-in form, which shows the error
+  const [signInOpen] = useState(() => isSupabaseConfigured && Boolean(AuthService.redirectError()));
 
   useEffect(() => {
+    if (!isSupabaseConfigured) return;
+
     // Check active session
     supabase.auth.getSession().then(({ data: { session } }) => {
       setSession(session);
@@ -47,21 +86,167 @@ function App() {
   }, []);
 
   // Bind to the ViewModel with user ID for data scoping
-  const userId = session?.user?.id || 'anonymous';
-  // Note: We might want to block 'anonymous' if strictly requiring auth, 
-  // but for ViewModel initialization it's fine.
+  const userId = session?.user?.id || GUEST_USER_ID;
+  const userEmail = session?.user?.email || null;
 
   const {
-    todos,
-    archivedTodos,
+    visibleTodos,
+    visibleArchivedTodos,
+    visibleTrashedTodos,
+    todoGroups,
+    sortMode,
+    viewMode,
+    stats,
+    lists,
+    activeListId,
+    activeList,
+    canEditActiveList,
+    syncStatus,
+    remoteStorage,
+    guestMergePreview,
+    guestMergeSummary,
+    selectedIds,
+    focusedId,
+    editingId,
+    errors,
+    autoCompleteParent,
+    notificationPermission,
+    syncNow,
     addTodo,
     toggleComplete,
+    validateTodo,
     editTodo,
     deleteTodo,
     archiveCompleted,
     unarchiveTodo,
     deleteArchivedTodo,
-  } = useTodoViewModel(userId);
+    restoreTodo,
+    deleteTrashedTodo,
+    emptyTrash,
+    focusTodo,
+    moveFocus,
+    startEditing,
+    stopEditing,
+    selectTodos,
+    clearSelection,
+    completeTodos,
+    archiveTodos,
+    unarchiveTodos,
+    deleteTodos,
+    rescheduleTodos,
+    moveTodos,
+    addSubtask,
+    toggleSubtask,
+    deleteSubtask,
+    moveSubtask,
+    setAutoCompleteParent,
+    moveTodoToList,
+    reorderTodo,
+    setSortMode,
+    setViewMode,
+    setActiveListId,
+    createList,
+    updateList,
+    deleteList,
+    exportTodos,
+    previewImport,
+    importTodos,
+    lastCommand,
+    undo,
+    redo,
+    enableNotifications,
+    reportError,
+    dismissError,
+    retryError,
+    reload,
+    mergeGuestTodos,
+    keepGuestTodos,
+    discardGuestTodos,
+    dismissGuestMergeSummary,
+  } = useTodoViewModel(userId, userEmail, {
+    repository: session ? todoRepository : guestRepository,
+    guestRepository,
+  });
+
+  // Bind to the sharing ViewModel; it reports into the same errors stream
+  const sharing = useSharingViewModel({ userId, userEmail, lists, reportError, reload });
+
+  // Bind to the account ViewModel; it reports into the same errors stream
+  const account = useAccountViewModel({ session, reportError });
+
+  // Bind to the app update ViewModel (new deploys)
+  const { updateAvailable, applyUpdate, dismissUpdate } = useAppUpdateViewModel();
+
+  // Undo/redo shortcuts
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+      if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+      e.preventDefault();
+      if (e.shiftKey) {
+        redo();
+      } else {
+        undo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  // Command palette and single-key shortcuts
+  const [paletteOpen, setPaletteOpen] = useState(false);
+  const [shortcutsOpen, setShortcutsOpen] = useState(false);
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setShortcutsOpen(false);
+        setPaletteOpen(open => !open);
+        return;
+      }
+      if (e.ctrlKey || e.metaKey || e.altKey || paletteOpen || shortcutsOpen) return;
+      if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+      const focusedTodo = [...visibleTodos, ...visibleArchivedTodos].find(t => t.id === focusedId);
+      if (e.key === 'j' || e.key === 'k') {
+        // The rows on screen, in order, so todos hidden by a filter are skipped
+        const idOf = new Map([...visibleTodos, ...visibleArchivedTodos].map(t => [String(t.id), t.id]));
+        const shownIds = [...document.querySelectorAll('[data-todo-id]')]
+          .map(row => idOf.get(row.dataset.todoId))
+          .filter(id => id !== undefined);
+        moveFocus(e.key === 'j' ? 1 : -1, shownIds);
+      } else if (e.key === '?') {
+        setShortcutsOpen(true);
+      } else if (focusedTodo && canEditActiveList && e.key === 'x') {
+        toggleComplete(focusedTodo.id);
+      } else if (focusedTodo && canEditActiveList && e.key === 'e' && !focusedTodo.archivedAt) {
+        startEditing(focusedTodo.id);
+      } else if (focusedTodo && canEditActiveList && e.key === '#') {
+        if (focusedTodo.archivedAt) {
+          deleteArchivedTodo(focusedTodo.id);
+        } else {
+          deleteTodo(focusedTodo.id);
+        }
+      } else {
+        return;
+      }
+      e.preventDefault();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [
+    paletteOpen,
+    shortcutsOpen,
+    visibleTodos,
+    visibleArchivedTodos,
+    focusedId,
+    canEditActiveList,
+    moveFocus,
+    toggleComplete,
+    startEditing,
+    deleteTodo,
+    deleteArchivedTodo,
+  ]);
 
   // Show loading state while Auth initialization
   if (loading) {
@@ -75,50 +260,204 @@ function App() {
     );
   }
 
-  // Show login screen when not authenticated
-  if (!session) {
-    return (
-      <div className="app-container">
-        <div className="login-container">
-          <h1>Todo List</h1>
-          <p>Please log in to access your todos</p>
-          <LoginButton />
-        </div>
-      </div>
-    );
-  }
-
-  // Show main app when authenticated
   return (
     <div className="app-container">
       <div className="app-header">
         <h1>Todo List</h1>
-        <UserProfile key={session.user.id} session={session} />
+        {remoteStorage && <SyncStatus syncStatus={syncStatus} syncNow={syncNow} />}
+        {session && (
+          <UserProfile
+            key={session.user.id}
+            lists={lists}
+            sharing={sharing}
+            account={account}
+          />
+        )}
+        {!session && isSupabaseConfigured && (
+          <div className="guest-banner">
+            <span>You are using the app as a guest: your todos are saved in this browser only.</span>
+            <details className="guest-sign-in" open={signInOpen}>
+              <summary>Sign in to sync them</summary>
+              <LoginButton />
+            </details>
+          </div>
+        )}
       </div>
 
-      <div className="todo-section">
-        <TodoList
-          todos={todos}
+      <div className="app-body">
+        {remoteStorage && (
+          <ListSidebar
+            lists={lists}
+            activeListId={activeListId}
+            setActiveListId={setActiveListId}
+            createList={createList}
+            updateList={updateList}
+            deleteList={deleteList}
+          />
+        )}
+
+        <main className="app-main">
+          <GuestMerge
+            preview={guestMergePreview}
+            summary={guestMergeSummary}
+            mergeGuestTodos={mergeGuestTodos}
+            keepGuestTodos={keepGuestTodos}
+            discardGuestTodos={discardGuestTodos}
+            dismissSummary={dismissGuestMergeSummary}
+          />
+          <BatchActions
+            selectedTodos={[...visibleTodos, ...visibleArchivedTodos].filter(todo => selectedIds.includes(todo.id))}
+            lists={lists}
+            completeTodos={completeTodos}
+            archiveTodos={archiveTodos}
+            unarchiveTodos={unarchiveTodos}
+            deleteTodos={deleteTodos}
+            rescheduleTodos={rescheduleTodos}
+            moveTodos={moveTodos}
+            clearSelection={clearSelection}
+          />
+          <div className="todo-section">
+            <div className="view-switcher" role="group" aria-label="View">
+              {VIEW_MODES.map(mode => (
+                <button
+                  key={mode.id}
+                  aria-pressed={viewMode === mode.id}
+                  onClick={() => setViewMode(mode.id)}
+                >
+                  {mode.label}
+                </button>
+              ))}
+            </div>
+            {viewMode === 'list' ? (
+              <TodoList
+                title={activeList ? activeList.name : 'Inbox'}
+                todos={visibleTodos}
+                groups={todoGroups}
+                sortMode={sortMode}
+                setSortMode={setSortMode}
+                readOnly={!canEditActiveList}
+                addTodo={addTodo}
+                notificationPermission={notificationPermission}
+                toggleComplete={toggleComplete}
+                validateTodo={validateTodo}
+                editTodo={editTodo}
+                deleteTodo={deleteTodo}
+                lists={lists}
+                moveTodoToList={moveTodoToList}
+                reorderTodo={reorderTodo}
+                addSubtask={addSubtask}
+                toggleSubtask={toggleSubtask}
+                deleteSubtask={deleteSubtask}
+                moveSubtask={moveSubtask}
+                selectedIds={selectedIds}
+                selectTodos={selectTodos}
+                focusedId={focusedId}
+                editingId={editingId}
+                focusTodo={focusTodo}
+                startEditing={startEditing}
+                stopEditing={stopEditing}
+              />
+            ) : viewMode === 'dashboard' ? (
+              <StatsDashboard stats={stats} lists={lists} />
+            ) : (
+              <CalendarView
+                title={activeList ? activeList.name : 'Inbox'}
+                todos={visibleTodos}
+                viewMode={viewMode}
+                readOnly={!canEditActiveList}
+                addTodo={addTodo}
+                notificationPermission={notificationPermission}
+                toggleComplete={toggleComplete}
+                editTodo={editTodo}
+              />
+            )}
+            <div className="archive-actions">
+              <button onClick={archiveCompleted} disabled={!canEditActiveList}>Archive Completed Todos</button>
+              <label className="setting-toggle">
+                <input
+                  type="checkbox"
+                  checked={autoCompleteParent}
+                  onChange={(e) => setAutoCompleteParent(e.target.checked)}
+                />
+                Complete a todo when all of its steps are done
+              </label>
+              {notificationPermission === 'default' && (
+                <button onClick={enableNotifications}>Enable reminder notifications</button>
+              )}
+              <TransferPanel
+                exportTodos={exportTodos}
+                previewImport={previewImport}
+                importTodos={importTodos}
+              />
+            </div>
+          </div>
+
+          {visibleArchivedTodos.length > 0 && (
+            <div className="archive-section">
+              <h2>Archived Todos</h2>
+              <Archive
+                archivedTodos={visibleArchivedTodos}
+                readOnly={!canEditActiveList}
+                unarchiveTodo={unarchiveTodo}
+                deleteArchivedTodo={deleteArchivedTodo}
+                selectedIds={selectedIds}
+                selectTodos={selectTodos}
+                focusedId={focusedId}
+                focusTodo={focusTodo}
+              />
+            </div>
+          )}
+
+          {visibleTrashedTodos.length > 0 && (
+            <div className="trash-section">
+              <h2>Trash</h2>
+              <Trash
+                trashedTodos={visibleTrashedTodos}
+                readOnly={!canEditActiveList}
+                restoreTodo={restoreTodo}
+                deleteTrashedTodo={deleteTrashedTodo}
+                emptyTrash={emptyTrash}
+              />
+            </div>
+          )}
+        </main>
+      </div>
+
+      {paletteOpen && (
+        <CommandPalette
+          todos={visibleTodos}
+          archivedTodos={visibleArchivedTodos}
+          focusedId={focusedId}
+          lists={lists}
+          readOnly={!canEditActiveList}
+          onClose={() => setPaletteOpen(false)}
           addTodo={addTodo}
+          focusTodo={focusTodo}
           toggleComplete={toggleComplete}
-          editTodo={editTodo}
+          startEditing={startEditing}
+          archiveTodos={archiveTodos}
+          unarchiveTodo={unarchiveTodo}
           deleteTodo={deleteTodo}
+          deleteArchivedTodo={deleteArchivedTodo}
+          archiveCompleted={archiveCompleted}
+          setActiveListId={setActiveListId}
+          setViewMode={setViewMode}
+          undo={undo}
+          redo={redo}
+          showShortcuts={() => setShortcutsOpen(true)}
         />
-        <div className="archive-actions">
-          <button onClick={archiveCompleted}>Archive Completed Todos</button>
-        </div>
-      </div>
-
-      {archivedTodos.length > 0 && (
-        <div className="archive-section">
-          <h2>Archived Todos</h2>
-          <Archive
-            archivedTodos={archivedTodos}
-            unarchiveTodo={unarchiveTodo}
-            deleteArchivedTodo={deleteArchivedTodo}
-          />
-        </div>
       )}
+      {shortcutsOpen && <KeyboardHelp onClose={() => setShortcutsOpen(false)} />}
+
+      <UpdatePrompt updateAvailable={updateAvailable} applyUpdate={applyUpdate} dismissUpdate={dismissUpdate} />
+
+      <Toasts
+        errors={errors}
+        dismissError={dismissError}
+        retryError={retryError}
+        lastCommand={lastCommand}
+        undo={undo}
+      />
     </div>
   );
 }
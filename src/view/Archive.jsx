@@ -1,23 +1,106 @@
-import React from 'react';
+import React, { useState, useRef, useEffect } from 'react';
+import FilterBar from './FilterBar.jsx';
+import TagChips from './TagChips.jsx';
+import { TodoQuery } from '../model/TodoQuery';
+import { DueTime } from '../model/DueTime';
+import { SelectionModel } from '../model/SelectionModel';
 
 /**
  * Archive.jsx
  *
  * VIEW LAYER
  *
- * Displays the list of archived todos.
- * Purely presentational component.
+ * Displays the list of archived todos, with the same filter bar as TodoList.
+ * Handles local UI state (the filter query) but delegates data changes to props.
+ * With `readOnly` (a list shared with the user as viewer) the actions are hidden.
+ * Rows can be selected for batch commands like in TodoList (Shift+click for a range),
+ * and the focused todo's row gets the keyboard focus, so a todo that has just been
+ * archived keeps it.
  */
-function Archive({ archivedTodos, unarchiveTodo, deleteArchivedTodo }) {
+function Archive({
+  archivedTodos,
+  readOnly,
+  unarchiveTodo,
+  deleteArchivedTodo,
+  selectedIds,
+  selectTodos,
+  focusedId,
+  focusTodo,
+}) {
+  const [query, setQuery] = useState('');
+  const selectionAnchorRef = useRef(null);
+  const rowRefs = useRef(new Map());
+  const filteredTodos = TodoQuery.filter(archivedTodos, query);
+  const shownIds = filteredTodos.map(todo => todo.id);
+  const allShownSelected = SelectionModel.allSelected(shownIds, selectedIds);
+  const focusedShown = shownIds.includes(focusedId);
+
+  // Same as in TodoList: the focused row takes the keyboard focus unless the user is busy elsewhere
+  useEffect(() => {
+    const row = rowRefs.current.get(focusedId);
+    const active = document.activeElement;
+    if (!row || row.contains(active)) return;
+    if (active && active !== document.body && !active.closest('[data-todo-id]')) return;
+    row.focus();
+  }, [focusedId, focusedShown]);
+
+  const handleSelect = (e, todo) => {
+    const ids = e.nativeEvent.shiftKey
+      ? SelectionModel.range(shownIds, selectionAnchorRef.current, todo.id)
+      : [todo.id];
+    selectTodos(ids, e.target.checked);
+    selectionAnchorRef.current = todo.id;
+  };
+
   return (
     <div>
-      {archivedTodos.map((todo) => (
-        <div key={todo.id} style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '5px' }}>
+      <FilterBar
+        query={query}
+        setQuery={setQuery}
+        matchCount={filteredTodos.length}
+        totalCount={archivedTodos.length}
+      />
+      {!readOnly && shownIds.length > 0 && (
+        <button type="button" onClick={() => selectTodos(shownIds, !allShownSelected)}>
+          {allShownSelected ? 'Deselect all' : `Select all (${shownIds.length})`}
+        </button>
+      )}
+      {filteredTodos.map((todo) => (
+        <div
+          key={todo.id}
+          ref={(node) => {
+            rowRefs.current.set(todo.id, node);
+            return () => rowRefs.current.delete(todo.id);
+          }}
+          className={[
+            'archive-row',
+            selectedIds.includes(todo.id) && 'selected',
+            focusedId === todo.id && 'focused',
+          ].filter(Boolean).join(' ')}
+          data-todo-id={todo.id}
+          tabIndex={-1}
+          onFocus={() => focusTodo(todo.id)}
+          style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '5px' }}
+        >
+          {!readOnly && (
+            <input
+              type="checkbox"
+              className="select-box"
+              checked={selectedIds.includes(todo.id)}
+              onChange={(e) => handleSelect(e, todo)}
+              aria-label={`Select "${todo.text}"`}
+            />
+          )}
           <span style={{ textDecoration: 'line-through' }}>
-            {todo.text} (Due: {todo.dueDate})
+            {todo.text}{todo.dueDate && ` (Due: ${DueTime.describe(todo)})`}
           </span>
-          <button onClick={() => unarchiveTodo(todo.id)}>Unarchive</button>
-          <button onClick={() => deleteArchivedTodo(todo.id)}>Delete</button>
+          <TagChips tags={todo.tags} onSelect={(tag) => setQuery(`#${tag}`)} />
+          {!readOnly && (
+            <>
+              <button onClick={() => unarchiveTodo(todo.id)}>Unarchive</button>
+              <button onClick={() => deleteArchivedTodo(todo.id)}>Delete</button>
+            </>
+          )}
         </div>
       ))}
     </div>
@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { INBOX_LIST_ID } from '../model/ListModel';
+import { SharingModel } from '../model/SharingModel';
+
+/**
+ * BatchActions.jsx
+ *
+ * VIEW LAYER
+ *
+ * The toolbar for the todos selected in TodoList and Archive: complete, archive,
+ * unarchive, move to the trash, reschedule (or clear the due date) and move to
+ * another list, each as one batch command of the ViewModel.
+ * Actions that apply to none of the selected todos are disabled.
+ * Renders nothing when nothing is selected.
+ */
+const plural = (count) => `${count} ${count === 1 ? 'todo' : 'todos'}`;
+
+function BatchActions({
+  selectedTodos,
+  lists,
+  completeTodos,
+  archiveTodos,
+  unarchiveTodos,
+  deleteTodos,
+  rescheduleTodos,
+  moveTodos,
+  clearSelection,
+}) {
+  const [dueDate, setDueDate] = useState('');
+
+  if (selectedTodos.length === 0) return null;
+
+  const ids = selectedTodos.map(todo => todo.id);
+  const active = selectedTodos.filter(todo => !todo.archivedAt);
+  const open = active.filter(todo => !todo.completed);
+  const archived = selectedTodos.filter(todo => todo.archivedAt);
+  const editableLists = lists.filter(list => SharingModel.canEdit(list.role));
+
+  const handleReschedule = (e) => {
+    e.preventDefault();
+    rescheduleTodos(ids, dueDate);
+  };
+
+  return (
+    <section className="batch-actions" aria-label="Selected todos">
+      <span className="batch-count" aria-live="polite">{plural(selectedTodos.length)} selected</span>
+      <button onClick={() => completeTodos(ids)} disabled={open.length === 0}>Complete</button>
+      <button onClick={() => archiveTodos(ids)} disabled={active.length === 0}>Archive</button>
+      <button onClick={() => unarchiveTodos(ids)} disabled={archived.length === 0}>Unarchive</button>
+      <button onClick={() => deleteTodos(ids)}>Delete</button>
+      <form className="batch-reschedule" onSubmit={handleReschedule}>
+        <label>
+          Due date
+          <input type="date" value={dueDate} onChange={(e) => setDueDate(e.target.value)} />
+        </label>
+        <button type="submit" disabled={active.length === 0}>
+          {dueDate ? 'Reschedule' : 'Clear due date'}
+        </button>
+      </form>
+      {editableLists.length > 0 && (
+        <label className="batch-move">
+          Move to
+          <select
+            value=""
+            disabled={active.length === 0}
+            onChange={(e) => moveTodos(ids, e.target.value === 'inbox' ? INBOX_LIST_ID : Number(e.target.value))}
+          >
+            <option value="" disabled>Choose a list…</option>
+            <option value="inbox">Inbox</option>
+            {editableLists.map(list => (
+              <option key={list.id} value={list.id}>{list.name}</option>
+            ))}
+          </select>
+        </label>
+      )}
+      <button onClick={clearSelection}>Clear selection</button>
+    </section>
+  );
+}
+
+export default BatchActions;
@@ -0,0 +1,239 @@
+import React, { useState, useRef } from 'react';
+import AddTodoForm from './AddTodoForm.jsx';
+import { CalendarModel } from '../model/CalendarModel';
+import { DueTime } from '../model/DueTime';
+
+/**
+ * CalendarView.jsx
+ *
+ * VIEW LAYER
+ *
+ * Shows the todos of the active list on their due dates: as a month grid, a week
+ * of seven days, or an agenda of the next AGENDA_DAYS days (with overdue todos on top).
+ * Todos without a due date wait in the undated tray below.
+ * A todo can be dragged to another day (or to the tray, to clear its due date),
+ * or moved with Alt+Left / Alt+Right (one day) and Alt+Up / Alt+Down (one week)
+ * while it has focus. Rescheduling is delegated to `editTodo`.
+ */
+function CalendarView({
+  title,
+  todos,
+  viewMode,
+  readOnly,
+  addTodo,
+  notificationPermission,
+  toggleComplete,
+  editTodo,
+}) {
+  const today = CalendarModel.today();
+  const [anchor, setAnchor] = useState(today);
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropDate, setDropDate] = useState(null); // a date, '' for the undated tray, or null
+  const [announcement, setAnnouncement] = useState('');
+  const itemRefs = useRef(new Map());
+
+  const todosByDate = CalendarModel.byDate(todos);
+  const undated = CalendarModel.undated(todos);
+
+  /**
+   * Gives a todo a new due date ('' clears it, together with its time and reminders).
+   */
+  const reschedule = (id, date) => {
+    const todo = todos.find(t => t.id === id);
+    if (!todo || DueTime.localDateOf(todo) === date) return;
+    editTodo(id, date ? { dueDate: date } : { dueDate: '', dueTime: null, reminders: [] });
+    setAnnouncement(date
+      ? `Moved "${todo.text}" to ${CalendarModel.labels(date).long}.`
+      : `Removed the due date of "${todo.text}".`);
+  };
+
+  const dropHandlers = (date) => (readOnly ? {} : {
+    onDragOver: (e) => {
+      if (draggedId === null) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      setDropDate(date);
+    },
+    onDragLeave: (e) => {
+      if (!e.currentTarget.contains(e.relatedTarget)) setDropDate(null);
+    },
+    onDrop: (e) => {
+      e.preventDefault();
+      if (draggedId !== null) reschedule(draggedId, date);
+      setDraggedId(null);
+      setDropDate(null);
+    },
+  });
+
+  const handleItemKeyDown = (e, todo) => {
+    const date = DueTime.localDateOf(todo);
+    const steps = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+    if (!e.altKey || !(e.key in steps) || !date) return;
+    e.preventDefault();
+    reschedule(todo.id, CalendarModel.addDays(date, steps[e.key]));
+    // The todo re-renders in another day: keep the focus on it
+    requestAnimationFrame(() => itemRefs.current.get(todo.id)?.focus());
+  };
+
+  const renderTodo = (todo) => (
+    <div
+      key={todo.id}
+      ref={(node) => {
+        itemRefs.current.set(todo.id, node);
+        return () => itemRefs.current.delete(todo.id);
+      }}
+      className={[
+        'calendar-todo',
+        todo.completed && 'completed',
+        DueTime.status(todo) && `due-${DueTime.status(todo)}`,
+        draggedId === todo.id && 'dragging',
+      ].filter(Boolean).join(' ')}
+      draggable={!readOnly}
+      tabIndex={0}
+      title={todo.dueDate ? `${todo.text} (Due: ${DueTime.describe(todo)})` : todo.text}
+      aria-describedby={readOnly ? undefined : 'calendar-move-hint'}
+      onDragStart={(e) => {
+        setDraggedId(todo.id);
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', String(todo.id));
+      }}
+      onDragEnd={() => {
+        setDraggedId(null);
+        setDropDate(null);
+      }}
+      onKeyDown={readOnly ? undefined : (e) => handleItemKeyDown(e, todo)}
+    >
+      <input
+        type="checkbox"
+        checked={todo.completed}
+        disabled={readOnly}
+        aria-label={`Complete "${todo.text}"`}
+        onChange={() => toggleComplete(todo.id)}
+      />
+      {todo.dueTime && <span className="calendar-time">{DueTime.localTimeOf(todo)}</span>}
+      <span className="calendar-text">{todo.text}</span>
+    </div>
+  );
+
+  const renderDay = (date, extraClass = '') => {
+    const labels = CalendarModel.labels(date);
+    return (
+      <div
+        key={date}
+        className={[
+          'calendar-day',
+          extraClass,
+          date === today && 'today',
+          dropDate === date && 'drop-target',
+        ].filter(Boolean).join(' ')}
+        aria-label={labels.long}
+        {...dropHandlers(date)}
+      >
+        <span className="calendar-day-number">{labels.day}</span>
+        {(todosByDate[date] || []).map(renderTodo)}
+      </div>
+    );
+  };
+
+  const renderWeekdayHeaders = (dates) => (
+    <div className="calendar-weekdays" aria-hidden="true">
+      {dates.map(date => <span key={date}>{CalendarModel.labels(date).weekday}</span>)}
+    </div>
+  );
+
+  const renderMonth = () => {
+    const weeks = CalendarModel.monthGrid(anchor);
+    const month = anchor.slice(0, 7);
+    return (
+      <div className="calendar-month">
+        {renderWeekdayHeaders(weeks[0])}
+        {weeks.map(week => (
+          <div key={week[0]} className="calendar-week-row">
+            {week.map(date => renderDay(date, date.slice(0, 7) === month ? '' : 'outside-month'))}
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  const renderWeek = () => {
+    const days = CalendarModel.weekDays(anchor);
+    return (
+      <div className="calendar-week">
+        {renderWeekdayHeaders(days)}
+        <div className="calendar-week-row">{days.map(date => renderDay(date))}</div>
+      </div>
+    );
+  };
+
+  const renderAgenda = () => {
+    const overdue = anchor <= today ? CalendarModel.overdue(todos, today) : [];
+    const days = CalendarModel.agendaDays(anchor).filter(date => todosByDate[date] || date === today);
+    return (
+      <div className="calendar-agenda">
+        {overdue.length > 0 && (
+          <section className="agenda-day agenda-overdue">
+            <h3>Overdue</h3>
+            {overdue.map(renderTodo)}
+          </section>
+        )}
+        {days.map(date => (
+          <section
+            key={date}
+            className={['agenda-day', date === today && 'today', dropDate === date && 'drop-target'].filter(Boolean).join(' ')}
+            {...dropHandlers(date)}
+          >
+            <h3>{CalendarModel.labels(date).long}</h3>
+            {(todosByDate[date] || []).filter(todo => !overdue.includes(todo)).map(renderTodo)}
+            {!todosByDate[date] && <p className="agenda-empty">Nothing due.</p>}
+          </section>
+        ))}
+        {days.length === 0 && overdue.length === 0 && <p className="agenda-empty">Nothing due in these days.</p>}
+      </div>
+    );
+  };
+
+  return (
+    <div className="calendar-view">
+      <h2>{title}</h2>
+      {readOnly && <p className="read-only-note">This list is shared with you as a viewer.</p>}
+      {!readOnly && <AddTodoForm addTodo={addTodo} notificationPermission={notificationPermission} />}
+
+      <div className="calendar-nav">
+        <button aria-label="Previous" onClick={() => setAnchor(CalendarModel.shift(viewMode, anchor, -1))}>‹</button>
+        <button onClick={() => setAnchor(today)}>Today</button>
+        <button aria-label="Next" onClick={() => setAnchor(CalendarModel.shift(viewMode, anchor, 1))}>›</button>
+        <span className="calendar-title">{CalendarModel.title(viewMode, anchor)}</span>
+      </div>
+
+      {viewMode === 'month' && renderMonth()}
+      {viewMode === 'week' && renderWeek()}
+      {viewMode === 'agenda' && renderAgenda()}
+
+      <section
+        className={['undated-tray', dropDate === '' && 'drop-target'].filter(Boolean).join(' ')}
+        aria-label="Todos without a due date"
+        {...dropHandlers('')}
+      >
+        <h3>No due date</h3>
+        {undated.map(renderTodo)}
+        {undated.length === 0 && (
+          <p className="agenda-empty">
+            {readOnly ? 'Every todo has a due date.' : 'Drop a todo here to remove its due date.'}
+          </p>
+        )}
+      </section>
+
+      {!readOnly && (
+        <>
+          <p id="calendar-move-hint" className="visually-hidden">
+            Drag to another day, or press Alt+Left / Alt+Right to move by a day and Alt+Up / Alt+Down to move by a week.
+          </p>
+          <p className="visually-hidden" aria-live="polite">{announcement}</p>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default CalendarView;
@@ -0,0 +1,186 @@
+import React, { useState, useId } from 'react';
+import { FuzzySearch } from '../model/FuzzySearch';
+import { QuickAddParser } from '../model/QuickAddParser';
+import { VIEW_MODES } from '../model/CalendarModel';
+import { INBOX_LIST_ID } from '../model/ListModel';
+
+/**
+ * CommandPalette.jsx
+ *
+ * VIEW LAYER
+ *
+ * The Ctrl+K palette: one text field that fuzzy-searches the todos of the active list
+ * and the actions on them (complete, edit, archive, delete), plus adding a todo,
+ * jumping to a list, switching the view and undo/redo (see FuzzySearch).
+ * Picking a todo focuses it. Up/Down move through the results, Enter runs the highlighted
+ * one and Escape closes the palette. The actions are handed down from App, which got
+ * them from the ViewModel; the query and highlight are local UI state.
+ */
+const quoted = (todo) => `“${todo.text}”`;
+
+// A result label with the characters matched by the query highlighted
+function Highlighted({ text, indices }) {
+  const matched = new Set(indices);
+  return text.split('').map((char, index) => (matched.has(index) ? <mark key={index}>{char}</mark> : char));
+}
+
+function CommandPalette({
+  todos,
+  archivedTodos,
+  focusedId,
+  lists,
+  readOnly,
+  onClose,
+  addTodo,
+  focusTodo,
+  toggleComplete,
+  startEditing,
+  archiveTodos,
+  unarchiveTodo,
+  deleteTodo,
+  deleteArchivedTodo,
+  archiveCompleted,
+  setActiveListId,
+  setViewMode,
+  undo,
+  redo,
+  showShortcuts,
+}) {
+  const id = useId();
+  const [query, setQuery] = useState('');
+  const [highlighted, setHighlighted] = useState(0);
+
+  // Actions on one todo, for the focused todo and (while searching) for every todo
+  const todoActions = (todo) => (todo.archivedAt
+    ? [
+      { key: `unarchive-${todo.id}`, label: `Unarchive ${quoted(todo)}`, run: () => unarchiveTodo(todo.id) },
+      { key: `delete-${todo.id}`, label: `Delete ${quoted(todo)}`, run: () => deleteArchivedTodo(todo.id) },
+    ]
+    : [
+      {
+        key: `complete-${todo.id}`,
+        label: `${todo.completed ? 'Reopen' : 'Complete'} ${quoted(todo)}`,
+        run: () => toggleComplete(todo.id),
+      },
+      { key: `edit-${todo.id}`, label: `Edit ${quoted(todo)}`, run: () => startEditing(todo.id) },
+      { key: `archive-${todo.id}`, label: `Archive ${quoted(todo)}`, run: () => archiveTodos([todo.id]) },
+      { key: `delete-${todo.id}`, label: `Delete ${quoted(todo)}`, run: () => deleteTodo(todo.id) },
+    ]);
+
+  const allTodos = [...todos, ...archivedTodos];
+  const focusedTodo = allTodos.find(todo => todo.id === focusedId);
+
+  const entries = [
+    ...(!readOnly && focusedTodo ? todoActions(focusedTodo) : []),
+    ...(lists.length > 0
+      ? [{ id: INBOX_LIST_ID, name: 'Inbox' }, ...lists].map(list => ({
+        key: `list-${list.id}`,
+        label: `Go to list: ${list.name}`,
+        run: () => setActiveListId(list.id),
+      }))
+      : []),
+    ...VIEW_MODES.map(mode => ({ key: `view-${mode.id}`, label: `View: ${mode.label}`, run: () => setViewMode(mode.id) })),
+    ...(!readOnly ? [{ key: 'archive-completed', label: 'Archive completed todos', run: archiveCompleted }] : []),
+    { key: 'undo', label: 'Undo', run: undo },
+    { key: 'redo', label: 'Redo', run: redo },
+    { key: 'shortcuts', label: 'Keyboard shortcuts', run: showShortcuts },
+    ...allTodos.map(todo => ({
+      key: `todo-${todo.id}`,
+      label: todo.text,
+      hint: todo.archivedAt ? 'Archived' : 'Todo',
+      run: () => focusTodo(todo.id),
+    })),
+    ...(!readOnly && query.trim()
+      ? allTodos.filter(todo => todo.id !== focusedId).flatMap(todoActions)
+      : []),
+  ];
+
+  const parsed = QuickAddParser.parse(query);
+  const results = [
+    ...(!readOnly && parsed.text
+      ? [{
+        entry: {
+          key: 'add',
+          label: `Add todo “${query.trim()}”`,
+          run: () => addTodo(parsed.text, parsed.dueDate, {
+            dueTime: parsed.dueTime,
+            recurrence: parsed.recurrence,
+            tags: parsed.tags.join(' '),
+            priority: parsed.priority,
+          }),
+        },
+        indices: [],
+      }]
+      : []),
+    ...FuzzySearch.search(entries, query, entry => entry.label),
+  ];
+  const active = Math.min(highlighted, results.length - 1);
+
+  const run = (entry) => {
+    onClose();
+    entry.run();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (results.length === 0) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setHighlighted((active + step + results.length) % results.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (results[active]) run(results[active].entry);
+    }
+  };
+
+  return (
+    <div className="overlay-backdrop" onMouseDown={onClose}>
+      <div
+        className="command-palette"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Command palette"
+        onMouseDown={(e) => e.stopPropagation()}
+      >
+        <input
+          type="text"
+          role="combobox"
+          aria-expanded="true"
+          aria-controls={`${id}-results`}
+          aria-activedescendant={results[active] ? `${id}-${results[active].entry.key}` : undefined}
+          aria-autocomplete="list"
+          placeholder="Search todos and actions, or type a new todo…"
+          value={query}
+          autoFocus
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setHighlighted(0);
+          }}
+          onKeyDown={handleKeyDown}
+        />
+        <ul id={`${id}-results`} role="listbox" aria-label="Results">
+          {results.map(({ entry, indices }, index) => (
+            <li
+              key={entry.key}
+              id={`${id}-${entry.key}`}
+              role="option"
+              aria-selected={index === active}
+              className={index === active ? 'active' : undefined}
+              onMouseMove={() => index !== active && setHighlighted(index)}
+              onClick={() => run(entry)}
+            >
+              <span><Highlighted text={entry.label} indices={indices} /></span>
+              {entry.hint && <span className="palette-hint">{entry.hint}</span>}
+            </li>
+          ))}
+          {results.length === 0 && <li className="palette-empty">No matches</li>}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+export default CommandPalette;
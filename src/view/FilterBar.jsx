@@ -0,0 +1,32 @@
+import React from 'react';
+
+/**
+ * FilterBar.jsx
+ *
+ * VIEW LAYER
+ *
+ * A query input for filtering todos (syntax defined by TodoQuery in the Model),
+ * with a match count and a clear button.
+ * Controlled component: the parent owns the query string.
+ */
+function FilterBar({ query, setQuery, matchCount, totalCount }) {
+  return (
+    <div className="filter-bar">
+      <input
+        type="search"
+        aria-label="Filter todos"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder='Filter, e.g. #work due:<2026-11-01 -done "budget"'
+      />
+      {query && (
+        <>
+          <span className="filter-count">{matchCount} of {totalCount}</span>
+          <button onClick={() => setQuery('')}>Clear</button>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default FilterBar;
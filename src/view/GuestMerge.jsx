@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+
+/**
+ * GuestMerge.jsx
+ *
+ * VIEW LAYER
+ *
+ * After signing in, offers to merge the todos added as a guest (kept in this browser)
+ * into the account: it shows how many are new, already in the account or invalid,
+ * and afterwards a summary of what was imported.
+ * Renders nothing when there is no offer or summary. Purely presentational.
+ */
+const plural = (count, word) => `${count} ${count === 1 ? word : `${word}s`}`;
+
+function GuestMerge({ preview, summary, mergeGuestTodos, keepGuestTodos, discardGuestTodos, dismissSummary }) {
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  const [merging, setMerging] = useState(false);
+
+  if (summary) {
+    return (
+      <section className="guest-merge" aria-live="polite">
+        <h2>Guest todos merged</h2>
+        <p>Imported {plural(summary.imported, 'todo')} into your account.</p>
+        {summary.duplicates.length > 0 && (
+          <>
+            <p>Skipped {plural(summary.duplicates.length, 'todo')} already in your account:</p>
+            <ul>
+              {summary.duplicates.map((text, index) => <li key={index}>{text}</li>)}
+            </ul>
+          </>
+        )}
+        {summary.invalid > 0 && (
+          <p>{plural(summary.invalid, 'invalid todo')} stayed in this browser.</p>
+        )}
+        <div className="guest-merge-actions">
+          <button onClick={dismissSummary}>OK</button>
+        </div>
+      </section>
+    );
+  }
+
+  if (!preview) return null;
+
+  const valid = preview.filter(item => item.todo);
+  const duplicates = valid.filter(item => item.duplicate);
+  const invalid = preview.length - valid.length;
+  const toImport = skipDuplicates ? valid.length - duplicates.length : valid.length;
+
+  const handleMerge = async () => {
+    setMerging(true);
+    await mergeGuestTodos({ skipDuplicates });
+    setMerging(false);
+  };
+
+  return (
+    <section className="guest-merge">
+      <h2>Todos from this browser</h2>
+      <p>
+        You added {plural(preview.length, 'todo')} as a guest before signing in:
+        {' '}{valid.length - duplicates.length} new, {duplicates.length} already in your account, {invalid} invalid.
+      </p>
+      {duplicates.length > 0 && (
+        <>
+          <ul>
+            {duplicates.map((item, index) => <li key={index}>{item.entry.text}</li>)}
+          </ul>
+          <label className="setting-toggle">
+            <input
+              type="checkbox"
+              checked={skipDuplicates}
+              onChange={(e) => setSkipDuplicates(e.target.checked)}
+            />
+            Skip todos that are already in my account
+          </label>
+        </>
+      )}
+      <div className="guest-merge-actions">
+        <button onClick={handleMerge} disabled={merging || (toImport === 0 && duplicates.length === 0)}>
+          {toImport > 0 ? `Import ${plural(toImport, 'todo')}` : 'Clear duplicates'}
+        </button>
+        <button onClick={keepGuestTodos} disabled={merging}>Not now</button>
+        <button onClick={discardGuestTodos} disabled={merging}>Discard them</button>
+      </div>
+    </section>
+  );
+}
+
+export default GuestMerge;
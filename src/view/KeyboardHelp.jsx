@@ -0,0 +1,64 @@
+import React from 'react';
+
+/**
+ * KeyboardHelp.jsx
+ *
+ * VIEW LAYER
+ *
+ * The "?" cheat sheet: lists the keyboard shortcuts handled by App.
+ * Closes with Escape, the Close button or a click outside. Purely presentational.
+ */
+const SHORTCUTS = [
+  { keys: ['Ctrl', 'K'], description: 'Open the command palette (Cmd+K on macOS)' },
+  { keys: ['j'], description: 'Focus the next todo' },
+  { keys: ['k'], description: 'Focus the previous todo' },
+  { keys: ['x'], description: 'Complete or reopen the focused todo' },
+  { keys: ['e'], description: 'Edit the focused todo' },
+  { keys: ['#'], description: 'Delete the focused todo (move it to the trash)' },
+  { keys: ['Alt', '↑ / ↓'], description: 'Move the focused todo up or down (manual order)' },
+  { keys: ['Ctrl', 'Z'], description: 'Undo' },
+  { keys: ['Ctrl', 'Shift', 'Z'], description: 'Redo' },
+  { keys: ['?'], description: 'Show this list' },
+  { keys: ['Esc'], description: 'Close the palette or this list' },
+];
+
+function KeyboardHelp({ onClose }) {
+  return (
+    <div className="overlay-backdrop" onMouseDown={onClose}>
+      <div
+        className="keyboard-help"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="keyboard-help-title"
+        onMouseDown={(e) => e.stopPropagation()}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') {
+            e.preventDefault();
+            onClose();
+          }
+        }}
+      >
+        <h2 id="keyboard-help-title">Keyboard shortcuts</h2>
+        <dl>
+          {SHORTCUTS.map(shortcut => (
+            <div key={shortcut.description} className="shortcut">
+              <dt>
+                {shortcut.keys.map((key, index) => (
+                  <React.Fragment key={key}>
+                    {index > 0 && '+'}
+                    <kbd>{key}</kbd>
+                  </React.Fragment>
+                ))}
+              </dt>
+              <dd>{shortcut.description}</dd>
+            </div>
+          ))}
+        </dl>
+        <p className="keyboard-help-note">Single-key shortcuts work when no text field has the focus.</p>
+        <button onClick={onClose} autoFocus>Close</button>
+      </div>
+    </div>
+  );
+}
+
+export default KeyboardHelp;
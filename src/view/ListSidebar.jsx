@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { INBOX_LIST_ID, DEFAULT_LIST_COLOR } from '../model/ListModel';
+import { OWNER_ROLE } from '../model/SharingModel';
+
+/**
+ * ListSidebar.jsx
+ *
+ * VIEW LAYER
+ *
+ * Shows the Inbox and the user's lists, and lets the user switch between them,
+ * create, rename, recolor and delete lists. Lists shared with the user are marked
+ * with their role and can only be changed by their owner.
+ * Handles local UI state (forms, which list is being renamed) but delegates data changes to props.
+ */
+function ListSidebar({ lists, activeListId, setActiveListId, createList, updateList, deleteList }) {
+  const [newListName, setNewListName] = useState('');
+  const [newListColor, setNewListColor] = useState(DEFAULT_LIST_COLOR);
+  const [renamingId, setRenamingId] = useState(null);
+  const [renamedName, setRenamedName] = useState('');
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!newListName.trim()) return;
+    createList(newListName, newListColor);
+    setNewListName('');
+  };
+
+  const startRename = (list) => {
+    setRenamingId(list.id);
+    setRenamedName(list.name);
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    updateList(renamingId, { name: renamedName });
+    setRenamingId(null);
+  };
+
+  const handleDelete = (list) => {
+    if (window.confirm(`Delete the list "${list.name}"? Its todos will move to the Inbox.`)) {
+      deleteList(list.id);
+    }
+  };
+
+  return (
+    <nav className="list-sidebar" aria-label="Lists">
+      <h2>Lists</h2>
+      <ul>
+        <li className={activeListId === INBOX_LIST_ID ? 'active' : ''}>
+          <button className="list-name" onClick={() => setActiveListId(INBOX_LIST_ID)}>
+            Inbox
+          </button>
+        </li>
+        {lists.map((list) => (
+          <li key={list.id} className={activeListId === list.id ? 'active' : ''}>
+            <input
+              type="color"
+              aria-label={`Color of ${list.name}`}
+              value={list.color}
+              disabled={list.role !== OWNER_ROLE}
+              onChange={(e) => updateList(list.id, { color: e.target.value })}
+            />
+            {renamingId === list.id ? (
+              <form onSubmit={handleRename}>
+                <input
+                  type="text"
+                  value={renamedName}
+                  onChange={(e) => setRenamedName(e.target.value)}
+                  autoFocus
+                />
+                <button type="submit">Save</button>
+              </form>
+            ) : (
+              <>
+                <button className="list-name" onClick={() => setActiveListId(list.id)}>
+                  {list.name}
+                  {list.role !== OWNER_ROLE && <span className="list-role"> ({list.role})</span>}
+                </button>
+                {list.role === OWNER_ROLE && (
+                  <>
+                    <button onClick={() => startRename(list)}>Rename</button>
+                    <button onClick={() => handleDelete(list)}>Delete</button>
+                  </>
+                )}
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+      <form onSubmit={handleCreate} className="list-create">
+        <input
+          type="text"
+          value={newListName}
+          onChange={(e) => setNewListName(e.target.value)}
+          placeholder="New list"
+        />
+        <input
+          type="color"
+          aria-label="New list color"
+          value={newListColor}
+          onChange={(e) => setNewListColor(e.target.value)}
+        />
+        <button type="submit">Add</button>
+      </form>
+    </nav>
+  );
+}
+
+export default ListSidebar;
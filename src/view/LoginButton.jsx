@@ -1,54 +1,138 @@
 import React, { useState } from 'react';
-import { supabase } from '../supabaseClient';
+import { AccountModel } from '../model/AccountModel';
+import { AuthService, OAUTH_PROVIDERS } from '../service/AuthService';
 
 /**
  * LoginButton.jsx
  *
  * VIEW LAYER - Authentication Component
  *
- * NOW: A Login Form for Supabase Auth.
- * Allows users to sign in via Magic Link.
+ * The sign-in form for Supabase Auth (see AuthService):
+ * - sign in with email and password, or create an account,
+ * - get a magic link by email,
+ * - get a password reset link (following it opens the account page to set a new password),
+ * - continue with GitHub or Google.
+ * Links and providers send the user back to the app's page under the base path; an error
+ * they come back with (e.g. an expired link) is shown here until the form is used.
  */
+const MODES = [
+    { id: 'sign-in', label: 'Sign in', submit: 'Sign In', pending: 'Signing in...' },
+    { id: 'sign-up', label: 'Create account', submit: 'Create Account', pending: 'Creating account...' },
+    { id: 'magic-link', label: 'Magic link', submit: 'Send Magic Link', pending: 'Sending link...' },
+    { id: 'reset', label: 'Forgot password', submit: 'Send Reset Link', pending: 'Sending link...' },
+];
+
 function LoginButton() {
+    const [mode, setMode] = useState('sign-in');
     const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [confirmation, setConfirmation] = useState('');
     const [loading, setLoading] = useState(false);
-    const [message, setMessage] = useState('');
+    const [message, setMessage] = useState(() => {
+        const error = AuthService.redirectError();
+        return error ? `Error: ${error}` : '';
+    });
 
-    const handleLogin = async (e) => {
-        e.preventDefault();
-        setLoading(true);
-        // Construct redirect URL that includes the GitHub Pages subdirectory
-        const redirectUrl = window.location.origin + import.meta.env.BASE_URL;
-
-        const { error } = await supabase.auth.signInWithOtp({
-            email,
-            options: {
-                emailRedirectTo: redirectUrl,
-            },
-        });
+    const current = MODES.find(m => m.id === mode);
+    const needsPassword = mode === 'sign-in' || mode === 'sign-up';
+
+    const switchMode = (id) => {
+        setMode(id);
+        setPassword('');
+        setConfirmation('');
+        setMessage('');
+    };
 
-        if (error) {
+    // Runs a sign-in step and shows its outcome (or error) under the form
+    const attempt = async (step) => {
+        setLoading(true);
+        setMessage('');
+        AuthService.clearRedirectError();
+        try {
+            setMessage(await step());
+        } catch (error) {
             setMessage(`Error: ${error.message}`);
-        } else {
-            setMessage('Check your email for the login link!');
         }
         setLoading(false);
     };
 
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        attempt(async () => {
+            const address = AccountModel.validateEmail(email);
+            if (mode === 'sign-in') {
+                await AuthService.signInWithPassword(address, password);
+                return '';
+            }
+            if (mode === 'sign-up') {
+                AccountModel.validatePassword(password, confirmation);
+                const needsConfirmation = await AuthService.signUp(address, password);
+                return needsConfirmation ? 'Check your email to confirm your account!' : '';
+            }
+            if (mode === 'magic-link') {
+                await AuthService.sendMagicLink(address);
+                return 'Check your email for the login link!';
+            }
+            await AuthService.sendPasswordReset(address);
+            return 'Check your email for the password reset link!';
+        });
+    };
+
+    // Leaves for the provider's page, so there is nothing to show on success
+    const handleProvider = (provider) => attempt(async () => {
+        await AuthService.signInWithProvider(provider);
+        return '';
+    });
+
     return (
         <div className="login-form">
-            <form onSubmit={handleLogin}>
+            <div className="login-modes" role="group" aria-label="Sign-in method">
+                {MODES.map(m => (
+                    <button key={m.id} type="button" aria-pressed={mode === m.id} onClick={() => switchMode(m.id)}>
+                        {m.label}
+                    </button>
+                ))}
+            </div>
+            <form onSubmit={handleSubmit}>
                 <input
                     type="email"
                     placeholder="Your email"
+                    autoComplete="email"
                     value={email}
                     onChange={(e) => setEmail(e.target.value)}
                     required
                 />
+                {needsPassword && (
+                    <input
+                        type="password"
+                        placeholder="Password"
+                        autoComplete={mode === 'sign-up' ? 'new-password' : 'current-password'}
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        required
+                    />
+                )}
+                {mode === 'sign-up' && (
+                    <input
+                        type="password"
+                        placeholder="Repeat password"
+                        autoComplete="new-password"
+                        value={confirmation}
+                        onChange={(e) => setConfirmation(e.target.value)}
+                        required
+                    />
+                )}
                 <button type="submit" disabled={loading}>
-                    {loading ? 'Sending link...' : 'Send Magic Link'}
+                    {loading ? current.pending : current.submit}
                 </button>
             </form>
+            <div className="login-providers">
+                {OAUTH_PROVIDERS.map(provider => (
+                    <button key={provider.id} type="button" disabled={loading} onClick={() => handleProvider(provider.id)}>
+                        Continue with {provider.label}
+                    </button>
+                ))}
+            </div>
             {message && <p className="login-message">{message}</p>}
         </div>
     );
@@ -0,0 +1,64 @@
+import React from 'react';
+import { MarkdownModel } from '../model/MarkdownModel';
+
+/**
+ * Markdown.jsx
+ *
+ * VIEW LAYER
+ *
+ * Renders Markdown text (e.g. todo notes) as React elements, from the tree built by
+ * MarkdownModel. No HTML string is ever injected, so the source cannot add markup
+ * or scripts; links open in a new tab. Purely presentational.
+ */
+const renderInline = (spans) => spans.map((span, index) => {
+  switch (span.type) {
+    case 'code':
+      return <code key={index}>{span.text}</code>;
+    case 'strong':
+      return <strong key={index}>{renderInline(span.children)}</strong>;
+    case 'em':
+      return <em key={index}>{renderInline(span.children)}</em>;
+    case 'link':
+      return (
+        <a key={index} href={span.href} target="_blank" rel="noopener noreferrer">
+          {renderInline(span.children)}
+        </a>
+      );
+    case 'break':
+      return <br key={index} />;
+    default:
+      return span.text;
+  }
+});
+
+const renderBlocks = (blocks) => blocks.map((block, index) => {
+  switch (block.type) {
+    case 'heading': {
+      // Headings inside notes are kept below the todo's own heading level
+      const Heading = `h${Math.min(block.level + 3, 6)}`;
+      return <Heading key={index}>{renderInline(block.children)}</Heading>;
+    }
+    case 'list': {
+      const List = block.ordered ? 'ol' : 'ul';
+      return (
+        <List key={index}>
+          {block.items.map((item, itemIndex) => <li key={itemIndex}>{renderInline(item)}</li>)}
+        </List>
+      );
+    }
+    case 'quote':
+      return <blockquote key={index}>{renderBlocks(block.blocks)}</blockquote>;
+    case 'code':
+      return <pre key={index}><code>{block.text}</code></pre>;
+    case 'rule':
+      return <hr key={index} />;
+    default:
+      return <p key={index}>{renderInline(block.children)}</p>;
+  }
+});
+
+function Markdown({ text, className = '' }) {
+  return <div className={`markdown ${className}`.trim()}>{renderBlocks(MarkdownModel.parse(text))}</div>;
+}
+
+export default Markdown;
@@ -0,0 +1,89 @@
+import React from 'react';
+import { FREQUENCIES } from '../model/RecurrenceModel';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * RecurrencePicker.jsx
+ *
+ * VIEW LAYER
+ *
+ * Form controls for a recurrence rule: frequency, interval, weekdays (weekly only)
+ * and an optional end date or occurrence count.
+ * Controlled component: `value` is a draft rule (or null for "does not repeat")
+ * and every change is reported through `onChange`. The Model validates it on save.
+ */
+function RecurrencePicker({ value, onChange }) {
+  const rule = value || { freq: '', interval: 1, byWeekday: [], until: '', count: '' };
+
+  const update = (changes) => {
+    const next = { ...rule, ...changes };
+    onChange(next.freq ? next : null);
+  };
+
+  const toggleWeekday = (day) => {
+    const byWeekday = rule.byWeekday.includes(day)
+      ? rule.byWeekday.filter(d => d !== day)
+      : [...rule.byWeekday, day];
+    update({ byWeekday });
+  };
+
+  return (
+    <span className="recurrence-picker">
+      <select
+        aria-label="Repeat"
+        value={rule.freq}
+        onChange={(e) => update({ freq: e.target.value })}
+      >
+        <option value="">Does not repeat</option>
+        {FREQUENCIES.map(freq => (
+          <option key={freq} value={freq}>{freq[0].toUpperCase() + freq.slice(1)}</option>
+        ))}
+      </select>
+      {rule.freq && (
+        <>
+          <label>
+            every
+            <input
+              type="number"
+              min="1"
+              value={rule.interval}
+              onChange={(e) => update({ interval: e.target.value })}
+            />
+          </label>
+          {rule.freq === 'weekly' && WEEKDAYS.map((name, day) => (
+            <label key={name}>
+              <input
+                type="checkbox"
+                checked={rule.byWeekday.includes(day)}
+                onChange={() => toggleWeekday(day)}
+              />
+              {name}
+            </label>
+          ))}
+          <label>
+            until
+            <input
+              type="date"
+              value={rule.until || ''}
+              onChange={(e) => update({ until: e.target.value })}
+            />
+          </label>
+          <label>
+            or
+            <input
+              type="number"
+              min="1"
+              placeholder="∞"
+              value={rule.count ?? ''}
+              onChange={(e) => update({ count: e.target.value })}
+            />
+            times
+          </label>
+        </>
+      )}
+    </span>
+  );
+}
+
+export default RecurrencePicker;
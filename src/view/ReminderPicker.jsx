@@ -0,0 +1,43 @@
+import React from 'react';
+import { REMINDERS } from '../model/ReminderModel';
+
+/**
+ * ReminderPicker.jsx
+ *
+ * VIEW LAYER
+ *
+ * A collapsible set of checkboxes for a todo's reminder presets.
+ * Controlled component: `value` is the list of selected preset ids and every change
+ * is reported through `onChange`. Reminders need a due date, so the choices are
+ * disabled without one.
+ */
+function ReminderPicker({ value, onChange, disabled }) {
+  const toggle = (id) => {
+    onChange(value.includes(id) ? value.filter(r => r !== id) : [...value, id]);
+  };
+
+  const summary = value.length === 0
+    ? 'No reminders'
+    : REMINDERS.filter(r => value.includes(r.id)).map(r => r.label).join(', ');
+
+  return (
+    <details className="reminder-picker">
+      <summary aria-label="Reminders">🔔 {summary}</summary>
+      <fieldset disabled={disabled}>
+        {disabled && <p className="reminder-hint">Set a due date to add reminders.</p>}
+        {REMINDERS.map(reminder => (
+          <label key={reminder.id}>
+            <input
+              type="checkbox"
+              checked={value.includes(reminder.id)}
+              onChange={() => toggle(reminder.id)}
+            />
+            {reminder.label}
+          </label>
+        ))}
+      </fieldset>
+    </details>
+  );
+}
+
+export default ReminderPicker;
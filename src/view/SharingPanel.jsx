@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { ROLES, OWNER_ROLE } from '../model/SharingModel';
+
+/**
+ * SharingPanel.jsx
+ *
+ * VIEW LAYER
+ *
+ * Lets the user manage shared lists:
+ * - accept or decline invitations addressed to them,
+ * - invite collaborators to their own lists, change their role or revoke access,
+ * - leave lists others have shared with them.
+ * Handles local UI state (invite form inputs) but delegates data changes to props.
+ */
+function InviteForm({ listId, inviteToList }) {
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('viewer');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+    inviteToList(listId, email, role);
+    setEmail('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="invite-form">
+      <input
+        type="email"
+        placeholder="Collaborator's email"
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+        required
+      />
+      <select aria-label="Role" value={role} onChange={(e) => setRole(e.target.value)}>
+        {ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+      </select>
+      <button type="submit">Invite</button>
+    </form>
+  );
+}
+
+function SharingPanel({
+  lists,
+  invitations,
+  members,
+  inviteToList,
+  acceptInvitation,
+  declineInvitation,
+  changeMemberRole,
+  revokeMember,
+  leaveList,
+}) {
+  const ownedLists = lists.filter(l => l.role === OWNER_ROLE);
+  const sharedLists = lists.filter(l => l.role !== OWNER_ROLE);
+
+  return (
+    <div className="sharing-panel">
+      <h3>Invitations</h3>
+      {invitations.length === 0 ? (
+        <p className="sharing-empty">No pending invitations.</p>
+      ) : (
+        invitations.map((invitation) => (
+          <div key={invitation.id} className="sharing-row">
+            <span>
+              <strong>{invitation.listName}</strong> as {invitation.role}
+            </span>
+            <button onClick={() => acceptInvitation(invitation.id)}>Accept</button>
+            <button onClick={() => declineInvitation(invitation.id)}>Decline</button>
+          </div>
+        ))
+      )}
+
+      <h3>Your lists</h3>
+      {ownedLists.length === 0 && (
+        <p className="sharing-empty">Create a list to share it.</p>
+      )}
+      {ownedLists.map((list) => (
+        <div key={list.id} className="sharing-list">
+          <h4>{list.name}</h4>
+          {members.filter(m => m.listId === list.id).map((member) => (
+            <div key={member.id} className="sharing-row">
+              <span>{member.email}</span>
+              {member.status === 'pending' && <span className="sharing-status">pending</span>}
+              <select
+                aria-label={`Role of ${member.email}`}
+                value={member.role}
+                onChange={(e) => changeMemberRole(member.id, e.target.value)}
+              >
+                {ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+              </select>
+              <button onClick={() => revokeMember(member.id)}>
+                {member.status === 'pending' ? 'Cancel invite' : 'Revoke'}
+              </button>
+            </div>
+          ))}
+          <InviteForm listId={list.id} inviteToList={inviteToList} />
+        </div>
+      ))}
+
+      {sharedLists.length > 0 && (
+        <>
+          <h3>Shared with you</h3>
+          {sharedLists.map((list) => (
+            <div key={list.id} className="sharing-row">
+              <span>
+                <strong>{list.name}</strong> as {list.role}
+              </span>
+              <button onClick={() => leaveList(list.id)}>Leave</button>
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default SharingPanel;
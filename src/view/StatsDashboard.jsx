@@ -0,0 +1,110 @@
+import React from 'react';
+import { TodoStats } from '../model/TodoStats';
+import { CalendarModel } from '../model/CalendarModel';
+
+/**
+ * StatsDashboard.jsx
+ *
+ * VIEW LAYER
+ *
+ * Shows the productivity figures computed by the ViewModel (see TodoStats):
+ * headline numbers, completions per day and per week as bar charts,
+ * and breakdowns by list and by tag. Purely presentational.
+ */
+function BarChart({ label, bars }) {
+  const max = Math.max(1, ...bars.map(bar => bar.count));
+  return (
+    <figure className="stats-chart">
+      <figcaption>{label}</figcaption>
+      <div className="stats-bars">
+        {bars.map(bar => (
+          <div key={bar.key} className="stats-bar" title={`${bar.title}: ${bar.count}`}>
+            <span className="stats-bar-count">{bar.count || ''}</span>
+            <span className="stats-bar-fill" style={{ height: `${(bar.count / max) * 100}%` }} />
+            <span className="stats-bar-label">{bar.label}</span>
+          </div>
+        ))}
+      </div>
+    </figure>
+  );
+}
+
+function Breakdown({ label, rows, nameOf }) {
+  return (
+    <table className="stats-breakdown">
+      <caption>{label}</caption>
+      <thead>
+        <tr>
+          <th>Name</th>
+          <th>Open</th>
+          <th>Completed</th>
+          <th>Total</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => (
+          <tr key={String(row.key)}>
+            <td>{nameOf(row.key)}</td>
+            <td>{row.open}</td>
+            <td>{row.completed}</td>
+            <td>{row.total}</td>
+          </tr>
+        ))}
+        {rows.length === 0 && (
+          <tr>
+            <td colSpan="4">Nothing yet.</td>
+          </tr>
+        )}
+      </tbody>
+    </table>
+  );
+}
+
+function StatsDashboard({ stats, lists }) {
+  const listName = (id) => (id === null ? 'Inbox' : lists.find(list => list.id === id)?.name ?? 'Inbox');
+
+  const dayBars = stats.perDay.map(({ date, count }) => {
+    const labels = CalendarModel.labels(date);
+    return { key: date, count, label: labels.day, title: labels.long };
+  });
+  const weekBars = stats.perWeek.map(({ weekStart, count }) => {
+    const labels = CalendarModel.labels(weekStart);
+    return { key: weekStart, count, label: labels.day, title: `Week of ${labels.long}` };
+  });
+
+  const cards = [
+    { label: 'Completed today', value: stats.completedToday },
+    { label: 'Completed this week', value: stats.completedThisWeek },
+    { label: 'Current streak', value: `${stats.streaks.current} ${stats.streaks.current === 1 ? 'day' : 'days'}` },
+    { label: 'Longest streak', value: `${stats.streaks.longest} ${stats.streaks.longest === 1 ? 'day' : 'days'}` },
+    { label: 'Overdue', value: stats.overdue },
+    { label: 'Average time to complete', value: TodoStats.formatDuration(stats.averageCompletionTime) },
+  ];
+
+  return (
+    <div className="stats-dashboard">
+      <h2>Statistics</h2>
+      <p className="stats-note">
+        {stats.completed} of {stats.total} todos completed, across all lists (archive included).
+      </p>
+      <div className="stats-cards">
+        {cards.map(card => (
+          <div key={card.label} className="stats-card">
+            <span className="stats-value">{card.value}</span>
+            <span className="stats-label">{card.label}</span>
+          </div>
+        ))}
+      </div>
+      <div className="stats-charts">
+        <BarChart label={`Completed per day (last ${dayBars.length} days)`} bars={dayBars} />
+        <BarChart label={`Completed per week (last ${weekBars.length} weeks, by first day)`} bars={weekBars} />
+      </div>
+      <div className="stats-breakdowns">
+        <Breakdown label="By list" rows={stats.byList} nameOf={listName} />
+        <Breakdown label="By tag" rows={stats.byTag} nameOf={(tag) => `#${tag}`} />
+      </div>
+    </div>
+  );
+}
+
+export default StatsDashboard;
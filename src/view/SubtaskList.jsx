@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+
+/**
+ * SubtaskList.jsx
+ *
+ * VIEW LAYER
+ *
+ * Renders the checklist of subtasks nested under a todo.
+ * Handles local UI state (the new subtask input) but delegates data changes to props.
+ */
+function SubtaskList({ subtasks, readOnly, addSubtask, toggleSubtask, deleteSubtask, moveSubtask }) {
+  const [newSubtask, setNewSubtask] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!newSubtask.trim()) return;
+    addSubtask(newSubtask);
+    setNewSubtask('');
+  };
+
+  return (
+    <div className="subtask-list">
+      {subtasks.map((subtask, index) => (
+        <div key={subtask.id} className="subtask-item">
+          <input
+            type="checkbox"
+            checked={subtask.completed}
+            disabled={readOnly}
+            onChange={() => toggleSubtask(subtask.id)}
+          />
+          <span style={{ textDecoration: subtask.completed ? 'line-through' : 'none' }}>
+            {subtask.text}
+          </span>
+          {!readOnly && (
+            <>
+              <button
+                aria-label="Move up"
+                disabled={index === 0}
+                onClick={() => moveSubtask(subtask.id, -1)}
+              >
+                ↑
+              </button>
+              <button
+                aria-label="Move down"
+                disabled={index === subtasks.length - 1}
+                onClick={() => moveSubtask(subtask.id, 1)}
+              >
+                ↓
+              </button>
+              <button onClick={() => deleteSubtask(subtask.id)}>Delete</button>
+            </>
+          )}
+        </div>
+      ))}
+      {!readOnly && (
+        <form onSubmit={handleSubmit}>
+          <input
+            type="text"
+            value={newSubtask}
+            onChange={(e) => setNewSubtask(e.target.value)}
+            placeholder="Add a step"
+          />
+          <button type="submit">Add</button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default SubtaskList;
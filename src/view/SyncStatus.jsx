@@ -0,0 +1,42 @@
+import React from 'react';
+
+/**
+ * SyncStatus.jsx
+ *
+ * VIEW LAYER
+ *
+ * Shows whether local changes have reached the server:
+ * pending change count, online state and the time of the last successful sync.
+ * Purely presentational component.
+ */
+function SyncStatus({ syncStatus, syncNow }) {
+  const { pending, syncing, online, lastSyncedAt, lastError } = syncStatus;
+
+  let label;
+  if (syncing) {
+    label = 'Syncing...';
+  } else if (!online) {
+    label = pending > 0 ? `Offline · ${pending} change${pending === 1 ? '' : 's'} pending` : 'Offline';
+  } else if (pending > 0) {
+    label = `${pending} change${pending === 1 ? '' : 's'} pending`;
+  } else {
+    label = 'All changes synced';
+  }
+
+  return (
+    <div className={`sync-status ${online ? '' : 'sync-status-offline'}`}>
+      <span>{label}</span>
+      {lastSyncedAt && (
+        <span className="sync-status-time">
+          Last synced {new Date(lastSyncedAt).toLocaleString()}
+        </span>
+      )}
+      {lastError && <span className="sync-status-error">{lastError}</span>}
+      {pending > 0 && !syncing && (
+        <button onClick={syncNow}>Sync now</button>
+      )}
+    </div>
+  );
+}
+
+export default SyncStatus;
@@ -0,0 +1,25 @@
+import React from 'react';
+
+/**
+ * TagChips.jsx
+ *
+ * VIEW LAYER
+ *
+ * Renders a todo's tags as chips. Clicking a chip calls `onSelect` with the tag
+ * (e.g. to filter by it). Purely presentational component.
+ */
+function TagChips({ tags, onSelect }) {
+  if (!tags || tags.length === 0) return null;
+
+  return (
+    <span className="tag-chips">
+      {tags.map(tag => (
+        <button key={tag} className="tag-chip" onClick={() => onSelect && onSelect(tag)}>
+          #{tag}
+        </button>
+      ))}
+    </span>
+  );
+}
+
+export default TagChips;
@@ -0,0 +1,68 @@
+import React, { useState, useEffect } from 'react';
+
+// How long the undo toast stays up after a command
+const UNDO_TOAST_MS = 8000;
+
+/**
+ * Toasts.jsx
+ *
+ * VIEW LAYER
+ *
+ * Renders the ViewModel's errors stream as dismissible toasts.
+ * Errors that carry a retry action get a "Retry" button.
+ * After each new command an "Undo" toast is shown for a few seconds
+ * (undoing or redoing does not bring it back).
+ */
+function Toasts({ errors, dismissError, retryError, lastCommand, undo }) {
+  // Highest command id seen so far, and the id up to which undo toasts are hidden
+  const [newestCommandId, setNewestCommandId] = useState(0);
+  const [hiddenUpTo, setHiddenUpTo] = useState(0);
+
+  if (lastCommand && lastCommand.id > newestCommandId) {
+    setNewestCommandId(lastCommand.id);
+  }
+  const undoCommand = lastCommand && lastCommand.id >= newestCommandId && lastCommand.id > hiddenUpTo
+    ? lastCommand
+    : null;
+
+  useEffect(() => {
+    if (!undoCommand) return;
+    const timer = setTimeout(() => setHiddenUpTo(undoCommand.id), UNDO_TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [undoCommand]);
+
+  if (errors.length === 0 && !undoCommand) return null;
+
+  const handleUndo = () => {
+    setHiddenUpTo(undoCommand.id);
+    undo();
+  };
+
+  return (
+    <div className="toast-container" role="status" aria-live="polite">
+      {errors.map((error) => (
+        <div key={error.id} className="toast">
+          <div className="toast-text">
+            <strong>{error.message}</strong>
+            {error.detail && <span className="toast-detail">{error.detail}</span>}
+          </div>
+          {error.retry && (
+            <button onClick={() => retryError(error.id)}>Retry</button>
+          )}
+          <button aria-label="Dismiss" onClick={() => dismissError(error.id)}>×</button>
+        </div>
+      ))}
+      {undoCommand && (
+        <div key={`undo-${undoCommand.id}`} className="toast toast-undo">
+          <div className="toast-text">
+            <span>{undoCommand.label}</span>
+          </div>
+          <button onClick={handleUndo} title="Ctrl+Z">Undo</button>
+          <button aria-label="Dismiss" onClick={() => setHiddenUpTo(undoCommand.id)}>×</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Toasts;
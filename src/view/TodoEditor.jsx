@@ -0,0 +1,243 @@
+import React, { useState, useId } from 'react';
+import RecurrencePicker from './RecurrencePicker.jsx';
+import ReminderPicker from './ReminderPicker.jsx';
+import Markdown from './Markdown.jsx';
+import { PRIORITIES, TEXT_MAX_LENGTH, NOTES_MAX_LENGTH } from '../model/TodoModel';
+import { INBOX_LIST_ID } from '../model/ListModel';
+import { SharingModel } from '../model/SharingModel';
+import { DueTime } from '../model/DueTime';
+
+// Time zones offered for a due time, where the browser can list them
+const TIME_ZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+
+/**
+ * TodoEditor.jsx
+ *
+ * VIEW LAYER
+ *
+ * The edit panel of a todo: text, Markdown notes (with a preview), completion,
+ * due date, time and time zone, reminders, recurrence, list, tags and priority.
+ * The draft is local UI state. On save it is checked with `validateTodo` and each
+ * error is shown next to its field; a valid draft is handed to `onSave`.
+ * Subtasks keep their own editor (SubtaskList).
+ */
+function TodoEditor({ todo, lists, validateTodo, onSave, onCancel }) {
+  const id = useId();
+  const originalDueDate = (todo.dueDate || '').slice(0, 10);
+  const [draft, setDraft] = useState(() => ({
+    text: todo.text,
+    notes: todo.notes || '',
+    completed: todo.completed,
+    dueDate: originalDueDate,
+    dueTime: todo.dueTime || '',
+    timeZone: todo.timeZone || '',
+    reminders: todo.reminders || [],
+    recurrence: todo.recurrence || null,
+    listId: todo.listId ?? INBOX_LIST_ID,
+    tags: (todo.tags || []).join(' '),
+    priority: todo.priority || 'none',
+  }));
+  const [errors, setErrors] = useState({});
+  const [previewNotes, setPreviewNotes] = useState(false);
+
+  const editableLists = lists.filter(list => SharingModel.canEdit(list.role));
+
+  const update = (changes) => {
+    setDraft(prev => ({ ...prev, ...changes }));
+    // Changed fields get a fresh chance; their errors come back on the next save if still invalid
+    setErrors(prev => Object.fromEntries(Object.entries(prev).filter(([field]) => !(field in changes))));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const dated = Boolean(draft.dueDate);
+    const timed = dated && Boolean(draft.dueTime);
+    // A rule anchored to the old due date follows the new one
+    const recurrence = draft.recurrence && draft.dueDate !== originalDueDate
+      ? { ...draft.recurrence, monthDay: null }
+      : draft.recurrence;
+    const fields = {
+      text: draft.text,
+      notes: draft.notes,
+      completed: draft.completed,
+      dueDate: draft.dueDate,
+      dueTime: timed ? draft.dueTime : null,
+      timeZone: timed ? draft.timeZone || null : null,
+      reminders: dated ? draft.reminders : [],
+      recurrence,
+      tags: draft.tags,
+      priority: draft.priority,
+    };
+    if (editableLists.length > 0) fields.listId = draft.listId;
+
+    const fieldErrors = validateTodo(fields);
+    setErrors(fieldErrors);
+    const [firstInvalid] = Object.keys(fieldErrors);
+    if (firstInvalid) {
+      document.getElementById(`${id}-${firstInvalid}`)?.focus();
+      return;
+    }
+    onSave(fields);
+  };
+
+  // Props and message for a field that may be invalid
+  const fieldProps = (field) => ({
+    id: `${id}-${field}`,
+    'aria-invalid': Boolean(errors[field]),
+    'aria-describedby': errors[field] ? `${id}-${field}-error` : undefined,
+  });
+  const fieldError = (field) => errors[field] && (
+    <span id={`${id}-${field}-error`} className="field-error">{errors[field]}</span>
+  );
+
+  return (
+    <form className="todo-editor" onSubmit={handleSubmit} noValidate>
+      <div className="editor-field">
+        <label htmlFor={`${id}-text`}>Todo</label>
+        <input
+          type="text"
+          value={draft.text}
+          maxLength={TEXT_MAX_LENGTH}
+          autoFocus
+          onChange={(e) => update({ text: e.target.value })}
+          {...fieldProps('text')}
+        />
+        {fieldError('text')}
+      </div>
+
+      <div className="editor-field">
+        <label htmlFor={`${id}-notes`}>Notes (Markdown)</label>
+        {previewNotes ? (
+          <Markdown text={draft.notes} className="todo-notes-preview" />
+        ) : (
+          <textarea
+            rows="5"
+            value={draft.notes}
+            maxLength={NOTES_MAX_LENGTH}
+            placeholder="Details, links, checklists… **bold**, *italic*, - lists"
+            onChange={(e) => update({ notes: e.target.value })}
+            {...fieldProps('notes')}
+          />
+        )}
+        <button type="button" className="editor-link" onClick={() => setPreviewNotes(!previewNotes)}>
+          {previewNotes ? 'Edit notes' : 'Preview notes'}
+        </button>
+        {fieldError('notes')}
+      </div>
+
+      <div className="editor-row">
+        <div className="editor-field">
+          <label htmlFor={`${id}-dueDate`}>Due date</label>
+          <input
+            type="date"
+            value={draft.dueDate}
+            onChange={(e) => update({ dueDate: e.target.value })}
+            {...fieldProps('dueDate')}
+          />
+          {fieldError('dueDate')}
+        </div>
+        <div className="editor-field">
+          <label htmlFor={`${id}-dueTime`}>Time</label>
+          <input
+            type="time"
+            value={draft.dueTime}
+            disabled={!draft.dueDate}
+            onChange={(e) => update({ dueTime: e.target.value })}
+            {...fieldProps('dueTime')}
+          />
+          {fieldError('dueTime')}
+        </div>
+        <div className="editor-field">
+          <label htmlFor={`${id}-timeZone`}>Time zone</label>
+          <input
+            type="text"
+            list={`${id}-time-zones`}
+            value={draft.timeZone}
+            placeholder={DueTime.localTimeZone()}
+            disabled={!draft.dueDate || !draft.dueTime}
+            onChange={(e) => update({ timeZone: e.target.value })}
+            {...fieldProps('timeZone')}
+          />
+          <datalist id={`${id}-time-zones`}>
+            {TIME_ZONES.map(zone => <option key={zone} value={zone} />)}
+          </datalist>
+          {fieldError('timeZone')}
+        </div>
+        <div className="editor-field">
+          <span>Reminders</span>
+          <ReminderPicker value={draft.reminders} onChange={(reminders) => update({ reminders })} disabled={!draft.dueDate} />
+          {fieldError('reminders')}
+        </div>
+      </div>
+
+      <div className="editor-field">
+        <span>Repeat</span>
+        <RecurrencePicker value={draft.recurrence} onChange={(recurrence) => update({ recurrence })} />
+        {fieldError('recurrence')}
+      </div>
+
+      <div className="editor-row">
+        {editableLists.length > 0 && (
+          <div className="editor-field">
+            <label htmlFor={`${id}-listId`}>List</label>
+            <select
+              value={draft.listId ?? ''}
+              onChange={(e) => update({ listId: e.target.value === '' ? INBOX_LIST_ID : Number(e.target.value) })}
+              {...fieldProps('listId')}
+            >
+              <option value="">Inbox</option>
+              {editableLists.map(list => (
+                <option key={list.id} value={list.id}>{list.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        <div className="editor-field">
+          <label htmlFor={`${id}-tags`}>Tags</label>
+          <input
+            type="text"
+            placeholder="#tags"
+            value={draft.tags}
+            onChange={(e) => update({ tags: e.target.value })}
+            {...fieldProps('tags')}
+          />
+          {fieldError('tags')}
+        </div>
+        <div className="editor-field">
+          <label htmlFor={`${id}-priority`}>Priority</label>
+          <select
+            value={draft.priority}
+            onChange={(e) => update({ priority: e.target.value })}
+            {...fieldProps('priority')}
+          >
+            {PRIORITIES.map(p => (
+              <option key={p} value={p}>{p === 'none' ? 'No priority' : p}</option>
+            ))}
+          </select>
+          {fieldError('priority')}
+        </div>
+      </div>
+
+      <label className="setting-toggle">
+        <input
+          type="checkbox"
+          checked={draft.completed}
+          onChange={(e) => update({ completed: e.target.checked })}
+        />
+        Completed
+      </label>
+
+      <p className="editor-meta">
+        {todo.createdAt && <span>Created {new Date(todo.createdAt).toLocaleString()}</span>}
+        {todo.completed && todo.completedAt && <span> · Completed {new Date(todo.completedAt).toLocaleString()}</span>}
+      </p>
+
+      <div className="editor-actions">
+        <button type="submit">Save</button>
+        <button type="button" onClick={onCancel}>Cancel</button>
+      </div>
+    </form>
+  );
+}
+
+export default TodoEditor;
@@ -1,4 +1,13 @@
 import React, { useState } from 'react';
+import SubtaskList from './SubtaskList.jsx';
+import TagChips from './TagChips.jsx';
+import TodoEditor from './TodoEditor.jsx';
+import Markdown from './Markdown.jsx';
+import { SubtaskModel } from '../model/SubtaskModel';
+import { RecurrenceModel } from '../model/RecurrenceModel';
+import { INBOX_LIST_ID } from '../model/ListModel';
+import { SharingModel } from '../model/SharingModel';
+import { DueTime } from '../model/DueTime';
 
 /**
  * TodoItem.jsx
@@ -6,42 +15,119 @@ import React, { useState } from 'react';
  * VIEW LAYER
  *
  * Represents a single todo item in the UI.
- * Handles local UI state (isEditing) but delegates data changes to props.
+ * Handles local UI state (isExpanded) but delegates data changes to props.
+ * Editing opens the full edit panel (TodoEditor); whether it is open (`isEditing`) is
+ * kept by the ViewModel, so the keyboard can open it too. Notes are shown as Markdown.
  */
-function TodoItem({ todo, toggleComplete, editTodo, deleteTodo }) {
-  const [isEditing, setIsEditing] = useState(false);
-  const [editedText, setEditedText] = useState(todo.text);
+function TodoItem({
+  todo,
+  readOnly,
+  isEditing,
+  setEditing,
+  onSelectTag,
+  toggleComplete,
+  validateTodo,
+  editTodo,
+  deleteTodo,
+  lists,
+  moveToList,
+  addSubtask,
+  toggleSubtask,
+  deleteSubtask,
+  moveSubtask,
+}) {
+  const [isExpanded, setIsExpanded] = useState(false);
 
-  const handleToggleEdit = () => {
-    setIsEditing(!isEditing);
-  };
+  const subtasks = todo.subtasks || [];
+  const progress = SubtaskModel.progress(subtasks);
 
-  const handleSubmitEdit = (e) => {
-    e.preventDefault();
-    editTodo({ text: editedText });
-    setIsEditing(false);
+  const handleSave = (fields) => {
+    editTodo(fields);
+    setEditing(false);
   };
 
   return (
-    <div style={{ textDecoration: todo.completed ? 'line-through' : 'none' }}>
+    <div>
       {isEditing ? (
-        <form onSubmit={handleSubmitEdit}>
-          <input
-            type="text"
-            value={editedText}
-            onChange={(e) => setEditedText(e.target.value)}
-          />
-          <button type="submit">Save</button>
-        </form>
+        <TodoEditor
+          todo={todo}
+          lists={lists}
+          validateTodo={validateTodo}
+          onSave={handleSave}
+          onCancel={() => setEditing(false)}
+        />
       ) : (
-        <>
-          <span>{todo.text} (Due: {todo.dueDate})</span>
-          <button onClick={toggleComplete}>
-            {todo.completed ? 'Mark Incomplete' : 'Mark Complete'}
+        <div style={{ textDecoration: todo.completed ? 'line-through' : 'none' }}>
+          {todo.priority && todo.priority !== 'none' && (
+            <span className={`priority-badge priority-${todo.priority}`}>{todo.priority}</span>
+          )}
+          <span>{todo.text}</span>
+          {todo.dueDate && (
+            <span className="due-badge">
+              {DueTime.status(todo) === 'overdue' ? 'Overdue: ' : 'Due: '}{DueTime.describe(todo)}
+              {todo.reminders?.length > 0 && <span title={`${todo.reminders.length} reminder(s)`}> 🔔</span>}
+            </span>
+          )}
+          <TagChips tags={todo.tags} onSelect={onSelectTag} />
+          {todo.recurrence && (
+            <span className="recurrence-badge" title={RecurrenceModel.describe(todo.recurrence)}>
+              ↻ {RecurrenceModel.describe(todo.recurrence)}
+            </span>
+          )}
+          {!readOnly && (
+            <>
+              <button onClick={toggleComplete}>
+                {todo.completed ? 'Mark Incomplete' : 'Mark Complete'}
+              </button>
+              <button onClick={() => setEditing(true)}>Edit</button>
+              <button onClick={() => deleteTodo()}>Delete</button>
+              <select
+                aria-label="Move to list"
+                value={todo.listId ?? ''}
+                onChange={(e) => moveToList(e.target.value === '' ? INBOX_LIST_ID : Number(e.target.value))}
+              >
+                <option value="">Inbox</option>
+                {lists.filter(list => SharingModel.canEdit(list.role)).map(list => (
+                  <option key={list.id} value={list.id}>{list.name}</option>
+                ))}
+              </select>
+            </>
+          )}
+          <button
+            className="subtask-toggle"
+            aria-expanded={isExpanded}
+            onClick={() => setIsExpanded(!isExpanded)}
+          >
+            {progress.total > 0 ? `Steps ${progress.done}/${progress.total}` : 'Add steps'}
           </button>
-          <button onClick={handleToggleEdit}>Edit</button>
-          <button onClick={() => deleteTodo()}>Delete</button>
-        </>
+          {progress.total > 0 && (
+            <progress className="subtask-progress" value={progress.done} max={progress.total} />
+          )}
+        </div>
+      )}
+      {todo.notes && !isEditing && (
+        <details className="todo-notes">
+          <summary>Notes</summary>
+          <Markdown text={todo.notes} />
+        </details>
+      )}
+      {(todo.createdBy || todo.updatedBy) && (
+        <div className="todo-audit">
+          {todo.createdBy && <span>Created by {todo.createdBy}</span>}
+          {todo.updatedBy && todo.updatedBy !== todo.createdBy && (
+            <span> · Last changed by {todo.updatedBy}</span>
+          )}
+        </div>
+      )}
+      {isExpanded && (
+        <SubtaskList
+          subtasks={subtasks}
+          readOnly={readOnly}
+          addSubtask={addSubtask}
+          toggleSubtask={toggleSubtask}
+          deleteSubtask={deleteSubtask}
+          moveSubtask={moveSubtask}
+        />
       )}
     </div>
   );
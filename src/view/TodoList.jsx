@@ -1,5 +1,11 @@
-import React, { useState } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import TodoItem from './TodoItem.jsx';
+import AddTodoForm from './AddTodoForm.jsx';
+import FilterBar from './FilterBar.jsx';
+import { TodoQuery } from '../model/TodoQuery';
+import { SORT_MODES } from '../model/TodoSort';
+import { DueTime } from '../model/DueTime';
+import { SelectionModel } from '../model/SelectionModel';
 
 /**
  * TodoList.jsx
@@ -9,48 +15,257 @@ import TodoItem from './TodoItem.jsx';
  * This component is part of the View.
  * It receives data (todos) and commands (addTodo, etc.) from the parent View (App),
  * which in turn got them from the ViewModel.
+ * `groups` holds the todos already sorted and grouped by the ViewModel;
+ * the filter bar narrows down each group.
+ * In manual sort mode todos can be reordered by dragging their handle,
+ * or with Alt+Up / Alt+Down while a row has focus.
+ * Rows of overdue todos and todos due today are highlighted (see DueTime.status).
+ * The checkbox of a row selects it for batch commands (see BatchActions); Shift+click
+ * selects a range, and "Select all" picks every todo the filter shows.
+ * The row of the focused todo (`focusedId`, see the ViewModel) is highlighted and gets the
+ * keyboard focus; the row data-todo-id attributes give App the order for j/k navigation.
  */
-function TodoList({ todos, addTodo, toggleComplete, editTodo, deleteTodo }) {
-  const [newTodo, setNewTodo] = useState('');
-  const [dueDate, setDueDate] = useState('');
+function TodoList({
+  title,
+  todos,
+  groups,
+  sortMode,
+  setSortMode,
+  readOnly,
+  addTodo,
+  notificationPermission,
+  toggleComplete,
+  validateTodo,
+  editTodo,
+  deleteTodo,
+  lists,
+  moveTodoToList,
+  reorderTodo,
+  addSubtask,
+  toggleSubtask,
+  deleteSubtask,
+  moveSubtask,
+  selectedIds,
+  selectTodos,
+  focusedId,
+  editingId,
+  focusTodo,
+  startEditing,
+  stopEditing,
+}) {
+  const [query, setQuery] = useState('');
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null); // { id, placement: 'before' | 'after' }
+  const [announcement, setAnnouncement] = useState('');
+  const rowRefs = useRef(new Map());
+  const selectionAnchorRef = useRef(null);
 
-  const handleSubmit = (e) => {
+  const reorderable = sortMode === 'manual' && !readOnly;
+
+  const terms = TodoQuery.parse(query);
+  const filteredGroups = groups
+    .map(group => ({ ...group, todos: group.todos.filter(todo => TodoQuery.matches(todo, terms)) }))
+    .filter(group => group.todos.length > 0);
+  const matchCount = filteredGroups.reduce((count, group) => count + group.todos.length, 0);
+  const shownTodos = filteredGroups.flatMap(group => group.todos);
+  const shownIds = shownTodos.map(todo => todo.id);
+  const allShownSelected = SelectionModel.allSelected(shownIds, selectedIds);
+  const focusedShown = shownIds.includes(focusedId);
+
+  // Move the keyboard focus to the focused todo's row (e.g. after j/k, or when it comes back
+  // from the archive), unless the user is busy elsewhere, such as typing in a field
+  useEffect(() => {
+    const row = rowRefs.current.get(focusedId);
+    const active = document.activeElement;
+    if (!row || row.contains(active)) return;
+    if (active && active !== document.body && !active.closest('[data-todo-id]')) return;
+    row.focus();
+  }, [focusedId, focusedShown]);
+
+  const handleSelect = (e, todo) => {
+    // React fires onChange for checkboxes from the click, which carries the Shift key
+    const ids = e.nativeEvent.shiftKey
+      ? SelectionModel.range(shownIds, selectionAnchorRef.current, todo.id)
+      : [todo.id];
+    selectTodos(ids, e.target.checked);
+    selectionAnchorRef.current = todo.id;
+  };
+
+  /**
+   * Moves a todo before or after another one. "After" means before the next todo
+   * of the whole list, which may be hidden by the filter.
+   */
+  const placeTodo = (id, targetId, placement) => {
+    if (id === targetId) return;
+    if (placement === 'before') {
+      reorderTodo(id, targetId);
+      return;
+    }
+    const targetIndex = todos.findIndex(t => t.id === targetId);
+    const next = todos.slice(targetIndex + 1).find(t => t.id !== id);
+    reorderTodo(id, next ? next.id : null);
+  };
+
+  const handleDragOver = (e, todo) => {
+    if (draggedId === null) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    const rect = e.currentTarget.getBoundingClientRect();
+    const placement = e.clientY < rect.top + rect.height / 2 ? 'before' : 'after';
+    if (dropTarget?.id !== todo.id || dropTarget?.placement !== placement) {
+      setDropTarget({ id: todo.id, placement });
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    if (draggedId !== null && dropTarget) {
+      placeTodo(draggedId, dropTarget.id, dropTarget.placement);
+    }
+    setDraggedId(null);
+    setDropTarget(null);
+  };
+
+  const handleDragEnd = () => {
+    setDraggedId(null);
+    setDropTarget(null);
+  };
+
+  const handleRowKeyDown = (e, todo) => {
+    if (e.target !== e.currentTarget || !e.altKey) return;
+    if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
     e.preventDefault();
-    if (!newTodo.trim()) return;
-    addTodo(newTodo, dueDate);
-    setNewTodo('');
-    setDueDate('');
+
+    const index = shownTodos.findIndex(t => t.id === todo.id);
+    const up = e.key === 'ArrowUp';
+    const neighbour = shownTodos[up ? index - 1 : index + 1];
+    if (!neighbour) return;
+
+    placeTodo(todo.id, neighbour.id, up ? 'before' : 'after');
+    setAnnouncement(`Moved "${todo.text}" to position ${up ? index : index + 2} of ${shownTodos.length}`);
+    // The row is re-inserted at its new place; keep the keyboard focus on it
+    requestAnimationFrame(() => rowRefs.current.get(todo.id)?.focus());
+  };
+
+  const filterByTag = (tag) => {
+    const term = `#${tag}`;
+    if (!query.split(/\s+/).includes(term)) {
+      setQuery(query.trim() ? `${query.trim()} ${term}` : term);
+    }
   };
 
   return (
     <div>
-      <h2>Current Todos</h2>
-      <form onSubmit={handleSubmit}>
-        <input
-          type="text"
-          value={newTodo}
-          onChange={(e) => setNewTodo(e.target.value)}
-          placeholder="Enter a new todo"
-        />
-        <input
-          type="date"
-          value={dueDate}
-          onChange={(e) => setDueDate(e.target.value)}
-        />
-        <button type="submit">Add Todo</button>
-      </form>
-
-      {todos.map((todo) => (
-        <TodoItem
-          key={todo.id}
-          todo={todo}
-          toggleComplete={() => toggleComplete(todo.id)}
-          editTodo={(updatedFields) =>
-            editTodo(todo.id, updatedFields)
-          }
-          deleteTodo={() => deleteTodo(todo.id)}
+      <h2>{title}</h2>
+      {readOnly && <p className="read-only-note">This list is shared with you as a viewer.</p>}
+      {!readOnly && <AddTodoForm addTodo={addTodo} notificationPermission={notificationPermission} />}
+
+      <div className="list-controls">
+        <FilterBar
+          query={query}
+          setQuery={setQuery}
+          matchCount={matchCount}
+          totalCount={todos.length}
         />
+        {!readOnly && shownIds.length > 0 && (
+          <button type="button" onClick={() => selectTodos(shownIds, !allShownSelected)}>
+            {allShownSelected ? 'Deselect all' : `Select all (${shownIds.length})`}
+          </button>
+        )}
+        <label className="sort-select">
+          Sort by
+          <select value={sortMode} onChange={(e) => setSortMode(e.target.value)}>
+            {SORT_MODES.map(mode => (
+              <option key={mode.id} value={mode.id}>{mode.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {filteredGroups.map((group) => (
+        <section key={group.key} className="todo-group">
+          {group.label && <h3 className="todo-group-header">{group.label}</h3>}
+          {group.todos.map((todo) => (
+            <div
+              key={todo.id}
+              ref={(node) => {
+                rowRefs.current.set(todo.id, node);
+                return () => rowRefs.current.delete(todo.id);
+              }}
+              className={[
+                'todo-row',
+                selectedIds.includes(todo.id) && 'selected',
+                focusedId === todo.id && 'focused',
+                DueTime.status(todo) && `due-${DueTime.status(todo)}`,
+                draggedId === todo.id && 'dragging',
+                dropTarget?.id === todo.id && `drop-${dropTarget.placement}`,
+              ].filter(Boolean).join(' ')}
+              data-todo-id={todo.id}
+              tabIndex={reorderable ? 0 : -1}
+              onFocus={() => focusTodo(todo.id)}
+              aria-describedby={reorderable ? 'reorder-hint' : undefined}
+              onKeyDown={reorderable ? (e) => handleRowKeyDown(e, todo) : undefined}
+              onDragOver={reorderable ? (e) => handleDragOver(e, todo) : undefined}
+              onDrop={reorderable ? handleDrop : undefined}
+            >
+              {reorderable && (
+                <span
+                  className="drag-handle"
+                  draggable
+                  title="Drag to reorder"
+                  aria-hidden="true"
+                  onDragStart={(e) => {
+                    setDraggedId(todo.id);
+                    e.dataTransfer.effectAllowed = 'move';
+                    e.dataTransfer.setData('text/plain', String(todo.id));
+                    e.dataTransfer.setDragImage(e.currentTarget.parentElement, 0, 0);
+                  }}
+                  onDragEnd={handleDragEnd}
+                >
+                  ⠿
+                </span>
+              )}
+              {!readOnly && (
+                <input
+                  type="checkbox"
+                  className="select-box"
+                  checked={selectedIds.includes(todo.id)}
+                  onChange={(e) => handleSelect(e, todo)}
+                  aria-label={`Select "${todo.text}"`}
+                />
+              )}
+              <TodoItem
+                todo={todo}
+                readOnly={readOnly}
+                isEditing={editingId === todo.id}
+                setEditing={(editing) => (editing ? startEditing(todo.id) : stopEditing())}
+                onSelectTag={filterByTag}
+                toggleComplete={() => toggleComplete(todo.id)}
+                validateTodo={(fields) => validateTodo(todo.id, fields)}
+                editTodo={(updatedFields) =>
+                  editTodo(todo.id, updatedFields)
+                }
+                deleteTodo={() => deleteTodo(todo.id)}
+                lists={lists}
+                moveToList={(listId) => moveTodoToList(todo.id, listId)}
+                addSubtask={(text) => addSubtask(todo.id, text)}
+                toggleSubtask={(subtaskId) => toggleSubtask(todo.id, subtaskId)}
+                deleteSubtask={(subtaskId) => deleteSubtask(todo.id, subtaskId)}
+                moveSubtask={(subtaskId, offset) => moveSubtask(todo.id, subtaskId, offset)}
+              />
+            </div>
+          ))}
+        </section>
       ))}
+
+      {reorderable && (
+        <>
+          <p id="reorder-hint" className="visually-hidden">
+            Press Alt+Up or Alt+Down to move this todo.
+          </p>
+          <p className="visually-hidden" aria-live="polite">{announcement}</p>
+        </>
+      )}
     </div>
   );
 }
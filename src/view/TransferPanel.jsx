@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { TodoTransfer, TRANSFER_FORMATS } from '../model/TodoTransfer';
+
+/**
+ * TransferPanel.jsx
+ *
+ * VIEW LAYER
+ *
+ * Exports all todos to a file and imports todos from one.
+ * Importing shows a preview first: each entry is marked as ready, duplicate or invalid,
+ * and the user decides whether duplicates are merged (skipped) or imported anyway.
+ * File reading and downloading happen here; parsing, validation and saving are
+ * delegated to the ViewModel commands passed as props.
+ */
+function TransferPanel({ exportTodos, previewImport, importTodos }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [format, setFormat] = useState('json');
+  const [fileName, setFileName] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  const [result, setResult] = useState('');
+
+  const handleExport = () => {
+    const { fileName: downloadName, mimeType, content } = exportTodos(format);
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = downloadName;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const fileFormat = TodoTransfer.formatOf(file.name) || format;
+    setFormat(fileFormat);
+    setFileName(file.name);
+    setResult('');
+    setPreview(previewImport(await file.text(), fileFormat));
+  };
+
+  const handleImport = async () => {
+    const count = await importTodos(preview, { skipDuplicates });
+    setResult(`Imported ${count} ${count === 1 ? 'todo' : 'todos'} from ${fileName}.`);
+    setPreview(null);
+  };
+
+  const valid = preview ? preview.filter(item => item.todo) : [];
+  const duplicates = valid.filter(item => item.duplicate).length;
+  const invalid = preview ? preview.length - valid.length : 0;
+  const toImport = skipDuplicates ? valid.length - duplicates : valid.length;
+
+  const statusOf = (item) => {
+    if (item.error) return item.error;
+    return item.duplicate ? 'Duplicate' : 'Ready';
+  };
+
+  return (
+    <div className="transfer-panel">
+      <button aria-expanded={isOpen} onClick={() => setIsOpen(!isOpen)}>
+        Import / Export
+      </button>
+
+      {isOpen && (
+        <div className="transfer-body">
+          <div className="transfer-controls">
+            <label>
+              Format
+              <select value={format} onChange={(e) => setFormat(e.target.value)}>
+                {TRANSFER_FORMATS.map(f => (
+                  <option key={f.id} value={f.id}>{f.label}</option>
+                ))}
+              </select>
+            </label>
+            <button onClick={handleExport}>Export all todos</button>
+            <label className="transfer-file">
+              Import from file
+              <input
+                type="file"
+                accept={TRANSFER_FORMATS.map(f => `.${f.extension}`).join(',')}
+                onChange={handleFile}
+              />
+            </label>
+          </div>
+
+          {result && <p className="transfer-result">{result}</p>}
+
+          {preview && (
+            <div className="transfer-preview">
+              <p>
+                {fileName}: {valid.length} valid, {duplicates} already in your lists, {invalid} invalid.
+              </p>
+              <table>
+                <thead>
+                  <tr>
+                    <th>Todo</th>
+                    <th>Due</th>
+                    <th>List</th>
+                    <th>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.map((item, index) => (
+                    <tr key={index} className={item.error ? 'transfer-invalid' : item.duplicate ? 'transfer-duplicate' : ''}>
+                      <td>{item.entry.completed ? '✓ ' : ''}{item.entry.text}</td>
+                      <td>{item.entry.dueDate}</td>
+                      <td>{item.list.name ?? 'Inbox'}{item.list.isNew && ' (new)'}</td>
+                      <td>{statusOf(item)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <label className="setting-toggle">
+                <input
+                  type="checkbox"
+                  checked={skipDuplicates}
+                  onChange={(e) => setSkipDuplicates(e.target.checked)}
+                />
+                Merge: skip todos that are already in my lists
+              </label>
+              <div className="transfer-actions">
+                <button onClick={handleImport} disabled={toImport === 0}>
+                  Import {toImport} {toImport === 1 ? 'todo' : 'todos'}
+                </button>
+                <button onClick={() => setPreview(null)}>Cancel</button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TransferPanel;
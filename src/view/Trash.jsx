@@ -0,0 +1,44 @@
+import React from 'react';
+import { TodoModel, TRASH_RETENTION_DAYS } from '../model/TodoModel';
+
+/**
+ * Trash.jsx
+ *
+ * VIEW LAYER
+ *
+ * Displays the deleted todos of the active list. Each can be restored or deleted
+ * permanently; todos are purged automatically after TRASH_RETENTION_DAYS.
+ * Purely presentational: data changes are delegated to props.
+ * With `readOnly` (a list shared with the user as viewer) the actions are hidden.
+ */
+function Trash({ trashedTodos, readOnly, restoreTodo, deleteTrashedTodo, emptyTrash }) {
+  return (
+    <div>
+      <p className="trash-note">
+        Deleted todos are removed for good after {TRASH_RETENTION_DAYS} days.
+        {!readOnly && (
+          <button className="trash-empty" onClick={emptyTrash}>Empty trash</button>
+        )}
+      </p>
+      {trashedTodos.map((todo) => {
+        const daysLeft = TodoModel.trashDaysLeft(todo);
+        return (
+          <div key={todo.id} className="trash-item">
+            <span className="trash-text">{todo.text}</span>
+            <span className="trash-expiry">
+              {daysLeft === 1 ? '1 day left' : `${daysLeft} days left`}
+            </span>
+            {!readOnly && (
+              <>
+                <button onClick={() => restoreTodo(todo.id)}>Restore</button>
+                <button onClick={() => deleteTrashedTodo(todo.id)}>Delete permanently</button>
+              </>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default Trash;
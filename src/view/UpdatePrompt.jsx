@@ -0,0 +1,24 @@
+import React from 'react';
+
+/**
+ * UpdatePrompt.jsx
+ *
+ * VIEW LAYER
+ *
+ * Announces that a new version of the app has been deployed, with a button to
+ * reload into it (see useAppUpdateViewModel). Renders nothing otherwise.
+ * Purely presentational component.
+ */
+function UpdatePrompt({ updateAvailable, applyUpdate, dismissUpdate }) {
+  if (!updateAvailable) return null;
+
+  return (
+    <div className="update-prompt" role="status">
+      <span>A new version of the app is available.</span>
+      <button onClick={applyUpdate}>Reload</button>
+      <button onClick={dismissUpdate} aria-label="Later">×</button>
+    </div>
+  );
+}
+
+export default UpdatePrompt;
@@ -1,6 +1,6 @@
-import React from 'react';
-import { supabase } from '../supabaseClient';
-// import LogoutButton from './LogoutButton.jsx'; // Inlined for simplicity
+import React, { useState } from 'react';
+import SharingPanel from './SharingPanel.jsx';
+import AccountPage from './AccountPage.jsx';
 
 /**
  * UserProfile.jsx
@@ -8,27 +8,70 @@ import { supabase } from '../supabaseClient';
  * VIEW LAYER - Authentication Component
  *
  * Displays the authenticated user's profile information.
- * - Shows Email from Supabase session
- * - Handles Logout
+ * - Shows the avatar, display name and email (see the account ViewModel)
+ * - Opens the sharing panel (invitations and collaborators), badged with pending invitations
+ * - Opens the account page, also when a password reset link asks for a new password
+ * - Handles Logout, after a warning if changes made offline could not be synced first
+ *   (they stay queued in this browser until the user signs in here again)
  */
-function UserProfile({ session }) {
-    const user = session?.user;
+function UserProfile({ lists, sharing, account }) {
+    const { profile, passwordRecovery } = account;
+    const [showSharing, setShowSharing] = useState(false);
+    const [showAccount, setShowAccount] = useState(false);
+    const pendingInvitations = sharing.invitations.length;
+
+    const openAccount = () => {
+        setShowSharing(false);
+        setShowAccount(true);
+        account.loadSessions();
+    };
 
     const handleLogout = async () => {
-        await supabase.auth.signOut();
+        const pendingChanges = await account.signOut();
+        if (pendingChanges > 0 && window.confirm(
+            `${pendingChanges} ${pendingChanges === 1 ? 'change has' : 'changes have'} not been synced yet. `
+            + 'They stay in this browser and are synced the next time you log in here. Log out anyway?'
+        )) {
+            account.signOut({ keepPending: true });
+        }
+    };
+
+    const closeAccount = () => {
+        setShowAccount(false);
+        account.cancelPasswordRecovery();
     };
 
     return (
         <div className="user-profile">
             <div className="user-info">
-                {/* Supabase user object has email but no picture by default unless metadata */}
+                {profile.avatarUrl && <img className="user-avatar" src={profile.avatarUrl} alt="" />}
                 <div className="user-details">
-                    <p className="user-email">{user?.email}</p>
+                    {profile.displayName && <p className="user-name">{profile.displayName}</p>}
+                    <p className="user-email">{profile.email}</p>
                 </div>
             </div>
+            <button
+                className="sharing-button"
+                aria-expanded={showSharing}
+                onClick={() => setShowSharing(!showSharing)}
+            >
+                Sharing
+                {pendingInvitations > 0 && (
+                    <span className="sharing-badge">{pendingInvitations}</span>
+                )}
+            </button>
+            <button className="account-button" onClick={openAccount}>
+                Account
+            </button>
             <button className="logout-button" onClick={handleLogout}>
                 Log Out
             </button>
+            {showSharing && (
+                <SharingPanel lists={lists} {...sharing} />
+            )}
+            {(showAccount || passwordRecovery) && (
+                <AccountPage {...account} onClose={closeAccount} />
+            )}
         </div>
     );
 }
@@ -0,0 +1,252 @@
+import { useState, useEffect } from 'react';
+import { AccountModel } from '../model/AccountModel';
+import { AuthService } from '../service/AuthService';
+
+/**
+ * useAccountViewModel.js
+ *
+ * VIEWMODEL LAYER
+ *
+ * Manages the signed-in user's account page:
+ * - `profile`: email, display name, avatar and sign-in providers, derived from the session
+ *   (profile changes come back as a new session through the auth state listener in App).
+ * - `sessions`: the user's active sessions, loaded when the page opens.
+ * - `passwordRecovery`: set when a password reset link signed the user in, until
+ *   a new password is saved.
+ * - `notice`: the outcome of the last change that needs no error toast
+ *   (e.g. "check your inbox").
+ * - Commands to change the email, display name, avatar and password, revoke sessions
+ *   and delete the account.
+ *
+ * It reports into the same errors stream as useTodoViewModel, through `reportError`.
+ */
+export function useAccountViewModel({ session, reportError }) {
+    const [sessions, setSessions] = useState([]);
+    const [notice, setNotice] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [passwordRecovery, setPasswordRecovery] = useState(AuthService.isRecoveryRedirect);
+
+    const user = session?.user || null;
+    const userId = user?.id || null;
+    const profile = user ? AccountModel.profileOf(user) : null;
+
+    // A password reset link signs the user in; they are then asked for a new password
+    useEffect(() => AuthService.onPasswordRecovery(() => setPasswordRecovery(true)), []);
+
+    // Nothing carries over from another user's account
+    useEffect(() => {
+        setSessions([]);
+        setNotice(null);
+    }, [userId]);
+
+    // Runs an account change, with the buttons disabled while it is in progress
+    const run = async (change) => {
+        setBusy(true);
+        setNotice(null);
+        try {
+            return await change();
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    /**
+     * Loads the user's active sessions.
+     */
+    const loadSessions = async () => {
+        try {
+            setSessions(await AuthService.getSessions());
+        } catch (error) {
+            reportError('Failed to load sessions', error, loadSessions);
+        }
+    };
+
+    /**
+     * Starts changing the user's email; the change is confirmed through emailed links.
+     */
+    const updateEmail = async (email) => {
+        let normalized;
+        try {
+            normalized = AccountModel.validateEmail(email);
+            if (normalized === profile.email) throw new Error('This is already your email address');
+        } catch (error) {
+            reportError('Invalid email', error);
+            return false;
+        }
+
+        return run(async () => {
+            try {
+                await AuthService.updateEmail(normalized);
+                setNotice(`Follow the confirmation link sent to ${normalized} to finish the change.`);
+                return true;
+            } catch (error) {
+                reportError('Failed to change email', error, () => updateEmail(email));
+                return false;
+            }
+        });
+    };
+
+    /**
+     * Sets the user's display name (an empty name removes it).
+     */
+    const updateDisplayName = async (name) => {
+        let displayName;
+        try {
+            displayName = AccountModel.validateDisplayName(name);
+        } catch (error) {
+            reportError('Invalid display name', error);
+            return;
+        }
+
+        await run(async () => {
+            try {
+                await AuthService.updateProfile({ displayName });
+                setNotice('Your display name has been saved.');
+            } catch (error) {
+                reportError('Failed to save display name', error, () => updateDisplayName(name));
+            }
+        });
+    };
+
+    /**
+     * Uploads an image file as the user's avatar.
+     */
+    const uploadAvatar = async (file) => {
+        try {
+            AccountModel.validateAvatar(file);
+        } catch (error) {
+            reportError('Invalid avatar', error);
+            return;
+        }
+
+        await run(async () => {
+            try {
+                await AuthService.uploadAvatar(userId, file);
+            } catch (error) {
+                reportError('Failed to upload avatar', error, () => uploadAvatar(file));
+            }
+        });
+    };
+
+    /**
+     * Removes the user's avatar.
+     */
+    const removeAvatar = async () => {
+        await run(async () => {
+            try {
+                await AuthService.removeAvatar(userId);
+            } catch (error) {
+                reportError('Failed to remove avatar', error, removeAvatar);
+            }
+        });
+    };
+
+    /**
+     * Sets a new password (also ends a password recovery). Resolves with whether it was saved.
+     */
+    const changePassword = async (password, confirmation) => {
+        try {
+            AccountModel.validatePassword(password, confirmation);
+        } catch (error) {
+            reportError('Invalid password', error);
+            return false;
+        }
+
+        return run(async () => {
+            try {
+                await AuthService.updatePassword(password);
+                setPasswordRecovery(false);
+                setNotice('Your password has been changed.');
+                return true;
+            } catch (error) {
+                reportError('Failed to change password', error, () => changePassword(password, confirmation));
+                return false;
+            }
+        });
+    };
+
+    /**
+     * Signs out one of the user's other sessions.
+     */
+    const revokeSession = async (sessionId) => {
+        const revoked = sessions.find(s => s.id === sessionId);
+        if (!revoked || revoked.current) return;
+
+        setSessions(prev => prev.filter(s => s.id !== sessionId));
+        try {
+            await AuthService.revokeSession(sessionId);
+        } catch (error) {
+            setSessions(prev => [...prev, revoked].sort((a, b) => b.lastActiveAt.localeCompare(a.lastActiveAt)));
+            reportError('Failed to sign out session', error, () => revokeSession(sessionId));
+        }
+    };
+
+    /**
+     * Signs out every session but this one.
+     */
+    const signOutOtherSessions = async () => {
+        await run(async () => {
+            try {
+                await AuthService.signOutOtherSessions();
+                setSessions(prev => prev.filter(s => s.current));
+            } catch (error) {
+                reportError('Failed to sign out other sessions', error, signOutOtherSessions);
+            }
+        });
+    };
+
+    /**
+     * Deletes the account and all of its todos; `confirmation` must repeat the user's email.
+     */
+    const deleteAccount = async (confirmation) => {
+        if ((confirmation || '').trim().toLowerCase() !== profile.email.toLowerCase()) {
+            reportError('Account not deleted', new Error('Type your email address to confirm'));
+            return;
+        }
+
+        await run(async () => {
+            try {
+                await AuthService.deleteAccount(userId);
+                setPasswordRecovery(false);
+            } catch (error) {
+                reportError('Failed to delete account', error, () => deleteAccount(confirmation));
+            }
+        });
+    };
+
+    /**
+     * Logs out. Resolves with the number of unsynced changes that kept the user signed in
+     * (see AuthService.signOut); `keepPending` logs out anyway.
+     */
+    const signOut = async ({ keepPending = false } = {}) => {
+        try {
+            const pending = await AuthService.signOut({ keepPending });
+            if (pending === 0) setPasswordRecovery(false);
+            return pending;
+        } catch (error) {
+            reportError('Failed to log out', error, () => signOut({ keepPending }));
+            return 0;
+        }
+    };
+
+    return {
+        profile,
+        sessions,
+        notice,
+        busy,
+        passwordRecovery,
+        loadSessions,
+        updateEmail,
+        updateDisplayName,
+        uploadAvatar,
+        removeAvatar,
+        changePassword,
+        revokeSession,
+        signOutOtherSessions,
+        deleteAccount,
+        signOut,
+        dismissNotice: () => setNotice(null),
+        // Closing the account page without a new password keeps the old one
+        cancelPasswordRecovery: () => setPasswordRecovery(false),
+    };
+}
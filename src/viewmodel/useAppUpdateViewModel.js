@@ -0,0 +1,26 @@
+import { useState, useEffect } from 'react';
+import { AppWorkerService } from '../service/AppWorkerService';
+
+/**
+ * useAppUpdateViewModel.js
+ *
+ * VIEWMODEL LAYER
+ *
+ * Tells the View when a new version of the app has been deployed and is ready
+ * (see AppWorkerService):
+ * - `updateAvailable`: true while an update waits and the prompt was not dismissed.
+ * - `applyUpdate`: switches to the new version and reloads the page.
+ * - `dismissUpdate`: hides the prompt; the update is applied the next time the app is opened.
+ */
+export function useAppUpdateViewModel() {
+    const [updateAvailable, setUpdateAvailable] = useState(false);
+    const [dismissed, setDismissed] = useState(false);
+
+    useEffect(() => AppWorkerService.subscribeUpdate(setUpdateAvailable), []);
+
+    return {
+        updateAvailable: updateAvailable && !dismissed,
+        applyUpdate: AppWorkerService.applyUpdate,
+        dismissUpdate: () => setDismissed(true),
+    };
+}
@@ -0,0 +1,161 @@
+import { useState, useEffect } from 'react';
+import { SharingModel, OWNER_ROLE } from '../model/SharingModel';
+import { SharingService } from '../service/SharingService';
+
+/**
+ * useSharingViewModel.js
+ *
+ * VIEWMODEL LAYER
+ *
+ * Manages sharing of lists with collaborators:
+ * - `invitations`: pending invitations addressed to the current user.
+ * - `members`: collaborators (pending and accepted) of the lists the user owns.
+ * - Commands to invite, accept, decline, change roles and revoke access.
+ *
+ * It works alongside useTodoViewModel: `lists` comes from there, `reportError`
+ * feeds the same errors stream, and `reload` refreshes lists and todos once a
+ * membership change gives or takes away access.
+ */
+export function useSharingViewModel({ userId, userEmail, lists, reportError, reload }) {
+    const [invitations, setInvitations] = useState([]);
+    const [members, setMembers] = useState([]);
+
+    // Ids of the lists the user owns; only owners manage members
+    const ownedListIds = lists
+        .filter(l => l.role === OWNER_ROLE)
+        .map(l => l.id);
+    const ownedListKey = ownedListIds.join(',');
+
+    // Fetch invitations addressed to the user
+    useEffect(() => {
+        if (!userEmail) return;
+
+        SharingService.getInvitations(userEmail)
+            .then(setInvitations)
+            .catch(error => console.error("Failed to fetch invitations:", error));
+    }, [userEmail]);
+
+    // Fetch the members of the lists the user owns
+    useEffect(() => {
+        if (!userId) return;
+
+        const listIds = ownedListKey ? ownedListKey.split(',').map(Number) : [];
+        SharingService.getMembers(listIds)
+            .then(setMembers)
+            .catch(error => console.error("Failed to fetch list members:", error));
+    }, [userId, ownedListKey]);
+
+    /**
+     * Invites a collaborator to one of the user's lists.
+     */
+    const inviteToList = async (listId, email, role) => {
+        let invite;
+        try {
+            invite = SharingModel.validateInvite(email, role, userEmail);
+        } catch (error) {
+            reportError('Invalid invitation', error);
+            return;
+        }
+        if (members.some(m => m.listId === listId && m.email === invite.email)) {
+            reportError('Invalid invitation', new Error(`${invite.email} is already a member of this list`));
+            return;
+        }
+
+        try {
+            const member = await SharingService.invite(listId, invite.email, invite.role, userId);
+            setMembers(prev => [...prev, member]);
+        } catch (error) {
+            reportError('Failed to send invitation', error, () => inviteToList(listId, email, role));
+        }
+    };
+
+    /**
+     * Accepts an invitation; the shared list and its todos appear after reloading.
+     */
+    const acceptInvitation = async (memberId) => {
+        const invitation = invitations.find(i => i.id === memberId);
+        if (!invitation) return;
+
+        setInvitations(prev => prev.filter(i => i.id !== memberId));
+        try {
+            await SharingService.accept(memberId, userId);
+            reload();
+        } catch (error) {
+            setInvitations(prev => [...prev, invitation]);
+            reportError('Failed to accept invitation', error, () => acceptInvitation(memberId));
+        }
+    };
+
+    /**
+     * Declines an invitation.
+     */
+    const declineInvitation = async (memberId) => {
+        const invitation = invitations.find(i => i.id === memberId);
+        if (!invitation) return;
+
+        setInvitations(prev => prev.filter(i => i.id !== memberId));
+        try {
+            await SharingService.remove(memberId);
+        } catch (error) {
+            setInvitations(prev => [...prev, invitation]);
+            reportError('Failed to decline invitation', error, () => declineInvitation(memberId));
+        }
+    };
+
+    /**
+     * Changes a collaborator's role on one of the user's lists.
+     */
+    const changeMemberRole = async (memberId, role) => {
+        const member = members.find(m => m.id === memberId);
+        if (!member) return;
+
+        setMembers(prev => prev.map(m => m.id === memberId ? { ...m, role } : m));
+        try {
+            await SharingService.updateRole(memberId, role);
+        } catch (error) {
+            setMembers(prev => prev.map(m => m.id === memberId ? member : m));
+            reportError('Failed to change role', error, () => changeMemberRole(memberId, role));
+        }
+    };
+
+    /**
+     * Revokes a collaborator's access (or cancels a pending invitation).
+     */
+    const revokeMember = async (memberId) => {
+        const member = members.find(m => m.id === memberId);
+        if (!member) return;
+
+        setMembers(prev => prev.filter(m => m.id !== memberId));
+        try {
+            await SharingService.remove(memberId);
+        } catch (error) {
+            setMembers(prev => [...prev, member]);
+            reportError('Failed to revoke access', error, () => revokeMember(memberId));
+        }
+    };
+
+    /**
+     * Leaves a list someone else shared with the user.
+     */
+    const leaveList = async (listId) => {
+        try {
+            const memberships = await SharingService.getMembers([listId]);
+            const own = memberships.find(m => m.userId === userId);
+            if (own) await SharingService.remove(own.id);
+            reload();
+        } catch (error) {
+            reportError('Failed to leave list', error, () => leaveList(listId));
+        }
+    };
+
+    return {
+        invitations,
+        members,
+        inviteToList,
+        acceptInvitation,
+        declineInvitation,
+        changeMemberRole,
+        revokeMember,
+        leaveList,
+    };
+}
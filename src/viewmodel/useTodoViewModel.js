@@ -1,6 +1,19 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
 import { TodoModel } from '../model/TodoModel';
-import { TodoService } from '../service/TodoService';
+import { SubtaskModel } from '../model/SubtaskModel';
+import { ListModel, INBOX_LIST_ID } from '../model/ListModel';
+import { SharingModel } from '../model/SharingModel';
+import { TodoSort, DEFAULT_SORT_MODE } from '../model/TodoSort';
+import { TodoPosition } from '../model/TodoPosition';
+import { CalendarModel, DEFAULT_VIEW_MODE } from '../model/CalendarModel';
+import { TodoTransfer, TRANSFER_FORMATS } from '../model/TodoTransfer';
+import { CommandHistory } from '../model/CommandHistory';
+import { TodoStats } from '../model/TodoStats';
+import { ReminderModel } from '../model/ReminderModel';
+import { ListService } from '../service/ListService';
+import { GUEST_USER_ID } from '../service/TodoRepository';
+import { PreferencesService } from '../service/PreferencesService';
+import { ReminderService } from '../service/ReminderService';
 
 /**
  * useTodoViewModel.js
@@ -9,7 +22,7 @@ import { TodoService } from '../service/TodoService';
  *
  * This custom hook represents the "ViewModel" in the MVVM pattern.
  * The ViewModel is responsible for:
- * 1. Managing the state of the application (todos, archivedTodos).
+ * 1. Managing the state of the application (todos, archivedTodos, trashedTodos).
  * 2. Exposing data streams or state variables to the View.
  * 3. Exposing commands or methods to handle user interactions (e.g., addTodo, toggleComplete).
  * 4. Acting as a bridge between the Model and the View.
@@ -18,195 +31,1599 @@ import { TodoService } from '../service/TodoService';
  *
  * USER-SCOPED DATA:
  * This ViewModel now accepts a userId parameter to scope todos per user.
- * It uses TodoService to persist data to Supabase.
+ * Todos are stored through the `repository` it is given (see TodoRepository):
+ * TodoService for Supabase, or a backend that keeps them in this browser or in memory.
+ * `remoteStorage` tells the View whether they reach a server, and so whether the sync
+ * status, lists and sharing apply.
+ * The optional userEmail is stamped on todos as createdBy/updatedBy, so changes show
+ * their author right away (the database trigger records the same values).
+ *
+ * OFFLINE SYNC:
+ * With Supabase, TodoService writes to a local store first and replays queued changes when
+ * the connection returns. The ViewModel exposes the sync status to the View and
+ * swaps temporary client ids for server ids once new todos have been synced.
+ *
+ * MUTATION PIPELINE:
+ * Every command snapshots the todos it touches, applies the change optimistically,
+ * and persists it. If the server rejects the write, the snapshot is restored and an
+ * entry is pushed to `errors`, which the View renders as a dismissible toast with a retry action.
+ *
+ * LISTS:
+ * Todos belong to named lists (or to the Inbox when listId is null). The View shows
+ * one list at a time: `visibleTodos`/`visibleArchivedTodos` hold the todos of the
+ * active list, which is remembered per user. Lists shared with the user appear
+ * alongside their own; `canEditActiveList` is false when the user is only a viewer.
+ *
+ * SORTING:
+ * `visibleTodos` is ordered by the user's sort mode (remembered per user), and
+ * `todoGroups` splits it into headed groups (e.g. Overdue / Today) using TodoSort.
+ * In manual mode todos are ordered by their TodoPosition key: reordering gives the
+ * moved todo a key between its new neighbours, so only that one todo is saved.
+ *
+ * VIEW MODES:
+ * `viewMode` (remembered per user) picks how the View shows the active list:
+ * as a list, or on a month, week or agenda calendar (see CalendarModel).
+ * Rescheduling a todo from the calendar goes through `editTodo` like any other edit.
+ * In the 'dashboard' mode `stats` holds TodoStats figures over all active and
+ * archived todos (of every list); it is null otherwise.
+ *
+ * TRASH:
+ * Deleting a todo moves it to the trash (it gets a deletedAt timestamp) instead of
+ * removing it. Trashed todos can be restored or deleted permanently; those older than
+ * TRASH_RETENTION_DAYS are purged when the trash is loaded.
+ *
+ * DUE TIMES AND REMINDERS:
+ * A todo can be due at a time of day (anchored to the time zone it was set in) and carry
+ * reminder presets. Whenever the todos change, the reminders still to come are scheduled
+ * with ReminderService, whose service worker shows them as notifications.
+ * `notificationPermission` reflects the browser permission; it is requested the first
+ * time a todo gets a reminder, or explicitly through `enableNotifications`.
+ *
+ * UNDO / REDO:
+ * Adding, editing, completing, deleting, restoring and unarchiving todos are recorded
+ * in a CommandHistory with the todos' versions before and after. `undo` applies the
+ * inverse changes and `redo` applies them again. A trashed todo simply comes back; one
+ * deleted permanently is re-added with all of its original fields (under a new id,
+ * which later history entries follow).
+ *
+ * BATCH COMMANDS:
+ * `selectedIds` holds the todos (active or archived) picked in the View. completeTodos,
+ * archiveTodos, unarchiveTodos, deleteTodos, rescheduleTodos and moveTodos apply one change
+ * to many todos with a single batched write; todos the backend refuses are rolled back and
+ * reported one by one, and remain selected. Each batch is one undo step.
+ *
+ * KEYBOARD FOCUS:
+ * `focusedId` is the todo that keyboard commands act on, moved with moveFocus through the
+ * active list and then the archive. It follows the todo as it moves between the two;
+ * when the todo leaves the active list (trashed, moved to another list) the focus goes
+ * to its neighbour. `editingId` is the todo whose editor is open (startEditing/stopEditing).
+ *
+ * GUEST MODE:
+ * Signed-out visitors use the app with a `guestRepository` that keeps todos in this browser,
+ * under GUEST_USER_ID. Once they sign in, the ViewModel is given that repository next to the
+ * account's one: if it holds todos, `guestMergePreview` offers them for import (validated and
+ * checked for duplicates like a file import), and `mergeGuestTodos` imports them, removes the
+ * local copies and leaves a `guestMergeSummary`.
+ *
+ * IMPORT / EXPORT:
+ * `exportTodos` serializes every todo (active and archived) with TodoTransfer.
+ * Importing is two-step: `previewImport` parses a file and validates each entry through
+ * TodoModel.create, flagging invalid entries and duplicates of existing todos; the View
+ * shows that preview, and `importTodos` bulk-inserts the chosen entries, creating any
+ * missing lists first.
+ *
+ * REALTIME:
+ * Changes made on other devices arrive through a Supabase Realtime subscription.
+ * They are held back while local mutations or a sync replay are in flight (so the
+ * echo of our own writes cannot duplicate or flicker an optimistic todo) and are
+ * merged into `todos`/`archivedTodos`/`trashedTodos` once the pipeline is idle.
  */
-export function useTodoViewModel(userId = 'anonymous') {
+
+// Incrementing id for entries in the errors stream
+let nextErrorId = 1;
+
+// Incrementing id for entries in the undo/redo history
+let nextHistoryId = 1;
+
+// How late a reminder may still be shown (e.g. after the device wakes up)
+const REMINDER_GRACE_MS = 60 * 60 * 1000;
+
+/**
+ * Names the state list a todo belongs to: trashed todos (deletedAt) go to the trash,
+ * archived ones (archivedAt) to the archive, everything else to the active list.
+ */
+const listNameOf = (todo) => {
+    if (todo.deletedAt) return 'trashedTodos';
+    if (todo.archivedAt) return 'archivedTodos';
+    return 'todos';
+};
+
+/**
+ * Applies a remote change to one of the three lists, named by `listName`.
+ */
+const mergeRemoteChange = (list, change, listName) => {
+    const id = change.type === 'DELETE' ? change.id : change.todo.id;
+    const index = list.findIndex(t => t.id === id);
+
+    const belongsHere = change.type !== 'DELETE' && listNameOf(change.todo) === listName;
+    if (!belongsHere) {
+        return index === -1 ? list : list.filter(t => t.id !== id);
+    }
+    if (index === -1) {
+        return [...list, change.todo];
+    }
+    const next = [...list];
+    next[index] = change.todo;
+    return next;
+};
+export function useTodoViewModel(userId = 'anonymous', userEmail = null, { repository, guestRepository = null }) {
     // State to hold the list of active todos
     const [todos, setTodos] = useState([]);
 
-    // State to hold the list of archived todos (Supabase doesn't have archive table yet, so we filter locally or need schema change. 
-    // For now, we will assume 'completed' ones can be archived or just kept as completed. 
-    // The previous implementation had a separate archive list. 
-    // To keep it simple and consistent with the new DB schema, we might just fetch all and filter?
-    // Or we can stick to the plan: "Refactor ViewModel to use Supabase".
-    // The DB schema has 'completed'. 
-    // Let's fetch all todos and split them if needed, or just keep 'todos' as the main list.
-    // The previous app had explicit 'archive' action. 
-    // For this refactor, let's keep it simple: fetch all.
+    // State to hold the list of archived todos.
+    // A todo is archived when its archivedAt timestamp is set; completion alone
+    // does not archive it, so completed todos stay visible until archived explicitly.
     const [archivedTodos, setArchivedTodos] = useState([]);
 
-    // Fetch todos on mount or when userId changes
+    // State to hold the todos in the trash (soft-deleted, with a deletedAt timestamp)
+    const [trashedTodos, setTrashedTodos] = useState([]);
+
+    // State to hold the errors stream ({ id, message, detail, retry })
+    const [errors, setErrors] = useState([]);
+
+    // Bumped to re-run the initial fetch (e.g. when retrying a failed load)
+    const [reloadToken, setReloadToken] = useState(0);
+
+    // Latest lists, so snapshots and retries never work on a stale render
+    const listsRef = useRef({ todos, archivedTodos, trashedTodos });
+    useEffect(() => {
+        listsRef.current = { todos, archivedTodos, trashedTodos };
+    });
+
+    // State to hold the sync status ({ pending, syncing, online, lastSyncedAt, lastError })
+    const [syncStatus, setSyncStatus] = useState(repository.getSyncStatus());
+
+    // State to hold the user's lists, and the id of the list shown in the View
+    const [lists, setLists] = useState([]);
+    const [activeListId, setActiveListIdState] = useState(INBOX_LIST_ID);
+
+    // Preference: complete a todo automatically once all of its subtasks are done
+    const [autoCompleteParent, setAutoCompleteParentState] = useState(false);
+
+    // Preference: how the active list is sorted (see TodoSort.SORT_MODES)
+    const [sortMode, setSortModeState] = useState(DEFAULT_SORT_MODE);
+
+    // Preference: list or calendar view (see CalendarModel.VIEW_MODES)
+    const [viewMode, setViewModeState] = useState(DEFAULT_VIEW_MODE);
+
+    // Load per-user preferences when the user changes
+    useEffect(() => {
+        setAutoCompleteParentState(PreferencesService.get(userId, 'autoCompleteParent', false));
+        setActiveListIdState(PreferencesService.get(userId, 'activeListId', INBOX_LIST_ID));
+        setSortModeState(PreferencesService.get(userId, 'sortMode', DEFAULT_SORT_MODE));
+        const storedViewMode = PreferencesService.get(userId, 'viewMode', DEFAULT_VIEW_MODE);
+        setViewModeState(CalendarModel.isViewMode(storedViewMode) ? storedViewMode : DEFAULT_VIEW_MODE);
+    }, [userId]);
+
+    // Browser notification permission: 'granted', 'denied', 'default' or 'unsupported'
+    const [notificationPermission, setNotificationPermission] = useState(ReminderService.getPermission());
+
+    // Undo/redo stacks (see CommandHistory), and the ids restored todos were re-added under
+    const [history, setHistory] = useState(CommandHistory.empty());
+    const aliasesRef = useRef({});
+    const undoingRef = useRef(false);
+
+    // Each user has their own history
+    useEffect(() => {
+        setHistory(CommandHistory.empty());
+        aliasesRef.current = {};
+    }, [userId]);
+
+    // Ids of the todos selected for batch commands (active or archived), cleared on a change of user or list
+    const [selectedIds, setSelectedIds] = useState([]);
+    useEffect(() => setSelectedIds([]), [userId, activeListId]);
+
+    // Todo focused for keyboard commands, and the todo open in the editor (see KEYBOARD FOCUS)
+    const [focusedId, setFocusedId] = useState(null);
+    const [editingId, setEditingId] = useState(null);
+    useEffect(() => {
+        setFocusedId(null);
+        setEditingId(null);
+    }, [userId, activeListId]);
+
+    // Remote changes waiting for local mutations and sync replays to settle
+    const remoteChangesRef = useRef([]);
+    const inFlightRef = useRef(0);
+    const syncingRef = useRef(false);
+
+    /**
+     * Merges buffered remote changes once no local write is in flight.
+     */
+    const drainRemoteChanges = useCallback(() => {
+        if (inFlightRef.current > 0 || syncingRef.current) return;
+        const changes = remoteChangesRef.current;
+        if (changes.length === 0) return;
+
+        remoteChangesRef.current = [];
+        const merge = (listName) => (prev) =>
+            changes.reduce((list, change) => mergeRemoteChange(list, change, listName), prev);
+        setTodos(merge('todos'));
+        setArchivedTodos(merge('archivedTodos'));
+        setTrashedTodos(merge('trashedTodos'));
+    }, []);
+
+    // Follow sync progress and replace temporary ids with the ids assigned by the server
+    useEffect(() => {
+        const remapIds = (idMap) => (list) =>
+            list.some(t => idMap[t.id] !== undefined)
+                ? list.map(t => idMap[t.id] !== undefined ? { ...t, id: idMap[t.id] } : t)
+                : list;
+
+        return repository.subscribeSync((status, idMap) => {
+            setSyncStatus(status);
+            setTodos(remapIds(idMap));
+            setArchivedTodos(remapIds(idMap));
+            setTrashedTodos(remapIds(idMap));
+            setSelectedIds(prev => (prev.some(id => idMap[id] !== undefined) ? prev.map(id => idMap[id] ?? id) : prev));
+            setFocusedId(prev => idMap[prev] ?? prev);
+            setEditingId(prev => idMap[prev] ?? prev);
+            syncingRef.current = status.syncing;
+            drainRemoteChanges();
+        });
+    }, [repository, drainRemoteChanges]);
+
+    // Subscribe to changes made on other devices; unsubscribes when the user changes
+    useEffect(() => {
+        if (!userId || userId === 'anonymous') return;
+
+        remoteChangesRef.current = [];
+        const unsubscribe = repository.subscribeChanges(userId, (change) => {
+            remoteChangesRef.current.push(change);
+            drainRemoteChanges();
+        });
+
+        return () => {
+            unsubscribe();
+            remoteChangesRef.current = [];
+        };
+    }, [repository, userId, drainRemoteChanges]);
+
+    // Reschedule reminders whenever the todos change.
+    // Reminders from the last hour are kept so the service worker can still show a late one.
+    useEffect(() => {
+        if (notificationPermission !== 'granted') return;
+        ReminderService.schedule(ReminderModel.schedule(todos, new Date(Date.now() - REMINDER_GRACE_MS)));
+    }, [todos, notificationPermission]);
+
+    // Fetch todos on mount or when userId changes.
+    // A fetch started for a previous repository or user is ignored once it resolves.
     useEffect(() => {
         if (!userId) return;
+        let cancelled = false;
 
         const loadTodos = async () => {
             try {
-                const fetchedTodos = await TodoService.getAllTodos();
-                // Filter for current user if RLS isn't enough or for client-side safety
-                // (RLS should handle it, but we pass userId to service for inserts)
-
-                // In the previous local storage version, we had separate 'todos' and 'archivedTodos'.
-                // Here, we'll just put everything in 'todos' for now, or maybe filter completed ones?
-                // Let's just load everything into 'todos' and let the view handle it?
-                // Or better, let's maintain the API: todos and archivedTodos.
-                // Maybe 'archived' means completed?
-                // The previous code: "archiveCompleted" moved completed todos to "archivedTodos".
-                // So let's say:
-                // todos = active (not completed)
-                // archivedTodos = completed
-                // This changes the semantics slightly (completed vs archived), but it maps well to a single table.
-
-                // However, the user might want to keep "completed but not archived" state.
-                // But the DB schema only has 'completed'.
-                // Let's assume for this integration: 
-                // - Active list = !completed
-                // - Archive list = completed
-
-                const active = fetchedTodos.filter(t => !t.completed);
-                const completed = fetchedTodos.filter(t => t.completed);
+                const fetchedTodos = await repository.getAllTodos(userId);
+                if (cancelled) return;
+                // RLS scopes the rows to the current user; split them by archive state.
+                const active = fetchedTodos.filter(t => !t.archivedAt);
+                const archived = fetchedTodos.filter(t => t.archivedAt);
 
                 setTodos(active);
-                setArchivedTodos(completed);
+                setArchivedTodos(archived);
             } catch (error) {
                 console.error("Failed to fetch todos:", error);
+                if (cancelled) return;
+                setErrors(prev => [...prev, {
+                    id: nextErrorId++,
+                    message: 'Failed to load todos',
+                    detail: error.message,
+                    retry: () => setReloadToken(n => n + 1),
+                }]);
             }
         };
 
         loadTodos();
-    }, [userId]);
+        return () => {
+            cancelled = true;
+        };
+    }, [repository, userId, reloadToken]);
+
+    // Fetch the trash on mount or when userId changes, purging todos past their retention period
+    useEffect(() => {
+        if (!userId) return;
+        let cancelled = false;
+
+        const loadTrash = async () => {
+            try {
+                const trashed = await repository.getTrashedTodos(userId);
+                if (cancelled) return;
+                const expired = trashed.filter(t => TodoModel.isTrashExpired(t));
+                setTrashedTodos(trashed.filter(t => !TodoModel.isTrashExpired(t)));
+
+                for (const todo of expired) {
+                    // Purge only through the repository the trash was read from
+                    if (cancelled) return;
+                    try {
+                        await repository.deleteTodo(todo.id);
+                    } catch (error) {
+                        // Left for the next load (e.g. a shared todo only its list's editors may purge)
+                        console.error("Failed to purge trashed todo:", error);
+                    }
+                }
+            } catch (error) {
+                console.error("Failed to fetch trash:", error);
+                if (cancelled) return;
+                setErrors(prev => [...prev, {
+                    id: nextErrorId++,
+                    message: 'Failed to load trash',
+                    detail: error.message,
+                    retry: () => setReloadToken(n => n + 1),
+                }]);
+            }
+        };
+
+        loadTrash();
+        return () => {
+            cancelled = true;
+        };
+    }, [repository, userId, reloadToken]);
+
+    // Todos kept in this browser while signed out, offered for merging once signed in
+    const [guestTodos, setGuestTodos] = useState([]);
+    const [guestMergeSummary, setGuestMergeSummary] = useState(null);
+
+    useEffect(() => {
+        setGuestTodos([]);
+        setGuestMergeSummary(null);
+        if (!userId || !guestRepository || userId === GUEST_USER_ID) return;
+        let cancelled = false;
+
+        guestRepository.getAllTodos(GUEST_USER_ID)
+            .then(fetched => {
+                if (!cancelled) setGuestTodos(fetched);
+            })
+            .catch(error => console.error("Failed to fetch guest todos:", error));
+        return () => {
+            cancelled = true;
+        };
+    }, [guestRepository, userId]);
+
+    // Fetch lists on mount or when userId changes.
+    // Lists live in Supabase, so backends that keep todos on this device only have just the Inbox.
+    useEffect(() => {
+        if (!userId || !repository.remote) return;
+        let cancelled = false;
+
+        const loadLists = async () => {
+            try {
+                const fetchedLists = await ListService.getAllLists(userId);
+                if (!cancelled) setLists(fetchedLists);
+            } catch (error) {
+                console.error("Failed to fetch lists:", error);
+                if (cancelled) return;
+                setErrors(prev => [...prev, {
+                    id: nextErrorId++,
+                    message: 'Failed to load lists',
+                    detail: error.message,
+                    retry: () => setReloadToken(n => n + 1),
+                }]);
+            }
+        };
+
+        loadLists();
+        return () => {
+            cancelled = true;
+        };
+    }, [repository, userId, reloadToken]);
+
+    // Todos of the active list, sorted and grouped by the user's sort mode
+    const visibleTodos = TodoSort.sort(
+        todos.filter(t => (t.listId ?? INBOX_LIST_ID) === activeListId),
+        sortMode
+    );
+    const todoGroups = TodoSort.group(visibleTodos, sortMode);
+    const visibleArchivedTodos = archivedTodos.filter(t => (t.listId ?? INBOX_LIST_ID) === activeListId);
+    const visibleTrashedTodos = trashedTodos.filter(t => (t.listId ?? INBOX_LIST_ID) === activeListId);
+
+    // Keyboard focus order: the active todos as grouped, then the archived ones
+    const focusOrder = [...todoGroups.flatMap(group => group.todos), ...visibleArchivedTodos].map(t => t.id);
+    const focusOrderRef = useRef(focusOrder);
+    useEffect(() => {
+        const previous = focusOrderRef.current;
+        focusOrderRef.current = focusOrder;
+        if (editingId !== null && !visibleTodos.some(t => t.id === editingId)) setEditingId(null);
+        if (focusedId === null || focusOrder.includes(focusedId)) return;
+
+        // Saved under a new id
+        const resolvedId = repository.resolveId(focusedId);
+        if (focusOrder.includes(resolvedId)) {
+            setFocusedId(resolvedId);
+            return;
+        }
+        // Gone from the active list (trashed, moved to another list): focus the next todo
+        // that is still there, or else the previous one
+        const index = previous.indexOf(focusedId);
+        const neighbour = index === -1
+            ? null
+            : [...previous.slice(index + 1), ...previous.slice(0, index).reverse()].find(id => focusOrder.includes(id));
+        setFocusedId(neighbour ?? null);
+    }, [focusOrder, focusedId, editingId, visibleTodos, repository]);
+
+    // Dashboard figures, only computed while the dashboard is shown
+    const stats = viewMode === 'dashboard' ? TodoStats.summarize([...todos, ...archivedTodos], lists) : null;
+
+    // The Inbox is always the user's own; shared lists may be read-only
+    const activeList = lists.find(l => l.id === activeListId);
+    const canEditActiveList = !activeList || SharingModel.canEdit(activeList.role);
 
     /**
-     * Adds a new todo to the list.
-     * Uses the Model to create a valid todo object.
+     * Pushes an entry to the errors stream.
+     * Pass `retry` to let the user repeat the failed command.
      */
-    const addTodo = async (text, dueDate) => {
+    const reportError = (message, error, retry = null) => {
+        console.error(`${message}:`, error);
+        setErrors(prev => [...prev, { id: nextErrorId++, message, detail: error.message, retry }]);
+    };
+
+    /**
+     * Removes an entry from the errors stream.
+     */
+    const dismissError = (errorId) => {
+        setErrors(prev => prev.filter(e => e.id !== errorId));
+    };
+
+    /**
+     * Dismisses an entry from the errors stream and runs its retry action.
+     */
+    const retryError = (errorId) => {
+        const entry = errors.find(e => e.id === errorId);
+        dismissError(errorId);
+        if (entry?.retry) entry.retry();
+    };
+
+    /**
+     * Records the current version and position of the given todos in the three lists.
+     * Ids that are in no list (e.g. a todo being added) are recorded as absent.
+     */
+    const snapshotTodos = (ids) => {
+        const current = listsRef.current;
+        return ids.map(id => {
+            for (const list of ['todos', 'archivedTodos', 'trashedTodos']) {
+                const index = current[list].findIndex(t => t.id === id);
+                if (index !== -1) return { id, list, index, todo: current[list][index] };
+            }
+            return { id, list: null };
+        });
+    };
+
+    /**
+     * Puts the snapshotted todos back where they were, leaving every other todo untouched.
+     */
+    const restoreSnapshot = (snapshot) => {
+        const ids = new Set(snapshot.map(entry => entry.id));
+        const rebuild = (listName) => (prev) => {
+            const next = prev.filter(t => !ids.has(t.id));
+            snapshot
+                .filter(entry => entry.list === listName)
+                .sort((a, b) => a.index - b.index)
+                .forEach(entry => next.splice(Math.min(entry.index, next.length), 0, entry.todo));
+            return next;
+        };
+        setTodos(rebuild('todos'));
+        setArchivedTodos(rebuild('archivedTodos'));
+        setTrashedTodos(rebuild('trashedTodos'));
+    };
+
+    /**
+     * Runs a command through the mutation pipeline:
+     * snapshot the touched todos, apply the optimistic change, persist it,
+     * and roll back and report an error (with a retry action) if persisting fails.
+     * Resolves with true if the change was saved.
+     */
+    const runMutation = async ({ ids, apply, persist, errorMessage }) => {
+        const snapshot = snapshotTodos(ids);
+        inFlightRef.current += 1;
+        apply();
         try {
-            const newTodoModel = TodoModel.create(text, dueDate);
-            // Optimistic update
-            setTodos(prev => [...prev, newTodoModel]);
+            await persist();
+            return true;
+        } catch (error) {
+            restoreSnapshot(snapshot);
+            reportError(errorMessage, error, () => runMutation({ ids, apply, persist, errorMessage }));
+            return false;
+        } finally {
+            inFlightRef.current -= 1;
+            drainRemoteChanges();
+        }
+    };
+
+    /**
+     * Active todos of a list in manual order, optionally leaving one todo out.
+     */
+    const manualOrder = (listId, excludeId = null) => TodoSort.sort(
+        listsRef.current.todos.filter(t => (t.listId ?? INBOX_LIST_ID) === listId && t.id !== excludeId),
+        'manual'
+    );
+
+    /**
+     * Records a saved command in the undo history.
+     * `changes` lists { before, after } versions of each touched todo (see CommandHistory).
+     */
+    const recordCommand = (label, changes) => {
+        const entry = { id: nextHistoryId++, label, changes: changes.filter(Boolean) };
+        setHistory(prev => CommandHistory.push(prev, entry));
+    };
 
-            const savedTodo = await TodoService.addTodo(newTodoModel, userId);
+    /**
+     * Returns the id a todo recorded in the history has now:
+     * restored todos are re-added under a new id, and temporary ids are replaced on sync.
+     */
+    const currentId = (id) => {
+        let current = id;
+        while (aliasesRef.current[current] !== undefined) current = aliasesRef.current[current];
+        return repository.resolveId(current);
+    };
 
-            // Update with real ID from DB
-            setTodos(prev => prev.map(t => t === newTodoModel ? savedTodo : t));
+    /**
+     * Saves a new todo, replacing its temporary id with the one assigned on save.
+     */
+    const saveNewTodo = async (newTodoModel) => {
+        const savedTodo = await repository.addTodo(newTodoModel, userId);
+        // Update with real ID from DB
+        const replace = (prev) => prev.map(t => t.id === newTodoModel.id ? savedTodo : t);
+        setTodos(replace);
+        setArchivedTodos(replace);
+        setTrashedTodos(replace);
+    };
+
+    /**
+     * Builds the next occurrence of a recurring todo that is being completed, placed right
+     * below it in manual order, or returns null if the todo does not recur (any more) or is
+     * archived. The next occurrence takes over the rule, so the caller clears it on `todo`.
+     */
+    const nextOccurrenceOf = (todo) => {
+        const nextTodo = todo.archivedAt ? null : TodoModel.nextOccurrence(todo);
+        if (!nextTodo) return null;
+        const siblings = manualOrder(todo.listId ?? INBOX_LIST_ID);
+        const index = siblings.findIndex(t => t.id === todo.id);
+        nextTodo.position = TodoPosition.at(siblings, index === -1 ? siblings.length : index + 1);
+        nextTodo.createdBy = userEmail;
+        nextTodo.updatedBy = userEmail;
+        return nextTodo;
+    };
+
+    /**
+     * Adds a new todo to the list.
+     * Uses the Model to create a valid todo object.
+     * `fields` carries optional properties such as `recurrence`.
+     * New todos go to the end of the active list unless `fields.listId` says otherwise.
+     */
+    const addTodo = async (text, dueDate, fields = {}) => {
+        let newTodoModel;
+        try {
+            const listId = fields.listId ?? activeListId;
+            const siblings = manualOrder(listId);
+            newTodoModel = TodoModel.create(text, dueDate, {
+                listId,
+                position: TodoPosition.at(siblings, siblings.length),
+                ...fields,
+            });
         } catch (error) {
-            console.error("Failed to create todo:", error.message);
-            // Revert optimistic update if needed
+            reportError('Invalid todo', error);
+            return;
         }
+        newTodoModel.createdBy = userEmail;
+        newTodoModel.updatedBy = userEmail;
+        if (newTodoModel.reminders.length > 0) enableNotifications();
+
+        const saved = await runMutation({
+            ids: [newTodoModel.id],
+            apply: () => setTodos(prev => [...prev, newTodoModel]),
+            persist: () => saveNewTodo(newTodoModel),
+            errorMessage: 'Failed to create todo',
+        });
+        if (saved) recordCommand(`Added "${newTodoModel.text}"`, [{ before: null, after: newTodoModel }]);
     };
 
     /**
      * Toggles the completion status of a todo.
+     * The todo stays in its current list; archiving is a separate step.
+     * Completing stamps completedAt, which the statistics dashboard counts.
+     * Completing a recurring todo creates its next occurrence, which takes over the rule.
      */
     const toggleComplete = async (id) => {
         const todo = todos.find(t => t.id === id) || archivedTodos.find(t => t.id === id);
         if (!todo) return;
 
-        const updatedTodo = { ...todo, completed: !todo.completed };
+        const updatedTodo = { ...TodoModel.withCompletion(todo, !todo.completed), updatedBy: userEmail };
+        const setList = updatedTodo.archivedAt ? setArchivedTodos : setTodos;
+
+        const nextTodo = updatedTodo.completed ? nextOccurrenceOf(todo) : null;
+        if (nextTodo) updatedTodo.recurrence = null;
+
+        const saved = await runMutation({
+            ids: nextTodo ? [id, nextTodo.id] : [id],
+            apply: () => {
+                setList(prev => prev.map(t => t.id === id ? updatedTodo : t));
+                if (nextTodo) setTodos(prev => [...prev, nextTodo]);
+            },
+            persist: async () => {
+                await repository.updateTodo(updatedTodo);
+                if (nextTodo) await saveNewTodo(nextTodo);
+            },
+            errorMessage: 'Failed to update todo',
+        });
+        if (saved) {
+            recordCommand(
+                `${updatedTodo.completed ? 'Completed' : 'Reopened'} "${todo.text}"`,
+                [{ before: todo, after: updatedTodo }, nextTodo && { before: null, after: nextTodo }]
+            );
+        }
+    };
+
+    /**
+     * Checks edited fields of a todo without saving them (see TodoModel.validateFields).
+     * Returns a message for each invalid field, keyed by field name; empty when all are valid.
+     */
+    const validateTodo = (id, updatedFields) =>
+        TodoModel.validateFields(updatedFields, todos.find(t => t.id === id) || null).errors;
+
+    /**
+     * Edits the text or properties of an existing todo.
+     * The fields are validated by the Model (see validateTodo); a changed due time
+     * is anchored to this device's time zone unless `timeZone` is given, a change of
+     * `completed` stamps or clears completedAt, and a todo moved to another list
+     * goes to the end of it. Completing a recurring todo creates its next occurrence,
+     * as toggleComplete does.
+     */
+    const editTodo = async (id, updatedFields) => {
+        const todo = todos.find(t => t.id === id);
+        if (!todo) return;
+
+        const { values, errors } = TodoModel.validateFields(updatedFields, todo);
+        const [firstError] = Object.values(errors);
+        if (firstError) {
+            reportError('Invalid todo', new Error(firstError));
+            return;
+        }
+        const fields = { ...updatedFields, ...values };
+        const listId = fields.listId ?? INBOX_LIST_ID;
+        if ('listId' in fields && !('position' in fields) && listId !== (todo.listId ?? INBOX_LIST_ID)) {
+            const siblings = manualOrder(listId, id);
+            fields.position = TodoPosition.at(siblings, siblings.length);
+        }
+        if (fields.reminders?.length > 0) enableNotifications();
+        const edited = { ...todo, ...fields };
+        const updatedTodo = {
+            ...('completed' in fields ? TodoModel.withCompletion({ ...edited, completed: todo.completed }, fields.completed) : edited),
+            updatedBy: userEmail,
+        };
+        const nextTodo = updatedTodo.completed && !todo.completed ? nextOccurrenceOf(edited) : null;
+        if (nextTodo) updatedTodo.recurrence = null;
+
+        const saved = await runMutation({
+            ids: nextTodo ? [id, nextTodo.id] : [id],
+            apply: () => {
+                setTodos(prev => prev.map(t => t.id === id ? updatedTodo : t));
+                if (nextTodo) setTodos(prev => [...prev, nextTodo]);
+            },
+            persist: async () => {
+                await repository.updateTodo(updatedTodo);
+                if (nextTodo) await saveNewTodo(nextTodo);
+            },
+            errorMessage: 'Failed to edit todo',
+        });
+        if (saved) {
+            recordCommand(
+                `Edited "${todo.text}"`,
+                [{ before: todo, after: updatedTodo }, nextTodo && { before: null, after: nextTodo }]
+            );
+        }
+    };
+
+    /**
+     * Moves a todo from the active list or the archive to the trash.
+     */
+    const trashTodo = async (id, errorMessage) => {
+        const todo = todos.find(t => t.id === id) || archivedTodos.find(t => t.id === id);
+        if (!todo) return;
+
+        const trashedTodo = { ...todo, deletedAt: new Date().toISOString(), updatedBy: userEmail };
+
+        const saved = await runMutation({
+            ids: [id],
+            apply: () => {
+                setTodos(prev => prev.filter(t => t.id !== id));
+                setArchivedTodos(prev => prev.filter(t => t.id !== id));
+                setTrashedTodos(prev => [...prev, trashedTodo]);
+            },
+            persist: () => repository.updateTodo(trashedTodo),
+            errorMessage,
+        });
+        if (saved) recordCommand(`Moved "${todo.text}" to the trash`, [{ before: todo, after: trashedTodo }]);
+    };
+
+    /**
+     * Deletes a todo from the active list (it goes to the trash).
+     */
+    const deleteTodo = (id) => trashTodo(id, 'Failed to delete todo');
+
+    /**
+     * Archives all completed todos of the active list, with one batched write
+     * (see archiveTodos): only the todos the backend could not archive are put back.
+     */
+    const archiveCompleted = () => archiveTodos(visibleTodos.filter(t => t.completed).map(t => t.id));
+
+    /**
+     * Unarchives a todo, moving it back to the active list.
+     * It is marked as incomplete upon unarchiving.
+     */
+    const unarchiveTodo = async (id) => {
+        const todo = archivedTodos.find(t => t.id === id);
+        if (!todo) return;
+
+        const updatedTodo = { ...TodoModel.withCompletion(todo, false), archivedAt: null, updatedBy: userEmail };
+
+        const saved = await runMutation({
+            ids: [id],
+            apply: () => {
+                setArchivedTodos(prev => prev.filter(t => t.id !== id));
+                setTodos(prev => [...prev.filter(t => t.id !== id), updatedTodo]);
+            },
+            persist: () => repository.updateTodo(updatedTodo),
+            errorMessage: 'Failed to unarchive todo',
+        });
+        if (saved) recordCommand(`Unarchived "${todo.text}"`, [{ before: todo, after: updatedTodo }]);
+    };
+
+    /**
+     * Deletes a todo from the archive (it goes to the trash).
+     */
+    const deleteArchivedTodo = (id) => trashTodo(id, 'Failed to delete archived todo');
+
+    /**
+     * Takes a todo out of the trash, back to the active list or the archive it came from.
+     */
+    const restoreTodo = async (id) => {
+        const todo = trashedTodos.find(t => t.id === id);
+        if (!todo) return;
+
+        const restoredTodo = { ...todo, deletedAt: null, updatedBy: userEmail };
+        const setList = restoredTodo.archivedAt ? setArchivedTodos : setTodos;
+
+        const saved = await runMutation({
+            ids: [id],
+            apply: () => {
+                setTrashedTodos(prev => prev.filter(t => t.id !== id));
+                setList(prev => [...prev.filter(t => t.id !== id), restoredTodo]);
+            },
+            persist: () => repository.updateTodo(restoredTodo),
+            errorMessage: 'Failed to restore todo',
+        });
+        if (saved) recordCommand(`Restored "${todo.text}"`, [{ before: todo, after: restoredTodo }]);
+    };
+
+    /**
+     * Permanently deletes the given todos from the trash, with one batched write.
+     * Todos the backend could not delete are put back and reported one by one.
+     */
+    const purgeTodos = async (toPurge, label) => {
+        if (toPurge.length === 0) return;
+        const ids = toPurge.map(t => t.id);
+        const snapshot = snapshotTodos(ids);
+        let failedIds = [];
+
+        const saved = await runMutation({
+            ids,
+            apply: () => setTrashedTodos(prev => prev.filter(t => !ids.includes(t.id))),
+            persist: async () => {
+                ({ failedIds } = await repository.deleteTodos(ids));
+            },
+            errorMessage: 'Failed to delete todo permanently',
+        });
+        if (!saved) return;
+
+        const failed = toPurge.filter(t => failedIds.includes(t.id));
+        restoreSnapshot(snapshot.filter(entry => failedIds.includes(entry.id)));
+        failed.forEach(todo => reportError(
+            `Failed to delete todo permanently: "${todo.text}"`,
+            new Error('It may not be deleted by you, or was deleted in the meantime'),
+            () => deleteTrashedTodo(todo.id)
+        ));
+        const deleted = toPurge.filter(t => !failedIds.includes(t.id));
+        if (deleted.length > 0) recordCommand(label, deleted.map(todo => ({ before: todo, after: null })));
+    };
+
+    /**
+     * Permanently deletes a todo from the trash.
+     */
+    const deleteTrashedTodo = (id) => {
+        const todo = trashedTodos.find(t => t.id === id);
+        if (!todo) return;
+        return purgeTodos([todo], `Deleted "${todo.text}" permanently`);
+    };
+
+    /**
+     * Permanently deletes every todo in the trash of the active list.
+     */
+    const emptyTrash = () => purgeTodos(visibleTrashedTodos, 'Emptied the trash');
+
+    /**
+     * Applies the same changes to several todos with one batched write (see runMutation).
+     * `changes` may also be a function giving each todo its own changes (e.g. positions);
+     * todos with equal changes are still written together.
+     * `extra` optionally adds todos created along with the change (e.g. next occurrences),
+     * keyed by the id of the todo they follow; they are saved for the todos that were changed.
+     * Todos the backend could not change are put back, reported one by one with a retry
+     * action (`retry` receives their ids), and stay selected; the others are deselected.
+     */
+    const runBatch = async ({ targets, changes, label, errorMessage, retry, extra = {} }) => {
+        if (targets.length === 0) return;
+        const changesOf = typeof changes === 'function' ? changes : () => changes;
+        const stampedById = Object.fromEntries(targets.map(todo => [todo.id, { ...changesOf(todo), updatedBy: userEmail }]));
+        const updated = targets.map(todo => ({ ...todo, ...stampedById[todo.id] }));
+        const added = Object.values(extra);
+        const ids = targets.map(t => t.id);
+        const snapshot = snapshotTodos([...ids, ...added.map(t => t.id)]);
+        const placeAll = (listName) => (prev) => [...updated, ...added]
+            .reduce((list, todo) => mergeRemoteChange(list, { type: 'UPDATE', todo }, listName), prev);
+        let failedIds = [];
+
+        const saved = await runMutation({
+            ids: snapshot.map(entry => entry.id),
+            apply: () => {
+                setTodos(placeAll('todos'));
+                setArchivedTodos(placeAll('archivedTodos'));
+                setTrashedTodos(placeAll('trashedTodos'));
+            },
+            persist: async () => {
+                const groups = new Map();
+                ids.forEach(id => {
+                    const key = JSON.stringify(stampedById[id]);
+                    groups.set(key, [...(groups.get(key) ?? []), id]);
+                });
+                for (const groupIds of groups.values()) {
+                    const result = await repository.updateTodos(groupIds, stampedById[groupIds[0]]);
+                    failedIds = [...failedIds, ...result.failedIds];
+                }
+                const toAdd = Object.entries(extra).filter(([id]) => !failedIds.includes(Number(id))).map(([, todo]) => todo);
+                if (toAdd.length === 0) return;
+                const savedTodos = await repository.addTodos(toAdd, userId);
+                const savedById = Object.fromEntries(toAdd.map((todo, index) => [todo.id, savedTodos[index]]));
+                setTodos(prev => prev.map(t => savedById[t.id] ?? t));
+            },
+            errorMessage,
+        });
+        if (!saved) return;
 
-        // Optimistic update
-        if (updatedTodo.completed) {
-            // Moved to archive/completed
-            setTodos(prev => prev.filter(t => t.id !== id));
-            setArchivedTodos(prev => [...prev, updatedTodo]);
-        } else {
-            // Moved to active
-            setArchivedTodos(prev => prev.filter(t => t.id !== id));
-            setTodos(prev => [...prev, updatedTodo]);
+        const failed = targets.filter(t => failedIds.includes(t.id));
+        const failedExtra = failed.map(t => extra[t.id]?.id).filter(id => id !== undefined);
+        restoreSnapshot(snapshot.filter(entry => failedIds.includes(entry.id) || failedExtra.includes(entry.id)));
+        failed.forEach(todo => reportError(
+            `${errorMessage}: "${todo.text}"`,
+            new Error('It may not be changed by you, or was deleted in the meantime'),
+            () => retry([todo.id])
+        ));
+        setSelectedIds(failed.map(t => t.id));
+
+        const changed = updated.filter(t => !failedIds.includes(t.id));
+        if (changed.length > 0) {
+            const beforeById = Object.fromEntries(targets.map(t => [t.id, t]));
+            recordCommand(label(changed.length), [
+                ...changed.map(todo => ({ before: beforeById[todo.id], after: todo })),
+                ...changed.map(todo => extra[todo.id] && { before: null, after: extra[todo.id] }),
+            ]);
         }
+    };
+
+    // Todos (active or archived) among `ids`, skipping those that are gone; read from
+    // listsRef so retries from the errors stream see the current versions
+    const findTodos = (ids) => [...listsRef.current.todos, ...listsRef.current.archivedTodos]
+        .filter(t => ids.includes(t.id));
+
+    const countOf = (count) => `${count} ${count === 1 ? 'todo' : 'todos'}`;
+
+    /**
+     * Completes the open active todos among `ids`. Recurring ones get their next occurrence,
+     * right below them, which takes over the rule.
+     */
+    const completeTodos = (ids) => {
+        const targets = findTodos(ids).filter(t => !t.completed && !t.archivedAt);
+        const extra = {};
+        targets.forEach(todo => {
+            const nextTodo = nextOccurrenceOf(todo);
+            if (!nextTodo) return;
+            nextTodo.id = Date.now() + Object.keys(extra).length;
+            extra[todo.id] = nextTodo;
+        });
+        const changes = { completed: true, completedAt: new Date().toISOString() };
+        // The rules move on to the next occurrences
+        if (Object.keys(extra).length > 0) changes.recurrence = null;
+
+        return runBatch({
+            targets,
+            changes,
+            extra,
+            label: (count) => `Completed ${countOf(count)}`,
+            errorMessage: 'Failed to complete todo',
+            retry: completeTodos,
+        });
+    };
 
+    /**
+     * Moves the active todos among `ids` to the archive.
+     */
+    const archiveTodos = (ids) => runBatch({
+        targets: findTodos(ids).filter(t => !t.archivedAt),
+        changes: { archivedAt: new Date().toISOString() },
+        label: (count) => `Archived ${countOf(count)}`,
+        errorMessage: 'Failed to archive todo',
+        retry: archiveTodos,
+    });
+
+    /**
+     * Moves the archived todos among `ids` back to the active list, marked as incomplete
+     * (like unarchiveTodo).
+     */
+    const unarchiveTodos = (ids) => runBatch({
+        targets: findTodos(ids).filter(t => t.archivedAt),
+        changes: { archivedAt: null, completed: false, completedAt: null },
+        label: (count) => `Unarchived ${countOf(count)}`,
+        errorMessage: 'Failed to unarchive todo',
+        retry: unarchiveTodos,
+    });
+
+    /**
+     * Moves the todos among `ids` (active or archived) to the trash.
+     */
+    const deleteTodos = (ids) => runBatch({
+        targets: findTodos(ids),
+        changes: { deletedAt: new Date().toISOString() },
+        label: (count) => `Moved ${countOf(count)} to the trash`,
+        errorMessage: 'Failed to delete todo',
+        retry: deleteTodos,
+    });
+
+    /**
+     * Gives the active todos among `ids` a new due date; '' clears it, together with
+     * their due times and reminders. Due times are kept on the new date.
+     */
+    const rescheduleTodos = (ids, dueDate) => {
+        let changes;
         try {
-            await TodoService.updateTodo(updatedTodo);
+            changes = dueDate
+                ? { dueDate: TodoModel.validateDueDate(dueDate) }
+                : { dueDate: '', dueTime: null, timeZone: null, reminders: [] };
         } catch (error) {
-            console.error("Failed to update todo:", error);
-            // Revert
+            reportError('Invalid todo', error);
+            return;
         }
+        return runBatch({
+            targets: findTodos(ids).filter(t => !t.archivedAt),
+            changes,
+            label: (count) => (dueDate ? `Rescheduled ${countOf(count)}` : `Removed the due date of ${countOf(count)}`),
+            errorMessage: 'Failed to reschedule todo',
+            retry: (failedIds) => rescheduleTodos(failedIds, dueDate),
+        });
     };
 
     /**
-     * Edits the text or properties of an existing todo.
+     * Moves the active todos among `ids` to another list, where they go last in manual order,
+     * keeping their order relative to each other.
      */
-    const editTodo = async (id, updatedFields) => {
+    const moveTodos = (ids, listId) => {
+        const targets = TodoSort.sort(
+            findTodos(ids).filter(t => !t.archivedAt && (t.listId ?? INBOX_LIST_ID) !== listId),
+            'manual'
+        );
+        const siblings = manualOrder(listId);
+        const positions = {};
+        let last = null;
+        targets.forEach(todo => {
+            last = last === null ? TodoPosition.at(siblings, siblings.length) : TodoPosition.between(last, null);
+            positions[todo.id] = last;
+        });
+
+        return runBatch({
+            targets,
+            changes: (todo) => ({ listId, position: positions[todo.id] }),
+            label: (count) => `Moved ${countOf(count)} to ${lists.find(l => l.id === listId)?.name ?? 'Inbox'}`,
+            errorMessage: 'Failed to move todo',
+            retry: (failedIds) => moveTodos(failedIds, listId),
+        });
+    };
+
+    /**
+     * Focuses a todo for keyboard commands (null clears the focus).
+     */
+    const focusTodo = (id) => setFocusedId(id);
+
+    /**
+     * Moves the focus `step` todos down (negative: up) through `shownIds`, the todos in the
+     * order the View shows them (by default, the active list then the archive).
+     * Without a focused todo, focuses the first one (or the last, going up).
+     */
+    const moveFocus = (step, shownIds = focusOrder) => {
+        if (shownIds.length === 0) return;
+        const index = shownIds.indexOf(focusedId);
+        const next = index === -1
+            ? (step > 0 ? 0 : shownIds.length - 1)
+            : Math.min(Math.max(index + step, 0), shownIds.length - 1);
+        setFocusedId(shownIds[next]);
+    };
+
+    /**
+     * Opens the editor of an active todo, which also gets the focus.
+     */
+    const startEditing = (id) => {
+        if (!todos.some(t => t.id === id)) return;
+        setFocusedId(id);
+        setEditingId(id);
+    };
+
+    const stopEditing = () => setEditingId(null);
+
+    /**
+     * Adds todos to the selection, or removes them with `selected` false.
+     */
+    const selectTodos = (ids, selected = true) => setSelectedIds(prev => (selected
+        ? [...prev, ...ids.filter(id => !prev.includes(id))]
+        : prev.filter(id => !ids.includes(id))));
+
+    const clearSelection = () => setSelectedIds([]);
+
+    /**
+     * Applies history changes through the mutation pipeline, in order.
+     * Each change moves a todo from its `before` version to its `after` version:
+     * deleting it, re-adding it (under a new id) or overwriting its fields.
+     * Resolves with true if every change was saved.
+     */
+    const applyChanges = async (changes, errorMessage) => {
+        const previousAliases = aliasesRef.current;
+        const baseId = Date.now();
+        const steps = changes.map(({ before, after }, index) => {
+            if (!after) return { type: 'delete', id: currentId(before.id) };
+            if (!before) {
+                const todo = { ...after, id: baseId + index };
+                aliasesRef.current = { ...aliasesRef.current, [after.id]: todo.id };
+                return { type: 'add', todo };
+            }
+            return { type: 'update', todo: { ...after, id: currentId(after.id), updatedBy: userEmail } };
+        });
+
+        const merge = (change) => {
+            setTodos(prev => mergeRemoteChange(prev, change, 'todos'));
+            setArchivedTodos(prev => mergeRemoteChange(prev, change, 'archivedTodos'));
+            setTrashedTodos(prev => mergeRemoteChange(prev, change, 'trashedTodos'));
+        };
+
+        const saved = await runMutation({
+            ids: steps.map(step => step.id ?? step.todo.id),
+            apply: () => steps.forEach(step => merge(step.type === 'delete'
+                ? { type: 'DELETE', id: step.id }
+                : { type: 'UPDATE', todo: step.todo })),
+            persist: async () => {
+                for (const step of steps) {
+                    if (step.type === 'delete') await repository.deleteTodo(step.id);
+                    if (step.type === 'add') await saveNewTodo(step.todo);
+                    if (step.type === 'update') await repository.updateTodo(step.todo);
+                }
+            },
+            errorMessage,
+        });
+        if (!saved) aliasesRef.current = previousAliases;
+        return saved;
+    };
+
+    /**
+     * Reverts the latest recorded command.
+     */
+    const undo = async () => {
+        const entry = history.past[history.past.length - 1];
+        if (!entry || undoingRef.current) return;
+
+        undoingRef.current = true;
+        try {
+            if (await applyChanges(CommandHistory.invert(entry.changes), `Failed to undo: ${entry.label}`)) {
+                setHistory(CommandHistory.undone);
+            }
+        } finally {
+            undoingRef.current = false;
+        }
+    };
+
+    /**
+     * Applies the latest undone command again.
+     */
+    const redo = async () => {
+        const entry = history.future[0];
+        if (!entry || undoingRef.current) return;
+
+        undoingRef.current = true;
+        try {
+            if (await applyChanges(entry.changes, `Failed to redo: ${entry.label}`)) {
+                setHistory(CommandHistory.redone);
+            }
+        } finally {
+            undoingRef.current = false;
+        }
+    };
+
+    /**
+     * Applies `transform` to a todo's subtasks and saves the result.
+     * With autoCompleteParent enabled, completing the last open subtask completes the todo too.
+     */
+    const updateSubtasks = async (id, transform) => {
         const todo = todos.find(t => t.id === id);
         if (!todo) return;
 
-        const updatedTodo = { ...todo, ...updatedFields };
+        const subtasks = transform(todo.subtasks || []);
+        const updatedFields = { subtasks };
+        if (autoCompleteParent && SubtaskModel.allCompleted(subtasks)) {
+            updatedFields.completed = true;
+        }
+        await editTodo(id, updatedFields);
+    };
 
-        setTodos(prev => prev.map(t => t.id === id ? updatedTodo : t));
+    /**
+     * Adds a subtask to the end of a todo's checklist.
+     */
+    const addSubtask = async (id, text) => {
+        let subtask;
+        try {
+            subtask = SubtaskModel.create(text);
+        } catch (error) {
+            reportError('Invalid subtask', error);
+            return;
+        }
+        await updateSubtasks(id, subtasks => SubtaskModel.add(subtasks, subtask));
+    };
+
+    /**
+     * Toggles the completion state of a subtask.
+     */
+    const toggleSubtask = (id, subtaskId) =>
+        updateSubtasks(id, subtasks => SubtaskModel.toggle(subtasks, subtaskId));
+
+    /**
+     * Removes a subtask.
+     */
+    const deleteSubtask = (id, subtaskId) =>
+        updateSubtasks(id, subtasks => SubtaskModel.remove(subtasks, subtaskId));
+
+    /**
+     * Moves a subtask up (-1) or down (1) in the checklist.
+     */
+    const moveSubtask = (id, subtaskId, offset) =>
+        updateSubtasks(id, subtasks => SubtaskModel.move(subtasks, subtaskId, offset));
 
+    /**
+     * Turns automatic completion of todos with all subtasks done on or off.
+     */
+    const setAutoCompleteParent = (enabled) => {
+        setAutoCompleteParentState(enabled);
+        PreferencesService.set(userId, 'autoCompleteParent', enabled);
+    };
+
+    /**
+     * Changes how the active list is sorted and remembers the choice.
+     */
+    const setSortMode = (mode) => {
+        setSortModeState(mode);
+        PreferencesService.set(userId, 'sortMode', mode);
+    };
+
+    /**
+     * Switches between the list and calendar views and remembers the choice.
+     */
+    const setViewMode = (mode) => {
+        setViewModeState(mode);
+        PreferencesService.set(userId, 'viewMode', mode);
+    };
+
+    /**
+     * Moves a todo to the end of another list (INBOX_LIST_ID for the Inbox).
+     */
+    const moveTodoToList = (id, listId) => {
+        const siblings = manualOrder(listId, id);
+        return editTodo(id, { listId, position: TodoPosition.at(siblings, siblings.length) });
+    };
+
+    /**
+     * Moves a todo in the manual order of its list, right before the todo `beforeId`
+     * (null moves it to the end). Only the moved todo gets a new position.
+     */
+    const reorderTodo = async (id, beforeId) => {
+        const todo = todos.find(t => t.id === id);
+        if (!todo || id === beforeId) return;
+
+        const siblings = manualOrder(todo.listId ?? INBOX_LIST_ID, id);
+        const index = beforeId === null ? siblings.length : siblings.findIndex(t => t.id === beforeId);
+        if (index === -1) return;
+
+        await editTodo(id, { position: TodoPosition.at(siblings, index) });
+    };
+
+    /**
+     * Shows another list in the View and remembers the choice.
+     */
+    const setActiveListId = (listId) => {
+        setActiveListIdState(listId);
+        PreferencesService.set(userId, 'activeListId', listId);
+    };
+
+    /**
+     * Creates a new list and makes it the active one.
+     */
+    const createList = async (name, color) => {
+        let newList;
         try {
-            await TodoService.updateTodo(updatedTodo);
+            newList = ListModel.create(name, color);
         } catch (error) {
-            console.error("Failed to edit todo:", error);
+            reportError('Invalid list', error);
+            return;
+        }
+
+        setLists(prev => [...prev, newList]);
+        try {
+            const savedList = await ListService.addList(newList, userId);
+            setLists(prev => prev.map(l => l.id === newList.id ? savedList : l));
+            setActiveListId(savedList.id);
+        } catch (error) {
+            setLists(prev => prev.filter(l => l.id !== newList.id));
+            reportError('Failed to create list', error, () => createList(name, color));
         }
     };
 
     /**
-     * Deletes a todo from the active list.
+     * Renames or recolors a list. `updatedFields` may contain `name` and `color`.
      */
-    const deleteTodo = async (id) => {
-        setTodos(prev => prev.filter(t => t.id !== id));
+    const updateList = async (id, updatedFields) => {
+        const list = lists.find(l => l.id === id);
+        if (!list) return;
+
+        let updatedList;
+        try {
+            updatedList = {
+                ...list,
+                ...updatedFields,
+                name: ListModel.validateName(updatedFields.name ?? list.name),
+                color: ListModel.validateColor(updatedFields.color ?? list.color),
+            };
+        } catch (error) {
+            reportError('Invalid list', error);
+            return;
+        }
+
+        setLists(prev => prev.map(l => l.id === id ? updatedList : l));
         try {
-            await TodoService.deleteTodo(id);
+            await ListService.updateList(updatedList);
         } catch (error) {
-            console.error("Failed to delete todo:", error);
+            setLists(prev => prev.map(l => l.id === id ? list : l));
+            reportError('Failed to update list', error, () => updateList(id, updatedFields));
         }
     };
 
     /**
-     * Archives all completed todos.
-     * In this new Supabase mapping, "completed" IS "archived" effectively.
-     * So this function might be redundant if we auto-move on toggle.
-     * But if we want to keep the "Move to Archive" button behavior:
-     * We can just ensure they are in the archived list.
+     * Deletes a list. Its todos move back to the Inbox.
      */
-    const archiveCompleted = () => {
-        // In this implementation, toggleComplete already moves them.
-        // So this might be a no-op or just ensuring consistency.
+    const deleteList = async (id) => {
+        if (!lists.some(l => l.id === id)) return;
+
+        const toInbox = t => t.listId === id ? { ...t, listId: INBOX_LIST_ID } : t;
+        setLists(prev => prev.filter(l => l.id !== id));
+        setTodos(prev => prev.map(toInbox));
+        setArchivedTodos(prev => prev.map(toInbox));
+        setTrashedTodos(prev => prev.map(toInbox));
+        if (activeListId === id) setActiveListId(INBOX_LIST_ID);
+
+        try {
+            await ListService.deleteList(id);
+        } catch (error) {
+            // Reload lists and todos to restore the server state
+            setReloadToken(n => n + 1);
+            reportError('Failed to delete list', error, () => deleteList(id));
+        }
     };
 
     /**
-     * Unarchives a todo, moving it back to the active list.
-     * It is marked as incomplete upon unarchiving.
+     * Serializes all todos, active and archived, in one of TRANSFER_FORMATS.
+     * Returns { fileName, mimeType, content } for the View to download.
      */
-    const unarchiveTodo = async (id) => {
-        const todo = archivedTodos.find(t => t.id === id);
-        if (!todo) return;
+    const exportTodos = (format) => {
+        const { extension, mimeType } = TRANSFER_FORMATS.find(f => f.id === format);
+        const listName = (listId) => lists.find(l => l.id === listId)?.name ?? null;
+        const entries = [...TodoSort.sort(todos, 'manual'), ...TodoSort.sort(archivedTodos, 'manual')]
+            .map(todo => TodoTransfer.toEntry(todo, listName(todo.listId ?? INBOX_LIST_ID)));
+
+        return {
+            fileName: `todos-${new Date().toISOString().slice(0, 10)}.${extension}`,
+            mimeType,
+            content: TodoTransfer.serialize(entries, format),
+        };
+    };
 
-        const updatedTodo = { ...todo, completed: false };
+    /**
+     * Validates entries (see TodoTransfer) for import.
+     * Returns preview items { entry, todo, error, duplicate, list: { id, name, isNew } }.
+     * Entries go to the list with the same name when the user can edit it;
+     * unknown list names are created on import, and lists the user can only view
+     * fall back to the Inbox. Without Supabase (which stores the lists) everything goes to the Inbox.
+     */
+    const previewEntries = (entries) => {
+        const duplicateKey = (listId, todo) =>
+            `${listId ?? ''}|${todo.text.trim().toLowerCase()}|${(todo.dueDate || '').slice(0, 10)}`;
+        const existing = new Set([...todos, ...archivedTodos].map(t => duplicateKey(t.listId ?? INBOX_LIST_ID, t)));
 
-        setArchivedTodos(prev => prev.filter(t => t.id !== id));
-        setTodos(prev => [...prev, updatedTodo]);
+        const targetList = (name) => {
+            if (!name || !repository.remote) return { id: INBOX_LIST_ID, name: null, isNew: false };
+            const match = lists.find(l => l.name.toLowerCase() === name.toLowerCase());
+            if (!match) return { id: null, name, isNew: true };
+            return SharingModel.canEdit(match.role)
+                ? { id: match.id, name: match.name, isNew: false }
+                : { id: INBOX_LIST_ID, name: null, isNew: false };
+        };
 
+        return entries.map(entry => {
+            const list = targetList(entry.list);
+            try {
+                const todo = TodoModel.create(entry.text, entry.dueDate, {
+                    notes: entry.notes,
+                    dueTime: entry.dueTime,
+                    timeZone: entry.timeZone,
+                    reminders: entry.reminders,
+                    recurrence: entry.recurrence,
+                    tags: entry.tags,
+                    priority: entry.priority,
+                });
+                if (todo.recurrence) {
+                    // Keep the original anchors so monthly rules clamped to a short month survive
+                    const { monthDay, month } = entry.recurrence;
+                    if (Number.isInteger(monthDay)) todo.recurrence.monthDay = monthDay;
+                    if (Number.isInteger(month)) todo.recurrence.month = month;
+                }
+                todo.completed = entry.completed;
+                todo.completedAt = entry.completed && entry.completedAt && !isNaN(Date.parse(entry.completedAt)) ? entry.completedAt : null;
+                todo.archivedAt = entry.archivedAt && !isNaN(Date.parse(entry.archivedAt)) ? entry.archivedAt : null;
+                if (entry.createdAt && !isNaN(Date.parse(entry.createdAt))) todo.createdAt = entry.createdAt;
+                todo.subtasks = entry.subtasks.map(s => ({ ...SubtaskModel.create(s.text), completed: s.completed }));
+
+                const duplicate = !list.isNew && existing.has(duplicateKey(list.id, todo));
+                return { entry, todo, error: null, duplicate, list };
+            } catch (error) {
+                return { entry, todo: null, error: error.message, duplicate: false, list };
+            }
+        });
+    };
+
+    /**
+     * Parses an import file and validates each entry (see previewEntries).
+     * Returns the preview items, or null (after reporting the error) if the file cannot be read at all.
+     */
+    const previewImport = (text, format) => {
         try {
-            await TodoService.updateTodo(updatedTodo);
+            return previewEntries(TodoTransfer.parse(text, format));
         } catch (error) {
-            console.error("Failed to unarchive todo:", error);
+            reportError('Failed to read import file', error);
+            return null;
+        }
+    };
+
+    /**
+     * Bulk-inserts the valid entries of an import preview, skipping duplicates unless
+     * `skipDuplicates` is false. Imported todos keep their file order and go to the end
+     * of their lists. Resolves with the number of todos imported (0 if saving failed).
+     */
+    const importTodos = async (preview, { skipDuplicates = true } = {}) => {
+        const selected = preview.filter(item => item.todo && !(skipDuplicates && item.duplicate));
+        if (selected.length === 0) return 0;
+
+        // Create the lists named in the file that do not exist yet
+        const createdListIds = {};
+        for (const name of new Set(selected.filter(item => item.list.isNew).map(item => item.list.name))) {
+            try {
+                const savedList = await ListService.addList(ListModel.create(name), userId);
+                setLists(prev => [...prev, savedList]);
+                createdListIds[name] = savedList.id;
+            } catch (error) {
+                reportError(`Failed to create list "${name}"`, error, () => importTodos(preview, { skipDuplicates }));
+                return 0;
+            }
+        }
+
+        const lastPositions = {};
+        const baseId = Date.now();
+        const imported = selected.map((item, index) => {
+            const listId = item.list.isNew ? createdListIds[item.list.name] : item.list.id;
+            if (!(listId in lastPositions)) {
+                const siblings = manualOrder(listId);
+                lastPositions[listId] = TodoPosition.at(siblings, siblings.length);
+            } else {
+                lastPositions[listId] = TodoPosition.between(lastPositions[listId], null);
+            }
+            return {
+                ...item.todo,
+                id: baseId + index,
+                listId,
+                position: lastPositions[listId],
+                createdBy: userEmail,
+                updatedBy: userEmail,
+            };
+        });
+        const ids = imported.map(t => t.id);
+
+        const saved = await runMutation({
+            ids,
+            apply: () => {
+                setTodos(prev => [...prev, ...imported.filter(t => !t.archivedAt)]);
+                setArchivedTodos(prev => [...prev, ...imported.filter(t => t.archivedAt)]);
+            },
+            persist: async () => {
+                const saved = await repository.addTodos(imported, userId);
+                const savedById = Object.fromEntries(ids.map((id, index) => [id, saved[index]]));
+                const replace = (prev) => prev.map(t => savedById[t.id] ?? t);
+                setTodos(replace);
+                setArchivedTodos(replace);
+            },
+            errorMessage: 'Failed to import todos',
+        });
+        return saved ? imported.length : 0;
+    };
+
+    // Preview of merging the guest todos into the account, while there are some to offer
+    const guestMergePreview = guestTodos.length > 0
+        ? previewEntries(guestTodos.map(todo => TodoTransfer.toEntry(todo)))
+        : null;
+
+    /**
+     * Imports the todos kept in this browser while signed out into the account,
+     * skipping those already in it unless `skipDuplicates` is false, and removes the
+     * local copies of the todos that are now in the account. Invalid ones are left in place.
+     * Sets `guestMergeSummary` to { imported, duplicates, invalid }.
+     */
+    const mergeGuestTodos = async ({ skipDuplicates = true } = {}) => {
+        const preview = guestMergePreview;
+        if (!preview) return;
+
+        const valid = preview.filter(item => item.todo);
+        const duplicates = skipDuplicates ? valid.filter(item => item.duplicate) : [];
+        const imported = await importTodos(preview, { skipDuplicates });
+        if (imported === 0 && valid.length > duplicates.length) return; // The import failed and was reported
+
+        const merged = preview.map((item, index) => (item.todo ? guestTodos[index] : null)).filter(Boolean);
+        for (const todo of merged) {
+            try {
+                await guestRepository.deleteTodo(todo.id);
+            } catch (error) {
+                console.error("Failed to remove merged guest todo:", error);
+            }
         }
+
+        setGuestTodos([]);
+        setGuestMergeSummary({
+            imported,
+            duplicates: duplicates.map(item => item.entry.text),
+            invalid: preview.length - valid.length,
+        });
     };
 
     /**
-     * Permanently deletes a todo from the archive.
+     * Leaves the guest todos in this browser; they are offered again on the next sign-in.
      */
-    const deleteArchivedTodo = async (id) => {
-        setArchivedTodos(prev => prev.filter(t => t.id !== id));
+    const keepGuestTodos = () => setGuestTodos([]);
+
+    /**
+     * Deletes the guest todos from this browser without importing them.
+     */
+    const discardGuestTodos = async () => {
+        const discarded = guestTodos;
+        setGuestTodos([]);
         try {
-            await TodoService.deleteTodo(id);
+            await Promise.all(discarded.map(todo => guestRepository.deleteTodo(todo.id)));
         } catch (error) {
-            console.error("Failed to delete archived todo:", error);
+            reportError('Failed to discard the todos kept in this browser', error);
         }
     };
 
+    const dismissGuestMergeSummary = () => setGuestMergeSummary(null);
+
+    /**
+     * Asks for permission to show reminder notifications.
+     */
+    const enableNotifications = async () => {
+        setNotificationPermission(await ReminderService.requestPermission());
+    };
+
+    /**
+     * Replays pending offline changes right away.
+     */
+    const syncNow = () => repository.syncNow();
+
+    /**
+     * Fetches todos and lists again (e.g. after accepting a shared list).
+     */
+    const reload = () => setReloadToken(n => n + 1);
+
     // Return the state and methods needed by the View
     return {
         todos,
         archivedTodos,
+        trashedTodos,
+        visibleTodos,
+        visibleArchivedTodos,
+        visibleTrashedTodos,
+        todoGroups,
+        sortMode,
+        viewMode,
+        stats,
+        lists,
+        activeListId,
+        activeList,
+        canEditActiveList,
+        syncStatus,
+        remoteStorage: repository.remote,
+        guestMergePreview,
+        guestMergeSummary,
+        focusedId,
+        editingId,
+        selectedIds: selectedIds.filter(id => todos.some(t => t.id === id) || archivedTodos.some(t => t.id === id)),
+        errors,
+        autoCompleteParent,
+        notificationPermission,
+        lastCommand: history.past[history.past.length - 1] ?? null,
+        canUndo: history.past.length > 0,
+        canRedo: history.future.length > 0,
         addTodo,
         toggleComplete,
+        validateTodo,
         editTodo,
         deleteTodo,
         archiveCompleted,
         unarchiveTodo,
         deleteArchivedTodo,
+        restoreTodo,
+        deleteTrashedTodo,
+        emptyTrash,
+        focusTodo,
+        moveFocus,
+        startEditing,
+        stopEditing,
+        selectTodos,
+        clearSelection,
+        completeTodos,
+        archiveTodos,
+        unarchiveTodos,
+        deleteTodos,
+        rescheduleTodos,
+        moveTodos,
+        addSubtask,
+        toggleSubtask,
+        deleteSubtask,
+        moveSubtask,
+        setAutoCompleteParent,
+        moveTodoToList,
+        reorderTodo,
+        setSortMode,
+        setViewMode,
+        setActiveListId,
+        createList,
+        updateList,
+        deleteList,
+        exportTodos,
+        previewImport,
+        importTodos,
+        undo,
+        redo,
+        enableNotifications,
+        reportError,
+        dismissError,
+        retryError,
+        syncNow,
+        reload,
+        mergeGuestTodos,
+        keepGuestTodos,
+        discardGuestTodos,
+        dismissGuestMergeSummary,
     };
 }
@@ -0,0 +1,126 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi } from 'vitest';
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { useTodoViewModel } from './useTodoViewModel';
+import { createMemoryTodoRepository } from '../service/MemoryTodoRepository';
+
+const USER_ID = 'user-1';
+
+// Due every week on Monday, starting Monday 19 October 2026
+const WEEKLY = { freq: 'weekly', interval: 1, byWeekday: [1], monthDay: null, month: null, until: null, count: null };
+
+const recurringTodo = (fields = {}) => ({
+    id: 1,
+    text: 'Water the plants',
+    dueDate: '2026-10-19',
+    recurrence: WEEKLY,
+    ...fields,
+});
+
+// Renders the ViewModel on `repository` for `userId`; rerender({ userId, repository }) switches
+const renderUserViewModel = (repository, userId = USER_ID) =>
+    renderHook((props) => useTodoViewModel(props.userId, null, { repository: props.repository }), {
+        initialProps: { userId, repository },
+    });
+
+// Renders the ViewModel on `repository` and waits for its todos to load
+const renderViewModel = async (repository, userId = USER_ID) => {
+    const hook = renderUserViewModel(repository, userId);
+    await waitFor(() => expect(hook.result.current.todos.length).toBeGreaterThan(0));
+    return hook;
+};
+
+/**
+ * Holds back the next call to `repository[method]` until the returned `release` is called.
+ */
+const holdBack = (repository, method) => {
+    const original = repository[method];
+    let release;
+    const released = new Promise(resolve => { release = resolve; });
+    repository[method] = async (...args) => {
+        repository[method] = original;
+        const result = await original(...args);
+        await released;
+        return result;
+    };
+    return () => act(async () => release());
+};
+
+describe('useTodoViewModel completing recurring todos', () => {
+    it('creates the next occurrence when the editor completes a recurring todo', async () => {
+        const repository = createMemoryTodoRepository([recurringTodo()], USER_ID);
+        const { result } = await renderViewModel(repository);
+
+        await act(() => result.current.editTodo(1, { completed: true }));
+
+        const [completed, next] = result.current.todos;
+        expect(completed).toMatchObject({ id: 1, completed: true, recurrence: null });
+        expect(next).toMatchObject({ text: 'Water the plants', completed: false, dueDate: '2026-10-26' });
+        expect(next.recurrence.freq).toBe('weekly');
+
+        const stored = await repository.getAllTodos(USER_ID);
+        expect(stored.map(t => [t.completed, t.dueDate, Boolean(t.recurrence)]).sort())
+            .toEqual([[false, '2026-10-26', true], [true, '2026-10-19', false]]);
+    });
+
+    it('creates the next occurrence when the last subtask completes a recurring todo', async () => {
+        const subtasks = [{ id: 1, text: 'Fern', completed: false }];
+        const repository = createMemoryTodoRepository([recurringTodo({ subtasks })], USER_ID);
+        const { result } = await renderViewModel(repository);
+
+        act(() => result.current.setAutoCompleteParent(true));
+        await act(() => result.current.toggleSubtask(1, 1));
+
+        expect(result.current.todos).toHaveLength(2);
+        expect(result.current.todos[1]).toMatchObject({ dueDate: '2026-10-26', subtasks: [{ text: 'Fern', completed: false }] });
+    });
+
+    it('does not repeat a todo that was already completed', async () => {
+        const repository = createMemoryTodoRepository([recurringTodo({ completed: true })], USER_ID);
+        const { result } = await renderViewModel(repository);
+
+        await act(() => result.current.editTodo(1, { completed: true, text: 'Water the ferns' }));
+
+        expect(result.current.todos).toHaveLength(1);
+        expect(result.current.todos[0]).toMatchObject({ text: 'Water the ferns', recurrence: WEEKLY });
+    });
+});
+
+describe('useTodoViewModel loading', () => {
+    it('ignores a fetch that resolves after the user changed', async () => {
+        const repository = createMemoryTodoRepository([{ id: 1, text: 'First user todo' }], USER_ID);
+        await repository.addTodo({ id: 2, text: 'Second user todo' }, 'user-2');
+        const release = holdBack(repository, 'getAllTodos');
+
+        const { result, rerender } = renderUserViewModel(repository);
+        rerender({ userId: 'user-2', repository });
+        await waitFor(() => expect(result.current.todos.map(t => t.text)).toEqual(['Second user todo']));
+
+        await release();
+        expect(result.current.todos.map(t => t.text)).toEqual(['Second user todo']);
+    });
+
+    it('neither shows nor purges a trash fetched from the previous repository', async () => {
+        const expired = { id: 1, text: 'Old', deletedAt: '2020-01-01T00:00:00.000Z' };
+        const previous = createMemoryTodoRepository([expired, { id: 2, text: 'Gone soon', deletedAt: new Date().toISOString() }], USER_ID);
+        const current = createMemoryTodoRepository([{ id: 3, text: 'Kept', deletedAt: new Date().toISOString() }], USER_ID);
+        const release = holdBack(previous, 'getTrashedTodos');
+        previous.deleteTodo = vi.fn(previous.deleteTodo);
+
+        const { result, rerender } = renderUserViewModel(previous);
+        rerender({ userId: USER_ID, repository: current });
+        await waitFor(() => expect(result.current.trashedTodos.map(t => t.text)).toEqual(['Kept']));
+
+        await release();
+        expect(result.current.trashedTodos.map(t => t.text)).toEqual(['Kept']);
+        expect(previous.deleteTodo).not.toHaveBeenCalled();
+    });
+
+    it('purges expired todos from the trash it loaded', async () => {
+        const repository = createMemoryTodoRepository([{ id: 1, text: 'Old', deletedAt: '2020-01-01T00:00:00.000Z' }], USER_ID);
+        const { result } = renderUserViewModel(repository);
+
+        await waitFor(async () => expect(await repository.getTrashedTodos(USER_ID)).toEqual([]));
+        expect(result.current.trashedTodos).toEqual([]);
+    });
+});
@@ -22,3 +22,292 @@ with check ( auth.uid()::text = user_id );
 create policy "Users can delete their own todos"
 on todos for delete
 using ( auth.uid()::text = user_id );
+
+
+-- ============================================================
+-- LISTS
+-- Named lists (projects) that group a user's todos.
+-- ============================================================
+
+-- Enable Row Level Security (RLS) on the lists table
+alter table lists enable row level security;
+
+-- 1. Allow users to VIEW their own lists
+create policy "Users can view their own lists"
+on lists for select
+using ( auth.uid()::text = user_id );
+
+-- 2. Allow users to CREATE their own lists
+create policy "Users can create their own lists"
+on lists for insert
+with check ( auth.uid()::text = user_id );
+
+-- 3. Allow users to UPDATE their own lists
+create policy "Users can update their own lists"
+on lists for update
+using ( auth.uid()::text = user_id )
+with check ( auth.uid()::text = user_id );
+
+-- 4. Allow users to DELETE their own lists
+create policy "Users can delete their own lists"
+on lists for delete
+using ( auth.uid()::text = user_id );
+
+-- ============================================================
+-- SHARING
+-- Lists can be shared with collaborators by email, as viewer or editor.
+-- An invitation is a list_members row with status 'pending'; the invitee
+-- accepts it by claiming the row with their own user id.
+-- ============================================================
+
+alter table list_members enable row level security;
+
+-- Helper: can the current user access a list with at least the given role?
+-- The list owner always can. Runs as security definer so policies on
+-- lists/list_members/todos can call it without recursing into each other.
+create or replace function can_access_list(target_list_id bigint, min_role text)
+returns boolean
+language sql
+security definer
+stable
+set search_path = public
+as $$
+  select exists (
+    select 1 from lists
+    where lists.id = target_list_id
+      and lists.user_id = auth.uid()::text
+  )
+  or exists (
+    select 1 from list_members
+    where list_members.list_id = target_list_id
+      and list_members.user_id = auth.uid()::text
+      and list_members.status = 'accepted'
+      and (min_role = 'viewer' or list_members.role = 'editor')
+  );
+$$;
+
+-- Helper: is the current user the owner of a list?
+create or replace function owns_list(target_list_id bigint)
+returns boolean
+language sql
+security definer
+stable
+set search_path = public
+as $$
+  select exists (
+    select 1 from lists
+    where lists.id = target_list_id
+      and lists.user_id = auth.uid()::text
+  );
+$$;
+
+-- 1. Members can VIEW the lists shared with them
+create policy "Members can view shared lists"
+on lists for select
+using ( can_access_list(id, 'viewer') );
+
+-- 2. Owners see every membership of their lists; invitees see their own
+create policy "Owners and invitees can view memberships"
+on list_members for select
+using (
+  owns_list(list_id)
+  or user_id = auth.uid()::text
+  or lower(email) = lower(auth.jwt() ->> 'email')
+);
+
+-- 3. Only owners can INVITE collaborators
+create policy "Owners can invite collaborators"
+on list_members for insert
+with check (
+  owns_list(list_id)
+  and invited_by = auth.uid()::text
+  and status = 'pending'
+  and user_id is null
+);
+
+-- 4. Owners can change roles; invitees can accept their own invitation
+create policy "Owners can change member roles"
+on list_members for update
+using ( owns_list(list_id) )
+with check ( owns_list(list_id) );
+
+create policy "Invitees can accept their invitation"
+on list_members for update
+using ( lower(email) = lower(auth.jwt() ->> 'email') )
+with check (
+  lower(email) = lower(auth.jwt() ->> 'email')
+  and user_id = auth.uid()::text
+  and status = 'accepted'
+);
+
+-- Policies only see the new row, so an invitee could otherwise point their
+-- invitation at another list or upgrade its role while accepting it.
+-- Only the list owner may change what an invitation grants.
+create or replace function protect_membership_grant()
+returns trigger
+language plpgsql
+as $$
+begin
+  if (new.list_id, new.role, new.email, new.invited_by)
+       is distinct from (old.list_id, old.role, old.email, old.invited_by)
+     and not owns_list(old.list_id) then
+    raise exception 'Only the list owner can change an invitation'
+      using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+create trigger list_members_protect_grant
+before update on list_members
+for each row execute function protect_membership_grant();
+
+-- 5. Owners can REVOKE access; members can decline or leave
+create policy "Owners and members can remove memberships"
+on list_members for delete
+using (
+  owns_list(list_id)
+  or user_id = auth.uid()::text
+  or lower(email) = lower(auth.jwt() ->> 'email')
+);
+
+-- 6. Members can VIEW the todos of shared lists
+create policy "Members can view todos in shared lists"
+on todos for select
+using ( list_id is not null and can_access_list(list_id, 'viewer') );
+
+-- 7. Editors can CREATE, UPDATE and DELETE todos in shared lists
+create policy "Editors can create todos in shared lists"
+on todos for insert
+with check (
+  auth.uid()::text = user_id
+  and list_id is not null
+  and can_access_list(list_id, 'editor')
+);
+
+create policy "Editors can update todos in shared lists"
+on todos for update
+using ( list_id is not null and can_access_list(list_id, 'editor') )
+with check ( list_id is not null and can_access_list(list_id, 'editor') );
+
+create policy "Editors can delete todos in shared lists"
+on todos for delete
+using ( list_id is not null and can_access_list(list_id, 'editor') );
+
+-- 8. Todos may only be filed in lists the user can edit
+create policy "Users can only file todos in lists they can edit"
+on todos as restrictive for all
+using ( true )
+with check ( list_id is null or can_access_list(list_id, 'editor') );
+
+-- 9. Record who created and who last changed each todo.
+-- Updates keep the recorded creator, whatever the client sends (it writes whole
+-- rows), and only the owner of a todo may hand it to another user.
+create or replace function set_todo_audit_fields()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'INSERT' then
+    new.created_by := auth.jwt() ->> 'email';
+  else
+    new.created_by := old.created_by;
+    if old.user_id is distinct from auth.uid()::text then
+      new.user_id := old.user_id;
+    end if;
+  end if;
+  new.updated_by := auth.jwt() ->> 'email';
+  return new;
+end;
+$$;
+
+create trigger todos_audit_fields
+before insert or update on todos
+for each row execute function set_todo_audit_fields();
+
+
+-- ============================================================
+-- ACCOUNT
+-- Functions behind the account page. They run as security definer
+-- because the auth schema is not reachable through the API, and each
+-- one only ever touches rows of the calling user (auth.uid()).
+-- ============================================================
+
+-- 1. The caller's sessions (signed-in browsers and devices), most recently active first
+create or replace function list_my_sessions()
+returns table (id uuid, created_at timestamptz, updated_at timestamptz, user_agent text, ip text)
+language sql
+security definer
+stable
+set search_path = public
+as $$
+  select s.id, s.created_at, s.updated_at, s.user_agent, host(s.ip)
+  from auth.sessions s
+  where s.user_id = auth.uid()
+  order by coalesce(s.updated_at, s.created_at) desc;
+$$;
+
+-- 2. Sign out one of the caller's sessions (its refresh tokens go with it)
+create or replace function revoke_my_session(target_session_id uuid)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  delete from auth.sessions
+  where id = target_session_id
+    and user_id = auth.uid();
+$$;
+
+-- 3. Delete the caller's account with all of their data.
+-- Todos that collaborators added to the caller's lists stay with those
+-- collaborators (in their Inbox). Avatars are removed by the app through
+-- the Storage API beforehand, as storage objects cannot be deleted in SQL.
+create or replace function delete_my_account()
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  uid text := auth.uid()::text;
+begin
+  if uid is null then
+    raise exception 'Not signed in';
+  end if;
+  delete from todos where user_id = uid;
+  delete from list_members
+  where user_id = uid
+     or lower(email) = lower(auth.jwt() ->> 'email');
+  delete from lists where user_id = uid;
+  delete from auth.users where id = auth.uid();
+end;
+$$;
+
+revoke execute on function list_my_sessions() from public, anon;
+revoke execute on function revoke_my_session(uuid) from public, anon;
+revoke execute on function delete_my_account() from public, anon;
+grant execute on function list_my_sessions() to authenticated;
+grant execute on function revoke_my_session(uuid) to authenticated;
+grant execute on function delete_my_account() to authenticated;
+
+-- 4. Avatars: a public bucket where each user writes only to a folder named after their id
+insert into storage.buckets (id, name, public)
+values ('avatars', 'avatars', true)
+on conflict (id) do nothing;
+
+create policy "Users can upload their own avatars"
+on storage.objects for insert to authenticated
+with check ( bucket_id = 'avatars' and (storage.foldername(name))[1] = auth.uid()::text );
+
+create policy "Users can replace their own avatars"
+on storage.objects for update to authenticated
+using ( bucket_id = 'avatars' and (storage.foldername(name))[1] = auth.uid()::text );
+
+create policy "Users can delete their own avatars"
+on storage.objects for delete to authenticated
+using ( bucket_id = 'avatars' and (storage.foldername(name))[1] = auth.uid()::text );
+
+create policy "Users can list their own avatars"
+on storage.objects for select to authenticated
+using ( bucket_id = 'avatars' and (storage.foldername(name))[1] = auth.uid()::text );
@@ -1,9 +1,47 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readdirSync, readFileSync } from 'node:fs'
+import { join, relative } from 'node:path'
+
+const PUBLIC_DIR = 'public'
+
+// Public files that are never precached (the worker itself is fetched by the browser)
+const NOT_PRECACHED = ['sw.js']
+
+const publicFiles = (dir = PUBLIC_DIR) => readdirSync(dir, { withFileTypes: true }).flatMap(entry =>
+  entry.isDirectory() ? publicFiles(join(dir, entry.name)) : [join(dir, entry.name)])
+
+// Emits precache-manifest.js, which public/sw.js imports: the URLs of the built app
+// (relative to the worker, so they follow the base path) and a version that changes
+// with them. A new version makes the browser install the new worker, which caches
+// the new files under a new name and deletes the old cache once it takes over.
+const precacheManifest = () => ({
+  name: 'precache-manifest',
+  apply: 'build',
+  enforce: 'post',
+  generateBundle(_options, bundle) {
+    const hash = createHash('sha256')
+    const built = Object.keys(bundle).filter(file => !file.endsWith('.map') && !file.endsWith('.html'))
+    const copied = publicFiles()
+      .map(file => relative(PUBLIC_DIR, file).split('\\').join('/'))
+      .filter(file => !NOT_PRECACHED.includes(file))
+    built.forEach(file => hash.update(file))
+    copied.forEach(file => hash.update(file).update(readFileSync(join(PUBLIC_DIR, file))))
+
+    // './' is the app page itself
+    const manifest = { version: hash.digest('hex').slice(0, 12), urls: ['./', ...built, ...copied].sort() }
+    this.emitFile({
+      type: 'asset',
+      fileName: 'precache-manifest.js',
+      source: `self.PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, 2)};\n`,
+    })
+  },
+})
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheManifest()],
   // Base URL for GitHub Pages deployment
   // This ensures assets load correctly from the repository subdirectory
   base: '/todo-app-phi/',